@@ -17,12 +17,29 @@
  *     --contract  0xYourCodeApproverOracleAddress \
  *     --rpc       http://127.0.0.1:8545 \
  *     --privkey   0xYourOraclePrivateKey
+ *
+ * Takes the same options as code-reviewer-bridge.js, except quorum.
  */
 
 import { ethers } from 'ethers';
 import fs   from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import {
+  IDENTITY_REGISTRY_ABI, loadAgentCards, resolveAgentIds, verifyAgentBindings, sameAddress,
+} from './lib/agent-identity.js';
+import { loadDeployment } from './lib/deployment.js';
+import { openCursor, followEvents } from './lib/event-cursor.js';
+import { createJobQueue, PermanentError } from './lib/job-queue.js';
+import { openDeadLetters } from './lib/dead-letter.js';
+import { callTool, formatProgress } from './lib/mcp-client.js';
+import { requestSigner } from './lib/mcp-auth.js';
+import { createAgentRouter, STRATEGIES, REPUTATION_REGISTRY_ABI } from './lib/agent-router.js';
+import { approvalPayload, recoverResultSigner } from './lib/result-signing.js';
+import { createFlowGate, FLOW_REGISTRY_ABI } from './lib/flow-policy.js';
+import { createTracer } from './lib/tracing.js';
+import { loggerFromEnv } from './lib/logger.js';
+import { createMetricsRegistry, serveMetrics } from './lib/metrics.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -32,30 +49,78 @@ function arg(flag, envVar) {
   return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
 }
 
-const CONTRACT_ADDRESS = arg('--contract', 'APPROVER_CONTRACT_ADDRESS');
-const RPC_URL          = arg('--rpc',      'RPC_URL')      ?? 'http://127.0.0.1:8545';
+// Structured logs (--log-level, --log-format, --log-dir; see lib/logger.js)
+let logger;
+try {
+  logger = loggerFromEnv('approver-bridge');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Contract address and RPC default to the deployment manifest; flags / env vars override it.
+const deployment = loadDeployment({
+  network: arg('--network',  'NETWORK'),
+  file:    arg('--manifest', 'DEPLOYMENT_MANIFEST'),
+});
+
+const CONTRACT_ADDRESS = arg('--contract', 'APPROVER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeApproverOracle;
+const RPC_URL          = arg('--rpc',      'RPC_URL')      ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
 const PRIVATE_KEY      = arg('--privkey',  'ORACLE_PRIVATE_KEY');
+const STATE_DIR        = path.resolve(arg('--state-dir', 'BRIDGE_STATE_DIR') ?? path.join(__dirname, 'state'));
+const MAX_ATTEMPTS     = Number(arg('--max-attempts',  'BRIDGE_MAX_ATTEMPTS')  ?? 5);
+const RETRY_BASE_MS    = Number(arg('--retry-base-ms', 'BRIDGE_RETRY_BASE_MS') ?? 1000);
+const REPLAY_POLL_MS   = 5000;
+const STRATEGY         = arg('--strategy', 'ROUTING_STRATEGY') ?? 'round-robin';
+const HEALTH_INTERVAL_MS = Number(arg('--health-interval-ms', 'HEALTH_CHECK_INTERVAL_MS') ?? 10_000);
+const MCP_TIMEOUT_MS   = Number(arg('--mcp-timeout-ms', 'MCP_TIMEOUT_MS') ?? 60_000);
+let   SIGNED_RESULTS   = arg('--signed-results', 'SIGNED_RESULTS') ?? 'prefer';
+const METRICS_PORT     = arg('--metrics-port', 'METRICS_PORT');
+const SIGNED_RESULTS_MODES = ['off', 'prefer', 'require'];
 
-if (!CONTRACT_ADDRESS) { console.error('Missing --contract / APPROVER_CONTRACT_ADDRESS'); process.exit(1); }
-if (!PRIVATE_KEY)      { console.error('Missing --privkey  / ORACLE_PRIVATE_KEY');         process.exit(1); }
+// The manifest's chainId and deploy block only apply when we serve the manifest's contract
+const USES_MANIFEST = !!deployment && deployment.contracts.CodeApproverOracle?.toLowerCase() === CONTRACT_ADDRESS?.toLowerCase();
+const FROM_BLOCK    = USES_MANIFEST ? deployment.deployBlock : 0;
+const REPUTATION_ADDRESS = arg('--reputation', 'REPUTATION_REGISTRY_ADDRESS') ?? (USES_MANIFEST ? deployment.contracts.ReputationRegistry : undefined);
 
-// ── Load approver agent cards ─────────────────────────────────────────────────
-const AGENTS_DIR = path.resolve(__dirname, '..', 'agents');
-const approverAgents = fs
-  .readdirSync(AGENTS_DIR)
-  .filter(f => f.endsWith('.json') && !f.startsWith('.'))
-  .map(f => JSON.parse(fs.readFileSync(path.join(AGENTS_DIR, f), 'utf8')))
-  .filter(c => c.capabilities?.includes('approve-pr'));
-
-if (approverAgents.length === 0) {
-  console.error('No approve-pr agent cards found in', AGENTS_DIR);
+if (!CONTRACT_ADDRESS) { logger.error('Missing --contract / APPROVER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!PRIVATE_KEY)      { logger.error('Missing --privkey  / ORACLE_PRIVATE_KEY');         process.exit(1); }
+if (!STRATEGIES.includes(STRATEGY)) { logger.error(`Unknown --strategy ${STRATEGY} (expected one of: ${STRATEGIES.join(', ')})`); process.exit(1); }
+if (!SIGNED_RESULTS_MODES.includes(SIGNED_RESULTS)) { logger.error(`Unknown --signed-results ${SIGNED_RESULTS} (expected one of: ${SIGNED_RESULTS_MODES.join(', ')})`); process.exit(1); }
+if (METRICS_PORT && !/^\d+$/.test(METRICS_PORT)) { logger.error(`Invalid --metrics-port ${METRICS_PORT}`); process.exit(1); }
+if (STRATEGY === 'reputation' && !REPUTATION_ADDRESS) { logger.error('--strategy reputation needs --reputation / REPUTATION_REGISTRY_ADDRESS (or a deployment manifest entry)'); process.exit(1); }
+
+// Every MCP request is signed with the oracle wallet, for servers that set
+// MCP_ALLOWED_SIGNERS / MCP_TOOL_PERMISSIONS (see lib/mcp-auth.js)
+const mcpSigner = requestSigner(PRIVATE_KEY);
+
+// Spans go wherever the OTEL_* env vars say (lib/tracing.js)
+let tracer;
+try {
+  tracer = createTracer('code-approver-bridge', { warn: msg => logger.warn(msg) });
+} catch (err) {
+  logger.error(err.message);
   process.exit(1);
 }
-console.log(`Loaded ${approverAgents.length} approver agent(s):`, approverAgents.map(a => `${a.name} @ ${a.endpoint}`));
 
-function pickApproverEndpoint() {
-  return approverAgents[0].endpoint;
+// Prometheus metrics, served on --metrics-port (lib/metrics.js); the gauges are registered in main()
+const metrics        = createMetricsRegistry({ warn: msg => logger.warn(msg) });
+const eventsReceived = metrics.counter('bridge_events_received_total', 'Oracle request events received, live or backfilled', ['event']);
+const fulfillTxs     = metrics.counter('bridge_fulfill_transactions_total', 'Fulfillment transactions by method and outcome (success, failure)', ['method', 'outcome']);
+const mcpLatency     = metrics.histogram('bridge_mcp_request_duration_seconds', 'MCP tools/call latency by agent endpoint, tool and outcome, in seconds', ['endpoint', 'tool', 'outcome']);
+
+// ── Load approver agent cards ─────────────────────────────────────────────────
+// Cards are resolved to their on-chain agentId in main(); only agents whose
+// agentWallet and oracle binding match this bridge (only the binding, with
+// signed results) are handed to the router.
+const AGENTS_DIR = path.resolve(__dirname, '..', 'agents');
+const approverCards = loadAgentCards(AGENTS_DIR, 'approve-pr');
+
+if (approverCards.length === 0) {
+  logger.error(`No approve-pr agent cards found in ${AGENTS_DIR}`);
+  process.exit(1);
 }
+logger.info(`Loaded ${approverCards.length} approver agent card(s): ${approverCards.map(a => `${a.name} @ ${a.endpoint}`).join(', ')}`);
 
 // ── Minimal ABI ───────────────────────────────────────────────────────────────
 const ABI = [
@@ -65,38 +130,43 @@ const ABI = [
   'function fulfillApproval(uint256 agentId, bytes32 requestId, string prId, bytes reasonJson)',
   'function fulfillNeedsRevision(uint256 agentId, bytes32 requestId, string prId, bytes reasonJson, bytes unresolvedJson)',
   'function fulfillRejection(uint256 agentId, bytes32 requestId, string prId, bytes reasonJson)',
+  // …or with the agent's EIP-712 signature over the decision (lib/result-signing.js)
+  'function fulfillApprovalSigned(uint256 agentId, bytes32 requestId, string prId, bytes reasonJson, bytes signature)',
+  'function fulfillNeedsRevisionSigned(uint256 agentId, bytes32 requestId, string prId, bytes reasonJson, bytes unresolvedJson, bytes signature)',
+  'function fulfillRejectionSigned(uint256 agentId, bytes32 requestId, string prId, bytes reasonJson, bytes signature)',
+  'function requireSignedResults() view returns (bool)',
+  // Flow-scoped authorization: the registry the oracle enforces and the capability it requires
+  'function flowRegistry() view returns (address)',
+  'function FLOW_CAPABILITY() view returns (bytes32)',
+  // Identity registry the oracle authorizes fulfillments against
+  'function identityRegistry() view returns (address)',
+  // Request lifecycle — checked before doing any work
+  'function getRequestInfo(bytes32 requestId) view returns (uint8 status, string prId, bytes32 traceId, address requester, uint256 createdAt)',
 ];
 
-// ── Call the MCP server's approve_pr tool ─────────────────────────────────────
-async function callApproveTool(endpoint, prId, reviewerAgent, traceId) {
-  const body = {
-    jsonrpc: '2.0', id: 1,
-    method:  'tools/call',
-    params: {
-      name:      'approve_pr',
-      arguments: {
-        pr_id:          prId,
-        reviewer_agent: reviewerAgent || undefined,
-        trace_id:       traceId,
-      },
-    },
-  };
-
-  const res  = await fetch(`${endpoint}/mcp`, {
-    method:  'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Trace-Id':   traceId,
-    },
-    body: JSON.stringify(body),
-  });
-  const json = await res.json();
-
-  if (json.error) throw new Error(`MCP error: ${JSON.stringify(json.error)}`);
+// Mirrors the contract's RequestStatus enum
+const REQUEST_STATUS = ['Pending', 'Approved', 'NeedsRevision', 'Rejected', 'Cancelled'];
+const PENDING = 0;
 
-  const raw = json?.result?.content?.[0]?.text;
-  if (!raw) throw new Error('Empty MCP response');
-  return JSON.parse(raw); // { pr_id, decision, reason, unresolved_blockers }
+// ── Call the MCP server's approve_pr tool ─────────────────────────────────────
+// With a requestId the agent signs its decision for the fulfill*Signed() functions.
+// `reviewerAgent` is whatever the requester put in the event: the server only calls
+// it after checking it against the chain (lib/review-source.js).
+// `trace` is { parent, attributes } for the call's client span.
+async function callApproveTool(endpoint, prId, reviewerAgent, traceId, requestId, trace) {
+  return mcpLatency.time({ endpoint, tool: 'approve_pr' }, () => callTool(endpoint, 'approve_pr', {
+    pr_id:          prId,
+    reviewer_agent: reviewerAgent || undefined,
+    trace_id:       traceId,
+    request_id:     requestId,
+  }, {
+    traceId,
+    sign:       mcpSigner.sign,
+    timeoutMs:  MCP_TIMEOUT_MS,
+    onProgress: p => logger.info(`${endpoint} progress ${formatProgress(p)}`, { traceId, requestId, prId }),
+    tracer,
+    ...trace,
+  })); // { pr_id, decision, reason, unresolved_blockers, rules_fired, signer?, signature? }
 }
 
 // ── Main ──────────────────────────────────────────────────────────────────────
@@ -105,45 +175,224 @@ async function main() {
   const wallet   = new ethers.Wallet(PRIVATE_KEY, provider);
   const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet);
 
-  console.log(`[approver-bridge] Connected to ${RPC_URL}`);
-  console.log(`[approver-bridge] Contract : ${CONTRACT_ADDRESS}`);
-  console.log(`[approver-bridge] Oracle   : ${wallet.address}`);
-  console.log(`[approver-bridge] Listening for ApprovalRequested events…\n`);
+  logger.info(`Connected to ${RPC_URL}`);
+  logger.info(`Contract : ${CONTRACT_ADDRESS}`);
+  logger.info(`Oracle   : ${wallet.address}`);
+  if (deployment) logger.info(`Manifest : ${deployment.file} (${deployment.network})`);
+
+  // ── Refuse to run against a stale manifest (e.g. a restarted Hardhat node) ──
+  const { chainId } = await provider.getNetwork();
+  if (USES_MANIFEST && Number(chainId) !== deployment.chainId) {
+    logger.error(`Chain ${chainId} does not match manifest chainId ${deployment.chainId}`);
+    process.exit(1);
+  }
+  if (await provider.getCode(CONTRACT_ADDRESS) === '0x') {
+    logger.error(`No contract deployed at ${CONTRACT_ADDRESS} — redeploy or pass --contract`);
+    process.exit(1);
+  }
+
+  // ── Signed results: the contract may insist on them ──────────────────────
+  if (await contract.requireSignedResults()) {
+    if (SIGNED_RESULTS === 'off') {
+      logger.error(`${CONTRACT_ADDRESS} only accepts signed results — drop --signed-results off`);
+      process.exit(1);
+    }
+    SIGNED_RESULTS = 'require';
+  }
+  logger.info(`Signed   : ${SIGNED_RESULTS}`);
+  const signingDomain = { address: CONTRACT_ADDRESS, chainId: Number(chainId) };
+
+  // ── Resolve agent cards to ERC-8004 agentIds and check their bindings ────
+  const registryAddress = await contract.identityRegistry();
+  const registry = new ethers.Contract(registryAddress, IDENTITY_REGISTRY_ABI, provider);
+  const resolved = await resolveAgentIds(registry, approverCards, { fromBlock: FROM_BLOCK });
+  const { routable, refused } = await verifyAgentBindings(registry, resolved, {
+    signer:        wallet.address,
+    oracle:        CONTRACT_ADDRESS,
+    signedResults: SIGNED_RESULTS !== 'off',
+  });
+  refused.forEach(a => logger.warn(`Refusing ${a.name}: ${a.reason}`));
+  if (routable.length === 0) {
+    logger.error(`No approver agent is bound to ${CONTRACT_ADDRESS}${SIGNED_RESULTS === 'off' ? ` with wallet ${wallet.address}` : ''}`);
+    process.exit(1);
+  }
+  logger.info(`Registry : ${registryAddress}`);
+  logger.info(`Agents   : ${routable.map(a => `${a.name} (agentId=${a.agentId})`).join(', ')}`);
+
+  // ── Flow-scoped authorization: route each request only to agents its flow allows ──
+  const flowRegistryAddress = await contract.flowRegistry();
+  const flowGate = createFlowGate(
+    flowRegistryAddress === ethers.ZeroAddress ? null : new ethers.Contract(flowRegistryAddress, FLOW_REGISTRY_ABI, provider),
+    await contract.FLOW_CAPABILITY(),
+  );
+  logger.info(`Flows    : ${flowGate.enabled ? `enforced by ${flowRegistryAddress}` : 'not enforced'}`);
+  logger.info(`Traces   : ${tracer.exporter}`);
+
+  // ── Route across the bound agents, keeping unhealthy ones out of rotation ──
+  const router = createAgentRouter(routable, {
+    log:              logger,
+    strategy:         STRATEGY,
+    healthIntervalMs: HEALTH_INTERVAL_MS,
+    sign:             mcpSigner.sign,
+    reputation:       REPUTATION_ADDRESS && new ethers.Contract(REPUTATION_ADDRESS, REPUTATION_REGISTRY_ABI, provider),
+  });
+  await router.start();
+
+  // ── Job handler: one attempt at serving an approval request ───────────────
+  // Idempotent — re-checks the on-chain status first, so retries and replays are safe.
+  async function processApproval(job, attempt) {
+    const { id: requestId, prId, traceId, reviewerAgent } = job;
+    const jobLog = logger.child({ traceId, requestId, prId });
+    // Child spans hang off the ApprovalRequested span (jobs dead-lettered before spans existed have none)
+    const parent = job.traceparent;
 
-  contract.on('ApprovalRequested', async (requestId, requester, prId, traceId, reviewerAgent, timestamp) => {
-    console.log(`\n[approver-bridge] ← ApprovalRequested  requestId=${requestId}  prId="${prId}"  traceId=${traceId}`);
+    const { status } = await contract.getRequestInfo(requestId);
+    if (Number(status) !== PENDING) {
+      jobLog.info(`skipping — request is ${REQUEST_STATUS[Number(status)]}`);
+      return;
+    }
 
-    const endpoint = pickApproverEndpoint();
-    console.log(`[approver-bridge]   routing to MCP server: ${endpoint}`);
+    // The oracle would revert a fulfillment for an agent outside the request's flow
+    const authorized = await flowGate.authorized(traceId, routable);
+    if (authorized.length === 0) throw new PermanentError(`No approver agent bound to this bridge is authorized for flow ${traceId}`);
 
-    try {
-      const result = await callApproveTool(endpoint, prId, reviewerAgent, traceId);
-      const { decision, reason, unresolved_blockers } = result;
+    const agent = router.pick(undefined, a => authorized.some(x => x.endpoint === a.endpoint));
+    if (!agent) throw new Error('No healthy approver agent available');
+    jobLog.info(`routing to MCP server: ${agent.endpoint}  (${agent.name}, agentId=${agent.agentId})`, { agent: agent.name });
 
-      const reasonBytes     = ethers.toUtf8Bytes(JSON.stringify(reason ?? ''));
-      const unresolvedBytes = ethers.toUtf8Bytes(JSON.stringify(unresolved_blockers ?? []));
+    const agentAttributes = { 'botman.agent.name': agent.name, 'botman.agent.id': agent.agentId.toString() };
+    const result = await router.track(agent, () =>
+      callApproveTool(agent.endpoint, prId, reviewerAgent, traceId, SIGNED_RESULTS === 'off' ? undefined : requestId,
+        { parent, attributes: agentAttributes }));
+    const { decision, reasonJson, unresolvedJson } = approvalPayload(result);
+    const signature = SIGNED_RESULTS === 'off' ? undefined : result.signature;
 
-      console.log(`[approver-bridge]   [${traceId}] MCP decision: ${decision}`);
+    const fired = (result.rules_fired ?? []).map(f => f.rule).join(', ');
+    jobLog.info(`MCP decision: ${decision}${fired ? `  (rules fired: ${fired})` : ''}${signature ? `, signed by ${result.signer}` : ''}`);
 
-      // agentId = 0 for now (would be the registered ERC-8004 agentId in production)
-      let tx;
-      if (decision === 'approved') {
-        tx = await contract.fulfillApproval(0, requestId, prId, reasonBytes);
+    if (signature) {
+      // Check off-chain first: a bad signature would only revert the transaction
+      const signer = recoverResultSigner('approval', signingDomain, { requestId, prId, result, signature });
+      if (!sameAddress(signer, agent.wallet)) {
+        throw new PermanentError(`Decision signed by ${signer}, not ${agent.name}'s agentWallet ${agent.wallet}`);
+      }
+    } else {
+      if (SIGNED_RESULTS === 'require') throw new PermanentError(`${agent.name} returned an unsigned decision (--signed-results require)`);
+      if (!sameAddress(agent.wallet, wallet.address)) {
+        throw new PermanentError(`${agent.name} returned an unsigned decision and its agentWallet ${agent.wallet} is not the bridge signer`);
+      }
+    }
+
+    const method = (decision === 'approved' ? 'fulfillApproval' : decision === 'needs_revision' ? 'fulfillNeedsRevision' : 'fulfillRejection')
+      + (signature ? 'Signed' : '');
+    const txSpan = {
+      parent, traceId,
+      kind:       'client',
+      attributes: { 'botman.request_id': requestId, 'botman.pr_id': prId, 'botman.decision': decision, 'botman.attempt': attempt, ...agentAttributes },
+    };
+    // A failed submission or a reverted transaction counts as a failed fulfillment
+    const failed = err => { fulfillTxs.inc({ method, outcome: 'failure' }); throw err; };
+    const tx = await tracer.span(`${method} submit`, txSpan, async span => {
+      let sent;
+      if (signature) {
+        if (decision === 'approved') {
+          sent = await contract.fulfillApprovalSigned(agent.agentId, requestId, prId, reasonJson, signature);
+        } else if (decision === 'needs_revision') {
+          sent = await contract.fulfillNeedsRevisionSigned(agent.agentId, requestId, prId, reasonJson, unresolvedJson, signature);
+        } else {
+          sent = await contract.fulfillRejectionSigned(agent.agentId, requestId, prId, reasonJson, signature);
+        }
+      } else if (decision === 'approved') {
+        sent = await contract.fulfillApproval(agent.agentId, requestId, prId, reasonJson);
       } else if (decision === 'needs_revision') {
-        tx = await contract.fulfillNeedsRevision(0, requestId, prId, reasonBytes, unresolvedBytes);
+        sent = await contract.fulfillNeedsRevision(agent.agentId, requestId, prId, reasonJson, unresolvedJson);
       } else {
-        tx = await contract.fulfillRejection(0, requestId, prId, reasonBytes);
+        sent = await contract.fulfillRejection(agent.agentId, requestId, prId, reasonJson);
       }
+      span.setAttribute('botman.tx.hash', sent.hash);
+      return sent;
+    }).catch(failed);
 
-      console.log(`[approver-bridge]   [${traceId}] → fulfill tx: ${tx.hash}`);
-      await tx.wait();
-      console.log(`[approver-bridge]   [${traceId}] ✓ fulfilled  requestId=${requestId}  decision=${decision}`);
+    jobLog.info(`→ fulfill${signature ? ' (signed)' : ''} tx: ${tx.hash}`);
+    await tracer.span(`${method} confirm`, txSpan, async span => {
+      const receipt = await tx.wait();
+      span.setAttributes({ 'botman.tx.hash': tx.hash, 'botman.tx.block': receipt.blockNumber, 'botman.tx.gas_used': receipt.gasUsed });
+    }).catch(failed);
+    fulfillTxs.inc({ method, outcome: 'success' });
+    jobLog.info(`✓ fulfilled  requestId=${requestId}  decision=${decision}`);
+  }
 
-    } catch (err) {
-      console.error(`[approver-bridge]   ✗ Error processing ${requestId}: ${err.message}`);
-    }
+  const deadLetters = openDeadLetters(STATE_DIR, 'code-approver-bridge');
+  const queue = createJobQueue({
+    log:         logger,
+    handler:     processApproval,
+    deadLetters,
+    maxAttempts: MAX_ATTEMPTS,
+    baseDelayMs: RETRY_BASE_MS,
   });
+
+  // ── Metrics: the backlog and the oracle wallet's balance, read on every scrape ──
+  metrics.gauge('bridge_pending_requests', 'Requests being served, including those waiting to retry', [], { collect: () => queue.inFlight });
+  metrics.gauge('bridge_dead_letters', 'Dead-lettered requests waiting for a replay', [], { collect: () => deadLetters.list().length });
+  metrics.gauge('bridge_oracle_balance_eth', 'ETH balance of the oracle wallet that pays for fulfillments', ['address'], {
+    collect: async () => [{ labels: { address: wallet.address }, value: Number(ethers.formatEther(await provider.getBalance(wallet.address))) }],
+  });
+  if (METRICS_PORT) {
+    await serveMetrics(metrics, { port: Number(METRICS_PORT) });
+    logger.info(`Metrics  : http://localhost:${METRICS_PORT}/metrics`);
+  }
+
+  // The ApprovalRequested span covers the whole job, retries included
+  async function onApprovalRequested(log) {
+    const { requestId, prId, traceId, reviewerAgent } = log.args;
+    eventsReceived.inc({ event: 'ApprovalRequested' });
+    logger.info(`← ApprovalRequested  requestId=${requestId}  prId="${prId}"  traceId=${traceId}  block=${log.blockNumber}`, { traceId, requestId, prId, block: log.blockNumber });
+    const span = tracer.startSpan('ApprovalRequested', {
+      traceId,
+      kind:       'consumer',
+      attributes: { 'botman.request_id': requestId, 'botman.pr_id': prId, 'botman.oracle': CONTRACT_ADDRESS, 'botman.block': log.blockNumber },
+    });
+    const outcome = await queue.run({ id: requestId, prId, traceId, reviewerAgent, blockNumber: log.blockNumber, traceparent: span.traceparent });
+    span.setAttribute('botman.outcome', outcome);
+    span.end(outcome !== 'done' ? new Error(`${requestId} ${outcome}`) : undefined);
+    return outcome;
+  }
+
+  // ── Consume events: backfill from the persisted cursor, then follow live ──
+  const cursor = openCursor(path.join(STATE_DIR, 'code-approver-bridge.cursor.json'), {
+    chainId:    Number(chainId),
+    contract:   CONTRACT_ADDRESS,
+    startBlock: FROM_BLOCK,
+  });
+  logger.info(`Cursor   : ${cursor.resumed ? `resuming after block ${cursor.lastBlock}` : `starting at block ${cursor.lastBlock + 1}`}  (${cursor.file})`);
+
+  const { from, to, backfilled } = await followEvents(contract, 'ApprovalRequested', {
+    cursor,
+    onEvent: onApprovalRequested,
+    onError: (err, log) => logger.error(`  ✗ Unhandled error for ApprovalRequested in tx ${log.transactionHash}, event skipped: ${err.stack ?? err}`),
+  });
+  logger.info(`Backfilled ${backfilled} ApprovalRequested event(s) from blocks ${from}–${to}`);
+  logger.info('Listening for ApprovalRequested events…');
+
+  // ── Dead letters: report on startup, replay entries flagged by dead-letter.js ──
+  const parked = deadLetters.list().length;
+  if (parked) logger.warn(`${parked} dead-lettered request(s) in ${deadLetters.dir} — see dead-letter.js`);
+
+  async function replayDeadLetters() {
+    for (const record of deadLetters.takeReplays()) {
+      logger.info(`↻ Replaying dead-lettered ${record.id}  prId="${record.job.prId}"  traceId=${record.job.traceId}`,
+        { traceId: record.job.traceId, requestId: record.id, prId: record.job.prId });
+      if (await queue.run(record.job) === 'done') deadLetters.remove(record.id);
+    }
+  }
+  setInterval(() => replayDeadLetters().catch(err =>
+    logger.error(`✗ Dead-letter replay failed: ${err.message}`)), REPLAY_POLL_MS);
+
+  // Export the spans still batched in memory before exiting
+  if (tracer.enabled) {
+    for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => tracer.flush().finally(() => process.exit(0)));
+  }
 }
 
-main().catch(err => { console.error(err); process.exit(1); });
+main().catch(err => { logger.error(err.stack ?? String(err)); process.exit(1); });
 
@@ -5,7 +5,8 @@
  *
  * Watches the on-chain ReviewRequested event, calls the appropriate
  * code-reviewer MCP server (tool: review_pr), then submits the
- * fulfillReview() transaction back to the contract.
+ * fulfillReview() transaction back to the contract.  A diff stored on-chain
+ * with storeDiff() is handed to the reviewer (tool: store_diff) first.
  *
  * Distributed tracing: reads traceId from the event and propagates it
  * to the MCP server via X-Trace-Id header and tool argument.
@@ -15,12 +16,38 @@
  *     --contract  0xYourCodeReviewerOracleAddress \
  *     --rpc       http://127.0.0.1:8545 \
  *     --privkey   0xYourOraclePrivateKey
+ *
+ * --contract and --rpc default to the deployment manifest (--network, --manifest).
+ * Other options, described in README.md ("Running oracle bridges"):
+ *   --state-dir, --max-attempts, --retry-base-ms   cursor, retries, dead letters
+ *   --strategy, --health-interval-ms, --reputation routing across bound agents
+ *   --quorum, --quorum-rule                        multi-reviewer quorum (lib/review-quorum.js)
+ *   --signed-results, --mcp-timeout-ms             agent-signed results, MCP streaming
+ *   --log-level, --log-format, --log-dir           structured logs (lib/logger.js)
+ *   --metrics-port                                 Prometheus metrics (lib/metrics.js)
+ * Flow policies (lib/flow-policy.js) and spans (lib/tracing.js) need no flags.
  */
 
 import { ethers } from 'ethers';
 import fs   from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import {
+  IDENTITY_REGISTRY_ABI, loadAgentCards, resolveAgentIds, verifyAgentBindings, sameAddress,
+} from './lib/agent-identity.js';
+import { loadDeployment } from './lib/deployment.js';
+import { openCursor, followEvents } from './lib/event-cursor.js';
+import { createJobQueue, PermanentError } from './lib/job-queue.js';
+import { openDeadLetters } from './lib/dead-letter.js';
+import { callTool, formatProgress } from './lib/mcp-client.js';
+import { requestSigner } from './lib/mcp-auth.js';
+import { createAgentRouter, STRATEGIES, REPUTATION_REGISTRY_ABI } from './lib/agent-router.js';
+import { parseFocus, mergeReviews, QUORUM_RULES } from './lib/review-quorum.js';
+import { reviewPayload, recoverResultSigner } from './lib/result-signing.js';
+import { createFlowGate, FLOW_REGISTRY_ABI } from './lib/flow-policy.js';
+import { createTracer } from './lib/tracing.js';
+import { loggerFromEnv } from './lib/logger.js';
+import { createMetricsRegistry, serveMetrics } from './lib/metrics.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -30,35 +57,82 @@ function arg(flag, envVar) {
   return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
 }
 
-const CONTRACT_ADDRESS = arg('--contract', 'REVIEWER_CONTRACT_ADDRESS');
-const RPC_URL          = arg('--rpc',      'RPC_URL')      ?? 'http://127.0.0.1:8545';
+// Structured logs (--log-level, --log-format, --log-dir; see lib/logger.js)
+let logger;
+try {
+  logger = loggerFromEnv('reviewer-bridge');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Contract address and RPC default to the deployment manifest; flags / env vars override it.
+const deployment = loadDeployment({
+  network: arg('--network',  'NETWORK'),
+  file:    arg('--manifest', 'DEPLOYMENT_MANIFEST'),
+});
+
+const CONTRACT_ADDRESS = arg('--contract', 'REVIEWER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeReviewerOracle;
+const RPC_URL          = arg('--rpc',      'RPC_URL')      ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
 const PRIVATE_KEY      = arg('--privkey',  'ORACLE_PRIVATE_KEY');
+const STATE_DIR        = path.resolve(arg('--state-dir', 'BRIDGE_STATE_DIR') ?? path.join(__dirname, 'state'));
+const MAX_ATTEMPTS     = Number(arg('--max-attempts',  'BRIDGE_MAX_ATTEMPTS')  ?? 5);
+const RETRY_BASE_MS    = Number(arg('--retry-base-ms', 'BRIDGE_RETRY_BASE_MS') ?? 1000);
+const REPLAY_POLL_MS   = 5000;
+const STRATEGY         = arg('--strategy', 'ROUTING_STRATEGY') ?? 'round-robin';
+const HEALTH_INTERVAL_MS = Number(arg('--health-interval-ms', 'HEALTH_CHECK_INTERVAL_MS') ?? 10_000);
+const MCP_TIMEOUT_MS   = Number(arg('--mcp-timeout-ms', 'MCP_TIMEOUT_MS') ?? 60_000);
+const QUORUM           = Number(arg('--quorum',      'REVIEW_QUORUM')      ?? 1);
+const QUORUM_RULE      = arg('--quorum-rule', 'REVIEW_QUORUM_RULE') ?? 'majority';
+let   SIGNED_RESULTS   = arg('--signed-results', 'SIGNED_RESULTS') ?? 'prefer';
+const METRICS_PORT     = arg('--metrics-port', 'METRICS_PORT');
+const SIGNED_RESULTS_MODES = ['off', 'prefer', 'require'];
 
-if (!CONTRACT_ADDRESS) { console.error('Missing --contract / REVIEWER_CONTRACT_ADDRESS'); process.exit(1); }
-if (!PRIVATE_KEY)      { console.error('Missing --privkey  / ORACLE_PRIVATE_KEY');         process.exit(1); }
+// The manifest's chainId and deploy block only apply when we serve the manifest's contract
+const USES_MANIFEST = !!deployment && deployment.contracts.CodeReviewerOracle?.toLowerCase() === CONTRACT_ADDRESS?.toLowerCase();
+const FROM_BLOCK    = USES_MANIFEST ? deployment.deployBlock : 0;
+const REPUTATION_ADDRESS = arg('--reputation', 'REPUTATION_REGISTRY_ADDRESS') ?? (USES_MANIFEST ? deployment.contracts.ReputationRegistry : undefined);
 
-// ── Load reviewer agent cards ─────────────────────────────────────────────────
-const AGENTS_DIR = path.resolve(__dirname, '..', 'agents');
-const reviewerAgents = fs
-  .readdirSync(AGENTS_DIR)
-  .filter(f => f.endsWith('.json') && !f.startsWith('.'))
-  .map(f => JSON.parse(fs.readFileSync(path.join(AGENTS_DIR, f), 'utf8')))
-  .filter(c => c.capabilities?.includes('code-review'));
-
-if (reviewerAgents.length === 0) {
-  console.error('No code-review agent cards found in', AGENTS_DIR);
+if (!CONTRACT_ADDRESS) { logger.error('Missing --contract / REVIEWER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!PRIVATE_KEY)      { logger.error('Missing --privkey  / ORACLE_PRIVATE_KEY');         process.exit(1); }
+if (!STRATEGIES.includes(STRATEGY)) { logger.error(`Unknown --strategy ${STRATEGY} (expected one of: ${STRATEGIES.join(', ')})`); process.exit(1); }
+if (!Number.isInteger(QUORUM) || QUORUM < 1) { logger.error(`Invalid --quorum ${QUORUM}`); process.exit(1); }
+if (!QUORUM_RULES.includes(QUORUM_RULE)) { logger.error(`Unknown --quorum-rule ${QUORUM_RULE} (expected one of: ${QUORUM_RULES.join(', ')})`); process.exit(1); }
+if (!SIGNED_RESULTS_MODES.includes(SIGNED_RESULTS)) { logger.error(`Unknown --signed-results ${SIGNED_RESULTS} (expected one of: ${SIGNED_RESULTS_MODES.join(', ')})`); process.exit(1); }
+if (METRICS_PORT && !/^\d+$/.test(METRICS_PORT)) { logger.error(`Invalid --metrics-port ${METRICS_PORT}`); process.exit(1); }
+if (STRATEGY === 'reputation' && !REPUTATION_ADDRESS) { logger.error('--strategy reputation needs --reputation / REPUTATION_REGISTRY_ADDRESS (or a deployment manifest entry)'); process.exit(1); }
+
+// Every MCP request is signed with the oracle wallet, for servers that set
+// MCP_ALLOWED_SIGNERS / MCP_TOOL_PERMISSIONS (see lib/mcp-auth.js)
+const mcpSigner = requestSigner(PRIVATE_KEY);
+
+// Spans go wherever the OTEL_* env vars say (lib/tracing.js)
+let tracer;
+try {
+  tracer = createTracer('code-reviewer-bridge', { warn: msg => logger.warn(msg) });
+} catch (err) {
+  logger.error(err.message);
   process.exit(1);
 }
-console.log(`Loaded ${reviewerAgents.length} reviewer agent(s):`, reviewerAgents.map(a => `${a.name} @ ${a.endpoint}`));
 
-function pickReviewerEndpoint(hint) {
-  if (hint) {
-    const match = reviewerAgents.find(a => a.endpoint === hint);
-    if (match) return match.endpoint;
-  }
-  // Round-robin among available reviewers (simple: pick first for now)
-  return reviewerAgents[0].endpoint;
+// Prometheus metrics, served on --metrics-port (lib/metrics.js); the gauges are registered in main()
+const metrics        = createMetricsRegistry({ warn: msg => logger.warn(msg) });
+const eventsReceived = metrics.counter('bridge_events_received_total', 'Oracle request events received, live or backfilled', ['event']);
+const fulfillTxs     = metrics.counter('bridge_fulfill_transactions_total', 'Fulfillment transactions by method and outcome (success, failure)', ['method', 'outcome']);
+const mcpLatency     = metrics.histogram('bridge_mcp_request_duration_seconds', 'MCP tools/call latency by agent endpoint, tool and outcome, in seconds', ['endpoint', 'tool', 'outcome']);
+
+// ── Load reviewer agent cards ─────────────────────────────────────────────────
+// Cards are resolved to their on-chain agentId in main(); only agents whose
+// agentWallet and oracle binding match this bridge (only the binding, with
+// signed results) are handed to the router.
+const AGENTS_DIR = path.resolve(__dirname, '..', 'agents');
+const reviewerCards = loadAgentCards(AGENTS_DIR, 'code-review');
+
+if (reviewerCards.length === 0) {
+  logger.error(`No code-review agent cards found in ${AGENTS_DIR}`);
+  process.exit(1);
 }
+logger.info(`Loaded ${reviewerCards.length} reviewer agent card(s): ${reviewerCards.map(a => `${a.name} @ ${a.endpoint}`).join(', ')}`);
 
 // ── Minimal ABI — only what the bridge needs ──────────────────────────────────
 const ABI = [
@@ -66,39 +140,45 @@ const ABI = [
   'event ReviewRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string focus, uint256 timestamp)',
   // Fulfillment (no traceId param — contract reads it from storage)
   'function fulfillReview(uint256 agentId, bytes32 requestId, string prId, bytes summaryJson, bytes commentsJson, bool approved)',
+  // …or with the agent's EIP-712 signature over the result (lib/result-signing.js)
+  'function fulfillReviewSigned(uint256 agentId, bytes32 requestId, string prId, bytes summaryJson, bytes commentsJson, bool approved, bytes signature)',
+  'function requireSignedResults() view returns (bool)',
+  // Flow-scoped authorization: the registry the oracle enforces and the capability it requires
+  'function flowRegistry() view returns (address)',
+  'function FLOW_CAPABILITY() view returns (bytes32)',
+  // Identity registry the oracle authorizes fulfillments against
+  'function identityRegistry() view returns (address)',
+  // Request lifecycle — checked before doing any work
+  'function getRequestInfo(bytes32 requestId) view returns (uint8 status, string prId, bytes32 traceId, address requester, uint256 createdAt)',
+  // Diff submitted with storeDiff(), forwarded to the reviewer
+  'function getDiff(string prId) view returns (bytes)',
 ];
 
-// ── Call the MCP server's review_pr tool ──────────────────────────────────────
-async function callReviewTool(endpoint, prId, focus, traceId) {
-  const focusArr = focus ? focus.split(',').map(s => s.trim()).filter(Boolean) : [];
-  const body = {
-    jsonrpc: '2.0', id: 1,
-    method:  'tools/call',
-    params: {
-      name:      'review_pr',
-      arguments: {
-        pr_id: prId,
-        trace_id: traceId,
-        ...(focusArr.length ? { focus: focusArr } : {}),
-      },
-    },
-  };
-
-  const res  = await fetch(`${endpoint}/mcp`, {
-    method:  'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Trace-Id':   traceId,
-    },
-    body: JSON.stringify(body),
-  });
-  const json = await res.json();
-
-  if (json.error) throw new Error(`MCP error: ${JSON.stringify(json.error)}`);
+// Mirrors the contract's RequestStatus enum
+const REQUEST_STATUS = ['Pending', 'Fulfilled', 'Cancelled'];
+const PENDING = 0;
 
-  const raw = json?.result?.content?.[0]?.text;
-  if (!raw) throw new Error('Empty MCP response');
-  return JSON.parse(raw); // { pr_id, summary, comments, approved }
+// ── Call the MCP server's review_pr tool (after handing it the diff, if any) ─
+// With a requestId the agent signs its result for fulfillReviewSigned().
+// `trace` is { parent, attributes } for the calls' client spans.
+async function callReviewTool(endpoint, prId, focusAreas, traceId, diff, requestId, trace) {
+  if (diff) {
+    await mcpLatency.time({ endpoint, tool: 'store_diff' }, () =>
+      callTool(endpoint, 'store_diff', { pr_id: prId, diff }, { traceId, sign: mcpSigner.sign, tracer, ...trace }));
+  }
+  return mcpLatency.time({ endpoint, tool: 'review_pr' }, () => callTool(endpoint, 'review_pr', {
+    pr_id: prId,
+    trace_id: traceId,
+    ...(focusAreas.length ? { focus: focusAreas } : {}),
+    ...(requestId ? { request_id: requestId } : {}),
+  }, {
+    traceId,
+    sign:       mcpSigner.sign,
+    timeoutMs:  MCP_TIMEOUT_MS,
+    onProgress: p => logger.info(`${endpoint} progress ${formatProgress(p)}`, { traceId, prId }),
+    tracer,
+    ...trace,
+  })); // { pr_id, summary, comments, approved, signer?, signature? }
 }
 
 // ── Main ──────────────────────────────────────────────────────────────────────
@@ -107,36 +187,260 @@ async function main() {
   const wallet   = new ethers.Wallet(PRIVATE_KEY, provider);
   const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet);
 
-  console.log(`[reviewer-bridge] Connected to ${RPC_URL}`);
-  console.log(`[reviewer-bridge] Contract : ${CONTRACT_ADDRESS}`);
-  console.log(`[reviewer-bridge] Oracle   : ${wallet.address}`);
-  console.log(`[reviewer-bridge] Listening for ReviewRequested events…\n`);
+  logger.info(`Connected to ${RPC_URL}`);
+  logger.info(`Contract : ${CONTRACT_ADDRESS}`);
+  logger.info(`Oracle   : ${wallet.address}`);
+  if (deployment) logger.info(`Manifest : ${deployment.file} (${deployment.network})`);
+
+  // ── Refuse to run against a stale manifest (e.g. a restarted Hardhat node) ──
+  const { chainId } = await provider.getNetwork();
+  if (USES_MANIFEST && Number(chainId) !== deployment.chainId) {
+    logger.error(`Chain ${chainId} does not match manifest chainId ${deployment.chainId}`);
+    process.exit(1);
+  }
+  if (await provider.getCode(CONTRACT_ADDRESS) === '0x') {
+    logger.error(`No contract deployed at ${CONTRACT_ADDRESS} — redeploy or pass --contract`);
+    process.exit(1);
+  }
+
+  // ── Signed results: the contract may insist on them ──────────────────────
+  if (await contract.requireSignedResults()) {
+    if (SIGNED_RESULTS === 'off') {
+      logger.error(`${CONTRACT_ADDRESS} only accepts signed results — drop --signed-results off`);
+      process.exit(1);
+    }
+    SIGNED_RESULTS = 'require';
+  }
+  logger.info(`Signed   : ${SIGNED_RESULTS}`);
+  if (QUORUM > 1 && SIGNED_RESULTS === 'require') {
+    logger.error('--quorum > 1 cannot be fulfilled while signed results are required: a merged quorum review carries no agent signature');
+    process.exit(1);
+  }
+  const signingDomain = { address: CONTRACT_ADDRESS, chainId: Number(chainId) };
+
+  // ── Resolve agent cards to ERC-8004 agentIds and check their bindings ────
+  const registryAddress = await contract.identityRegistry();
+  const registry = new ethers.Contract(registryAddress, IDENTITY_REGISTRY_ABI, provider);
+  const resolved = await resolveAgentIds(registry, reviewerCards, { fromBlock: FROM_BLOCK });
+  const { routable, refused } = await verifyAgentBindings(registry, resolved, {
+    signer:        wallet.address,
+    oracle:        CONTRACT_ADDRESS,
+    signedResults: SIGNED_RESULTS !== 'off',
+  });
+  refused.forEach(a => logger.warn(`Refusing ${a.name}: ${a.reason}`));
+  if (routable.length === 0) {
+    logger.error(`No reviewer agent is bound to ${CONTRACT_ADDRESS}${SIGNED_RESULTS === 'off' ? ` with wallet ${wallet.address}` : ''}`);
+    process.exit(1);
+  }
+  logger.info(`Registry : ${registryAddress}`);
+  logger.info(`Agents   : ${routable.map(a => `${a.name} (agentId=${a.agentId})`).join(', ')}`);
+
+  // A merged quorum review is unsigned, so only an agent whose agentWallet is
+  // the bridge signer can fulfill it
+  const bridgeBound = agent => sameAddress(agent.wallet, wallet.address);
+  if (QUORUM > 1 && !routable.some(bridgeBound)) {
+    logger.error(`--quorum > 1 needs a reviewer agent whose agentWallet is the bridge signer ${wallet.address} to submit the merged review`);
+    process.exit(1);
+  }
+
+  // ── Flow-scoped authorization: route each request only to agents its flow allows ──
+  const flowRegistryAddress = await contract.flowRegistry();
+  const flowGate = createFlowGate(
+    flowRegistryAddress === ethers.ZeroAddress ? null : new ethers.Contract(flowRegistryAddress, FLOW_REGISTRY_ABI, provider),
+    await contract.FLOW_CAPABILITY(),
+  );
+  logger.info(`Flows    : ${flowGate.enabled ? `enforced by ${flowRegistryAddress}` : 'not enforced'}`);
+  logger.info(`Traces   : ${tracer.exporter}`);
+
+  // ── Route across the bound agents, keeping unhealthy ones out of rotation ──
+  const router = createAgentRouter(routable, {
+    log:              logger,
+    strategy:         STRATEGY,
+    healthIntervalMs: HEALTH_INTERVAL_MS,
+    sign:             mcpSigner.sign,
+    reputation:       REPUTATION_ADDRESS && new ethers.Contract(REPUTATION_ADDRESS, REPUTATION_REGISTRY_ABI, provider),
+  });
+  await router.start();
+
+  // Span attributes naming the agent behind an MCP call or fulfillment
+  const agentAttributes = agent => ({ 'botman.agent.name': agent.name, 'botman.agent.id': agent.agentId.toString() });
 
-  contract.on('ReviewRequested', async (requestId, requester, prId, traceId, focus, timestamp) => {
-    console.log(`\n[reviewer-bridge] ← ReviewRequested  requestId=${requestId}  prId="${prId}"  traceId=${traceId}`);
+  // ── Review with one agent ─────────────────────────────────────────────────
+  async function reviewSingle(prId, areas, traceId, diff, requestId, allowed, parent) {
+    const agent = router.pick(undefined, allowed);
+    if (!agent) throw new Error('No healthy reviewer agent available');
+    logger.info(`routing to MCP server: ${agent.endpoint}  (${agent.name}, agentId=${agent.agentId})`, { traceId, requestId, prId, agent: agent.name });
+    const result = await router.track(agent, () =>
+      callReviewTool(agent.endpoint, prId, areas, traceId, diff, SIGNED_RESULTS === 'off' ? undefined : requestId,
+        { parent, attributes: agentAttributes(agent) }));
+    return { agent, result };
+  }
 
-    const endpoint = pickReviewerEndpoint(null);
-    console.log(`[reviewer-bridge]   routing to MCP server: ${endpoint}`);
+  // ── Review with N agents in parallel and merge their results ──────────────
+  // fulfillReview() takes a single agentId.  The merged result is unsigned, so
+  // the fulfilling agent is always one whose agentWallet is the bridge signer;
+  // every contributor is listed in the summary JSON.
+  async function reviewQuorum(prId, areas, traceId, diff, quorum, rule, allowed, authorized, parent) {
+    if (!Number.isInteger(quorum) || quorum < 1) throw new PermanentError(`Invalid quorum "${quorum}"`);
+    if (!QUORUM_RULES.includes(rule)) throw new PermanentError(`Unknown quorum rule "${rule}" (expected one of: ${QUORUM_RULES.join(', ')})`);
+    if (quorum > authorized.length) throw new PermanentError(`quorum=${quorum} exceeds the ${authorized.length} reviewer agent(s) bound to this bridge and authorized for the flow`);
+    if (SIGNED_RESULTS === 'require') throw new PermanentError('A merged quorum review cannot carry an agent signature (--signed-results require)');
+    if (!authorized.some(bridgeBound)) throw new PermanentError(`No reviewer agent authorized for flow ${traceId} has the bridge signer as agentWallet, so none can submit the merged review`);
 
-    try {
-      const result = await callReviewTool(endpoint, prId, focus, traceId);
+    const fulfiller = router.pick(undefined, a => allowed(a) && bridgeBound(a));
+    if (!fulfiller) throw new Error('No healthy reviewer agent with the bridge signer as agentWallet available to submit the merged review');
+    const agents = [fulfiller, ...router.pickMany(quorum - 1, a => allowed(a) && a !== fulfiller)];
+    if (agents.length < quorum) throw new Error(`quorum=${quorum} needs ${quorum} healthy reviewer agents, ${agents.length} available`);
+    logger.info(`quorum=${quorum} rule=${rule} → ${agents.map(a => `${a.name} (${a.endpoint})`).join(', ')}`, { traceId, prId });
 
-      const summaryBytes   = ethers.toUtf8Bytes(JSON.stringify(result.summary   ?? ''));
-      const commentsBytes  = ethers.toUtf8Bytes(JSON.stringify(result.comments  ?? []));
-      const approved       = !!result.approved;
+    const settled = await Promise.allSettled(agents.map(a =>
+      router.track(a, () => callReviewTool(a.endpoint, prId, areas, traceId, diff, undefined, { parent, attributes: agentAttributes(a) }))));
+    // A quorum is all-or-nothing: any failed review fails (and retries) the whole attempt
+    const failed = settled.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
 
-      console.log(`[reviewer-bridge]   [${traceId}] MCP result: approved=${approved}, comments=${result.comments?.length ?? 0}`);
+    const result = mergeReviews(agents.map((agent, i) => ({ agent, result: settled[i].value })), rule);
+    logger.info(`quorum: ${result.summary.approvals}/${quorum} approved, ${result.summary.blockers} blocker(s) → approved=${result.approved}`, { traceId, prId });
+    return { agent: fulfiller, result };
+  }
 
-      // agentId = 0 for now (would be the registered ERC-8004 agentId in production)
-      const tx = await contract.fulfillReview(0, requestId, prId, summaryBytes, commentsBytes, approved);
-      console.log(`[reviewer-bridge]   [${traceId}] → fulfillReview tx: ${tx.hash}`);
-      await tx.wait();
-      console.log(`[reviewer-bridge]   [${traceId}] ✓ fulfilled  requestId=${requestId}`);
+  // ── Job handler: one attempt at serving a review request ──────────────────
+  // Idempotent — re-checks the on-chain status first, so retries and replays are safe.
+  async function processReview(job, attempt) {
+    const { id: requestId, prId, traceId, focus } = job;
+    const jobLog = logger.child({ traceId, requestId, prId });
+    // Child spans hang off the ReviewRequested span (jobs dead-lettered before spans existed have none)
+    const parent = job.traceparent;
 
-    } catch (err) {
-      console.error(`[reviewer-bridge]   ✗ Error processing ${requestId}: ${err.message}`);
+    const { status } = await contract.getRequestInfo(requestId);
+    if (Number(status) !== PENDING) {
+      jobLog.info(`skipping — request is ${REQUEST_STATUS[Number(status)]}`);
+      return;
     }
+
+    // The oracle would revert a fulfillment for an agent outside the request's flow
+    const authorized = await flowGate.authorized(traceId, routable);
+    if (authorized.length === 0) throw new PermanentError(`No reviewer agent bound to this bridge is authorized for flow ${traceId}`);
+    const allowed = agent => authorized.some(a => a.endpoint === agent.endpoint);
+
+    const { areas, quorum = QUORUM, rule = QUORUM_RULE } = parseFocus(focus);
+    const diff = ethers.toUtf8String(await contract.getDiff(prId));
+    const { agent, result } = quorum === 1
+      ? await reviewSingle(prId, areas, traceId, diff, requestId, allowed, parent)
+      : await reviewQuorum(prId, areas, traceId, diff, quorum, rule, allowed, authorized, parent);
+
+    const { summaryJson, commentsJson, approved } = reviewPayload(result);
+    const signature = SIGNED_RESULTS === 'off' ? undefined : result.signature;
+
+    jobLog.info(`MCP result: approved=${approved}, comments=${result.comments?.length ?? 0}${signature ? `, signed by ${result.signer}` : ''}`);
+
+    if (signature) {
+      // Check off-chain first: a bad signature would only revert the transaction
+      const signer = recoverResultSigner('review', signingDomain, { requestId, prId, result, signature });
+      if (!sameAddress(signer, agent.wallet)) {
+        throw new PermanentError(`Result signed by ${signer}, not ${agent.name}'s agentWallet ${agent.wallet}`);
+      }
+    } else {
+      if (SIGNED_RESULTS === 'require') throw new PermanentError(`${agent.name} returned an unsigned result (--signed-results require)`);
+      if (!sameAddress(agent.wallet, wallet.address)) {
+        throw new PermanentError(`${agent.name} returned an unsigned result and its agentWallet ${agent.wallet} is not the bridge signer`);
+      }
+    }
+
+    const method = signature ? 'fulfillReviewSigned' : 'fulfillReview';
+    const txSpan = {
+      parent, traceId,
+      kind:       'client',
+      attributes: { 'botman.request_id': requestId, 'botman.pr_id': prId, 'botman.approved': approved, 'botman.attempt': attempt, ...agentAttributes(agent) },
+    };
+    // A failed submission or a reverted transaction counts as a failed fulfillment
+    const failed = err => { fulfillTxs.inc({ method, outcome: 'failure' }); throw err; };
+    const tx = await tracer.span(`${method} submit`, txSpan, async span => {
+      const sent = signature
+        ? await contract.fulfillReviewSigned(agent.agentId, requestId, prId, summaryJson, commentsJson, approved, signature)
+        : await contract.fulfillReview(agent.agentId, requestId, prId, summaryJson, commentsJson, approved);
+      span.setAttribute('botman.tx.hash', sent.hash);
+      return sent;
+    }).catch(failed);
+    jobLog.info(`→ ${method} tx: ${tx.hash}`);
+    await tracer.span(`${method} confirm`, txSpan, async span => {
+      const receipt = await tx.wait();
+      span.setAttributes({ 'botman.tx.hash': tx.hash, 'botman.tx.block': receipt.blockNumber, 'botman.tx.gas_used': receipt.gasUsed });
+    }).catch(failed);
+    fulfillTxs.inc({ method, outcome: 'success' });
+    jobLog.info(`✓ fulfilled  requestId=${requestId}`);
+  }
+
+  const deadLetters = openDeadLetters(STATE_DIR, 'code-reviewer-bridge');
+  const queue = createJobQueue({
+    log:         logger,
+    handler:     processReview,
+    deadLetters,
+    maxAttempts: MAX_ATTEMPTS,
+    baseDelayMs: RETRY_BASE_MS,
   });
+
+  // ── Metrics: the backlog and the oracle wallet's balance, read on every scrape ──
+  metrics.gauge('bridge_pending_requests', 'Requests being served, including those waiting to retry', [], { collect: () => queue.inFlight });
+  metrics.gauge('bridge_dead_letters', 'Dead-lettered requests waiting for a replay', [], { collect: () => deadLetters.list().length });
+  metrics.gauge('bridge_oracle_balance_eth', 'ETH balance of the oracle wallet that pays for fulfillments', ['address'], {
+    collect: async () => [{ labels: { address: wallet.address }, value: Number(ethers.formatEther(await provider.getBalance(wallet.address))) }],
+  });
+  if (METRICS_PORT) {
+    await serveMetrics(metrics, { port: Number(METRICS_PORT) });
+    logger.info(`Metrics  : http://localhost:${METRICS_PORT}/metrics`);
+  }
+
+  // The ReviewRequested span covers the whole job, retries included
+  async function onReviewRequested(log) {
+    const { requestId, prId, traceId, focus } = log.args;
+    eventsReceived.inc({ event: 'ReviewRequested' });
+    logger.info(`← ReviewRequested  requestId=${requestId}  prId="${prId}"  traceId=${traceId}  block=${log.blockNumber}`, { traceId, requestId, prId, block: log.blockNumber });
+    const span = tracer.startSpan('ReviewRequested', {
+      traceId,
+      kind:       'consumer',
+      attributes: { 'botman.request_id': requestId, 'botman.pr_id': prId, 'botman.oracle': CONTRACT_ADDRESS, 'botman.block': log.blockNumber },
+    });
+    const outcome = await queue.run({ id: requestId, prId, traceId, focus, blockNumber: log.blockNumber, traceparent: span.traceparent });
+    span.setAttribute('botman.outcome', outcome);
+    span.end(outcome !== 'done' ? new Error(`${requestId} ${outcome}`) : undefined);
+    return outcome;
+  }
+
+  // ── Consume events: backfill from the persisted cursor, then follow live ──
+  const cursor = openCursor(path.join(STATE_DIR, 'code-reviewer-bridge.cursor.json'), {
+    chainId:    Number(chainId),
+    contract:   CONTRACT_ADDRESS,
+    startBlock: FROM_BLOCK,
+  });
+  logger.info(`Cursor   : ${cursor.resumed ? `resuming after block ${cursor.lastBlock}` : `starting at block ${cursor.lastBlock + 1}`}  (${cursor.file})`);
+
+  const { from, to, backfilled } = await followEvents(contract, 'ReviewRequested', {
+    cursor,
+    onEvent: onReviewRequested,
+    onError: (err, log) => logger.error(`  ✗ Unhandled error for ReviewRequested in tx ${log.transactionHash}, event skipped: ${err.stack ?? err}`),
+  });
+  logger.info(`Backfilled ${backfilled} ReviewRequested event(s) from blocks ${from}–${to}`);
+  logger.info('Listening for ReviewRequested events…');
+
+  // ── Dead letters: report on startup, replay entries flagged by dead-letter.js ──
+  const parked = deadLetters.list().length;
+  if (parked) logger.warn(`${parked} dead-lettered request(s) in ${deadLetters.dir} — see dead-letter.js`);
+
+  async function replayDeadLetters() {
+    for (const record of deadLetters.takeReplays()) {
+      logger.info(`↻ Replaying dead-lettered ${record.id}  prId="${record.job.prId}"  traceId=${record.job.traceId}`,
+        { traceId: record.job.traceId, requestId: record.id, prId: record.job.prId });
+      if (await queue.run(record.job) === 'done') deadLetters.remove(record.id);
+    }
+  }
+  setInterval(() => replayDeadLetters().catch(err =>
+    logger.error(`✗ Dead-letter replay failed: ${err.message}`)), REPLAY_POLL_MS);
+
+  // Export the spans still batched in memory before exiting
+  if (tracer.enabled) {
+    for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => tracer.flush().finally(() => process.exit(0)));
+  }
 }
 
-main().catch(err => { console.error(err); process.exit(1); });
+main().catch(err => { logger.error(err.stack ?? String(err)); process.exit(1); });
@@ -0,0 +1,98 @@
+/**
+ * dead-letter.js
+ *
+ * Inspect and replay requests the oracle bridges gave up on.
+ *
+ * A bridge dead-letters a request when fulfilling it failed permanently
+ * (e.g. a "prId mismatch" revert) or kept failing transiently until its
+ * retries ran out.  Entries live in <state-dir>/dead-letter/<bridge>/.
+ *
+ * Usage:
+ *   node dead-letter.js list                      [--bridge code-reviewer-bridge]
+ *   node dead-letter.js show    <requestId>       [--bridge …]
+ *   node dead-letter.js replay  <requestId|--all> [--bridge …]
+ *   node dead-letter.js drop    <requestId>       [--bridge …]
+ *
+ * `replay` only flags the entry; the running bridge picks it up within a few
+ * seconds (or at its next start), re-runs it and removes the entry if it
+ * succeeds.  --state-dir / BRIDGE_STATE_DIR must match the bridge's.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BRIDGES, openDeadLetters } from './lib/dead-letter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function arg(flag, envVar) {
+  const idx = process.argv.indexOf(flag);
+  return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
+}
+
+const STATE_DIR = path.resolve(arg('--state-dir', 'BRIDGE_STATE_DIR') ?? path.join(__dirname, 'state'));
+const BRIDGE    = arg('--bridge');
+const [command, target] = process.argv.slice(2);
+
+if (BRIDGE && !BRIDGES.includes(BRIDGE)) {
+  console.error(`Unknown --bridge ${BRIDGE} (expected one of: ${BRIDGES.join(', ')})`);
+  process.exit(1);
+}
+const stores = (BRIDGE ? [BRIDGE] : BRIDGES).map(b => openDeadLetters(STATE_DIR, b));
+
+/** Find the store holding `requestId`; exits if it is missing. */
+function locate(requestId) {
+  if (!requestId) { console.error(`Usage: node dead-letter.js ${command} <requestId>`); process.exit(1); }
+  const store = stores.find(s => s.get(requestId));
+  if (!store) { console.error(`No dead-lettered request ${requestId} in ${STATE_DIR}`); process.exit(1); }
+  return store;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+switch (command) {
+  case 'list': {
+    let total = 0;
+    for (const store of stores) {
+      const records = store.list();
+      total += records.length;
+      if (!records.length) continue;
+      console.log(`\n${store.bridge}  (${records.length})`);
+      for (const r of records) {
+        const last = r.errors.at(-1);
+        const flag = r.replayRequestedAt ? '  [replay pending]' : '';
+        console.log(`  ${r.id}  prId="${r.job.prId}"  attempts=${r.attempts}  at=${r.deadLetteredAt}${flag}`);
+        console.log(`      ${last.kind}: ${last.message}`);
+      }
+    }
+    if (!total) console.log(`No dead-lettered requests in ${STATE_DIR}`);
+    break;
+  }
+
+  case 'show': {
+    console.log(JSON.stringify(locate(target).get(target), null, 2));
+    break;
+  }
+
+  case 'replay': {
+    const ids = target === '--all'
+      ? stores.flatMap(s => s.list().map(r => [s, r.id]))
+      : [[locate(target), target]];
+    for (const [store, id] of ids) {
+      store.requestReplay(id);
+      console.log(`Replay requested: ${store.bridge} ${id}`);
+    }
+    if (!ids.length) console.log('Nothing to replay');
+    break;
+  }
+
+  case 'drop': {
+    const store = locate(target);
+    store.remove(target);
+    console.log(`Dropped ${store.bridge} ${target}`);
+    break;
+  }
+
+  default:
+    console.error('Usage: node dead-letter.js <list|show|replay|drop> [requestId|--all] [--bridge <name>] [--state-dir <dir>]');
+    process.exit(1);
+}
@@ -0,0 +1,110 @@
+/**
+ * flow-policy.js
+ *
+ * Create and inspect flow policies in FlowAuthorizationRegistry.
+ *
+ * A flow policy limits one execution chain (traceId) to the given agents and
+ * the capabilities their cards declare.  It must exist before the chain's
+ * first request, so `create` prints the traceId to pass to requestReview().
+ * The traceId is derived from the initiator's address and --salt (random by
+ * default), and only the initiator — the --privkey account — may send
+ * requests that carry it.
+ *
+ * Usage:
+ *   node flow-policy.js create --cards ../agents/alice.json,../agents/dave.json
+ *                              [--salt 0x…] --privkey 0xInitiatorKey
+ *   node flow-policy.js show   <traceId>
+ *
+ * The registries default to the FlowAuthorizationRegistry and IdentityRegistry
+ * recorded in deployed-addresses.json (--network, --manifest); override with
+ * --flow-registry / FLOW_REGISTRY_ADDRESS, --identity-registry /
+ * IDENTITY_REGISTRY_ADDRESS and --rpc / RPC_URL.  --privkey defaults to
+ * ORCHESTRATOR_PRIVATE_KEY.
+ */
+
+import { ethers } from 'ethers';
+import fs   from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { IDENTITY_REGISTRY_ABI } from './lib/agent-identity.js';
+import { loadDeployment } from './lib/deployment.js';
+import { FLOW_REGISTRY_ABI, capabilityId, createFlowFromCards, describePolicy } from './lib/flow-policy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function arg(flag, envVar) {
+  const idx = process.argv.indexOf(flag);
+  return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
+}
+
+const deployment = loadDeployment({
+  network: arg('--network',  'NETWORK'),
+  file:    arg('--manifest', 'DEPLOYMENT_MANIFEST'),
+});
+const FLOW_REGISTRY     = arg('--flow-registry',     'FLOW_REGISTRY_ADDRESS')     ?? deployment?.contracts.FlowAuthorizationRegistry;
+const IDENTITY_REGISTRY = arg('--identity-registry', 'IDENTITY_REGISTRY_ADDRESS') ?? deployment?.contracts.IdentityRegistry;
+const RPC_URL           = arg('--rpc',               'RPC_URL') ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
+const FROM_BLOCK        = deployment?.contracts.IdentityRegistry?.toLowerCase() === IDENTITY_REGISTRY?.toLowerCase() ? deployment.deployBlock : 0;
+const [command, target] = process.argv.slice(2);
+
+if (!FLOW_REGISTRY) { console.error('Missing --flow-registry / FLOW_REGISTRY_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+
+const provider     = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+const flowRegistry = new ethers.Contract(FLOW_REGISTRY, FLOW_REGISTRY_ABI, provider);
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+async function create() {
+  const cards      = arg('--cards', 'FLOW_CARDS');
+  const privateKey = arg('--privkey', 'ORCHESTRATOR_PRIVATE_KEY');
+  const salt       = arg('--salt');
+  if (!cards)      { console.error('Missing --cards <card.json,…>');                        process.exit(1); }
+  if (!privateKey) { console.error('Missing --privkey / ORCHESTRATOR_PRIVATE_KEY');          process.exit(1); }
+  if (!IDENTITY_REGISTRY) { console.error('Missing --identity-registry / IDENTITY_REGISTRY_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+  if (salt && !ethers.isHexString(salt, 32)) { console.error(`Invalid --salt ${salt} (expected 32 bytes hex)`); process.exit(1); }
+
+  const flow = await createFlowFromCards({
+    flowRegistry:     flowRegistry.connect(new ethers.Wallet(privateKey, provider)),
+    identityRegistry: new ethers.Contract(IDENTITY_REGISTRY, IDENTITY_REGISTRY_ABI, provider),
+    cardFiles:        cards.split(',').map(f => path.resolve(f.trim())),
+    salt:             salt ?? undefined,
+    fromBlock:        FROM_BLOCK,
+  });
+  console.log(`Flow created  traceId=${flow.traceId}  tx=${flow.txHash}`);
+  describePolicy(flow.policy).forEach(line => console.log(`  ${line}`));
+  console.log(`\nPass ${flow.traceId} as the traceId of the first requestReview(), sent from the same account.`);
+}
+
+async function show(traceId) {
+  if (!ethers.isHexString(traceId, 32)) { console.error('Usage: node flow-policy.js show <traceId>'); process.exit(1); }
+  if (!await flowRegistry.flowExists(traceId)) {
+    console.log(`No flow policy for ${traceId} — the trace is open to every bound agent`);
+    return;
+  }
+  // Capability hashes back to names, for every capability a local card declares
+  const agentsDir = path.resolve(__dirname, '..', 'agents');
+  const names = new Map(fs.readdirSync(agentsDir)
+    .filter(f => f.endsWith('.json'))
+    .flatMap(f => JSON.parse(fs.readFileSync(path.join(agentsDir, f), 'utf8')).capabilities ?? [])
+    .map(c => [capabilityId(c), c]));
+
+  const { initiator, createdAt, agents } = await flowRegistry.getFlow(traceId);
+  console.log(`Flow ${traceId}`);
+  console.log(`  initiator ${initiator}  created ${new Date(Number(createdAt) * 1000).toISOString()}`);
+  for (const agent of agents) {
+    const capabilities = await flowRegistry.getCapabilities(traceId, agent);
+    console.log(`  ${agent}  ${capabilities.map(c => names.get(c) ?? c).join(', ')}`);
+  }
+}
+
+async function main() {
+  switch (command) {
+    case 'create': return create();
+    case 'show':   return show(target);
+    default:
+      console.error('Usage: node flow-policy.js <create|show> [--cards <card.json,…>] [--salt 0x…] [traceId]');
+      process.exit(1);
+  }
+}
+
+main().catch(err => { console.error(err.shortMessage ?? err.message); process.exit(1); });
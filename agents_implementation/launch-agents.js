@@ -20,17 +20,27 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ── Config ───────────────────────────────────────────────────────────────────
 const AGENTS_DIR          = path.resolve(__dirname, '..', 'agents');
-const REVIEWER_SERVER_JS  = path.resolve(__dirname, 'code-reviewer-server.js');
-const APPROVER_SERVER_JS  = path.resolve(__dirname, 'code-approver-server.js');
+// Capability → agent type, for cards whose mcpSpec does not name a known type
+const CAPABILITY_TYPES    = { 'approve-pr': 'code-approver', 'code-review': 'code-reviewer' };
 // Legacy fallback for cards with no recognised capability
-const FALLBACK_SERVER_JS  = path.resolve(__dirname, 'code-reviewer-server.js');
+const FALLBACK_TYPE       = 'code-reviewer';
 
-/** Pick the right server script for a given agent card. */
-function serverScriptFor(card) {
+/**
+ * Pick the server script for a given agent card.  Each agent type has one
+ * handler file, <type>-server.js, named after its MCP spec's `name`, so a new
+ * type only needs agents/mcp/<type>.mcp.json and <type>-server.js.
+ */
+function serverScriptFor(card, cardPath) {
+  const script = type => path.resolve(__dirname, `${type}-server.js`);
+  if (card.mcpSpec) {
+    try {
+      const spec = JSON.parse(fs.readFileSync(path.resolve(path.dirname(cardPath), card.mcpSpec), 'utf8'));
+      if (spec.name && fs.existsSync(script(spec.name))) return script(spec.name);
+    } catch (_) {}
+  }
   const caps = card.capabilities ?? [];
-  if (caps.includes('approve-pr')) return APPROVER_SERVER_JS;
-  if (caps.includes('code-review'))  return REVIEWER_SERVER_JS;
-  return FALLBACK_SERVER_JS;
+  const type = Object.entries(CAPABILITY_TYPES).find(([cap]) => caps.includes(cap))?.[1];
+  return script(type ?? FALLBACK_TYPE);
 }
 
 let BASE_PORT = 9000;
@@ -86,7 +96,7 @@ cardFiles.forEach((file) => {
   usedPorts.add(port);
   if (port === fallbackPort) fallbackPort++;
 
-  const serverScript = serverScriptFor(card);
+  const serverScript = serverScriptFor(card, cardPath);
   const child = spawn(
     process.execPath,
     [serverScript, cardPath, String(port)],
@@ -2,9 +2,12 @@
  * launch-bridges.js
  *
  * Starts the code-reviewer-bridge and code-approver-bridge as background
- * processes, reading contract addresses and config from env vars or CLI flags.
+ * processes. Contract addresses and the RPC URL come from the deployment
+ * manifest (deployed-addresses.json); env vars or CLI flags override it.
  *
  * Usage:
+ *   node launch-bridges.js --privkey 0xOraclePrivateKey [--network localhost]
+ *
  *   node launch-bridges.js \
  *     --reviewer-contract  0xReviewerOracleAddress \
  *     --approver-contract  0xApproverOracleAddress \
@@ -16,12 +19,25 @@
  *   APPROVER_CONTRACT_ADDRESS
  *   RPC_URL
  *   ORACLE_PRIVATE_KEY
+ *   NETWORK              (manifest entry, default "localhost")
+ *   DEPLOYMENT_MANIFEST  (manifest path, default ../deployed-addresses.json)
+ *   BRIDGE_STATE_DIR     (event cursor directory, default ./state)
+ *   ROUTING_STRATEGY     (round-robin | least-in-flight | reputation)
+ *   METRICS_PORT         (--metrics-port: the reviewer bridge serves GET /metrics on
+ *                         this port, the approver bridge on the next one)
+ *   LOG_LEVEL, LOG_FORMAT, LOG_DIR  (passed through; see lib/logger.js)
+ *
+ * Each bridge writes its structured log to <LOG_DIR>/<bridge>.jsonl itself
+ * (reviewer-bridge.jsonl, approver-bridge.jsonl; read them with logs.js).
+ * Only stderr is captured here, to logs/<name>.err.log, so a crash that
+ * happens before or outside the logger is not lost.
  */
 
 import { spawn } from 'node:child_process';
 import path      from 'node:path';
 import fs        from 'node:fs';
 import { fileURLToPath } from 'node:url';
+import { loadDeployment } from './lib/deployment.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -31,26 +47,43 @@ function arg(flag, envVar) {
   return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
 }
 
-const REVIEWER_CONTRACT = arg('--reviewer-contract', 'REVIEWER_CONTRACT_ADDRESS');
-const APPROVER_CONTRACT = arg('--approver-contract', 'APPROVER_CONTRACT_ADDRESS');
-const RPC_URL           = arg('--rpc',               'RPC_URL')            ?? 'http://127.0.0.1:8545';
+const NETWORK  = arg('--network',  'NETWORK')             ?? 'localhost';
+const MANIFEST = arg('--manifest', 'DEPLOYMENT_MANIFEST');
+const deployment = loadDeployment({ network: NETWORK, file: MANIFEST });
+
+const REVIEWER_CONTRACT = arg('--reviewer-contract', 'REVIEWER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeReviewerOracle;
+const APPROVER_CONTRACT = arg('--approver-contract', 'APPROVER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeApproverOracle;
+const RPC_URL           = arg('--rpc',               'RPC_URL')            ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
 const PRIVATE_KEY       = arg('--privkey',           'ORACLE_PRIVATE_KEY');
+const STATE_DIR         = arg('--state-dir',         'BRIDGE_STATE_DIR');
+const STRATEGY          = arg('--strategy',          'ROUTING_STRATEGY');
+const METRICS_PORT      = arg('--metrics-port',      'METRICS_PORT');
 
-if (!REVIEWER_CONTRACT) { console.error('Missing --reviewer-contract / REVIEWER_CONTRACT_ADDRESS'); process.exit(1); }
-if (!APPROVER_CONTRACT) { console.error('Missing --approver-contract / APPROVER_CONTRACT_ADDRESS'); process.exit(1); }
+if (!REVIEWER_CONTRACT) { console.error('Missing --reviewer-contract / REVIEWER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!APPROVER_CONTRACT) { console.error('Missing --approver-contract / APPROVER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
 if (!PRIVATE_KEY)       { console.error('Missing --privkey / ORACLE_PRIVATE_KEY');                  process.exit(1); }
+if (METRICS_PORT && !/^\d+$/.test(METRICS_PORT)) { console.error(`Invalid --metrics-port ${METRICS_PORT}`); process.exit(1); }
+
+if (deployment) console.log(`Using deployment manifest ${deployment.file} (${deployment.network})`);
 
 // ── Bridge definitions ────────────────────────────────────────────────────────
+// The manifest selection is forwarded so each bridge reads the same deploy block and chainId.
+const commonArgs = [
+  '--rpc', RPC_URL, '--privkey', PRIVATE_KEY, '--network', NETWORK,
+  ...(MANIFEST  ? ['--manifest',  MANIFEST]  : []),
+  ...(STATE_DIR ? ['--state-dir', STATE_DIR] : []),
+  ...(STRATEGY  ? ['--strategy',  STRATEGY]  : []),
+];
 const bridges = [
   {
     name:   'code-reviewer-bridge',
     script: path.resolve(__dirname, 'code-reviewer-bridge.js'),
-    args:   ['--contract', REVIEWER_CONTRACT, '--rpc', RPC_URL, '--privkey', PRIVATE_KEY],
+    args:   ['--contract', REVIEWER_CONTRACT, ...commonArgs, ...(METRICS_PORT ? ['--metrics-port', METRICS_PORT] : [])],
   },
   {
     name:   'code-approver-bridge',
     script: path.resolve(__dirname, 'code-approver-bridge.js'),
-    args:   ['--contract', APPROVER_CONTRACT, '--rpc', RPC_URL, '--privkey', PRIVATE_KEY],
+    args:   ['--contract', APPROVER_CONTRACT, ...commonArgs, ...(METRICS_PORT ? ['--metrics-port', String(Number(METRICS_PORT) + 1)] : [])],
   },
 ];
 
@@ -62,21 +95,18 @@ if (!fs.existsSync(LOGS_DIR)) fs.mkdirSync(LOGS_DIR, { recursive: true });
 const children = [];
 
 bridges.forEach(({ name, script, args }) => {
-  const outPath = path.join(LOGS_DIR, `${name}.log`);
   const errPath = path.join(LOGS_DIR, `${name}.err.log`);
-
-  const out = fs.openSync(outPath, 'a');
   const err = fs.openSync(errPath, 'a');
 
   const child = spawn(process.execPath, [script, ...args], {
     detached: false,
-    stdio: ['ignore', out, err],
+    stdio: ['ignore', 'ignore', err],
   });
 
   child.on('error', e => console.error(`[${name}] Failed to start: ${e.message}`));
   child.on('exit',  c => { if (c && c !== 0) console.warn(`[${name}] Exited with code ${c}`); });
 
-  console.log(`Spawned [${name}] pid=${child.pid}  stdout→${outPath}`);
+  console.log(`Spawned [${name}] pid=${child.pid}  stderr→${errPath}`);
   children.push(child);
 });
 
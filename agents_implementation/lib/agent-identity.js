@@ -0,0 +1,110 @@
+/**
+ * lib/agent-identity.js
+ *
+ * Resolves agent cards to their on-chain ERC-8004 identities.
+ *
+ * register-mocks.js registers every card with an agentURI of the form
+ *   data:application/json;base64,<card JSON>
+ * so the agentId of a card can be recovered by scanning the identity
+ * registry's Registered events and decoding each URI.  When a card has been
+ * registered more than once (e.g. register-mocks re-run against the same
+ * registry) the most recent registration wins.
+ */
+
+import { ethers } from 'ethers';
+import fs   from 'node:fs';
+import path from 'node:path';
+
+// ── Minimal ABI — only what identity resolution needs ─────────────────────────
+export const IDENTITY_REGISTRY_ABI = [
+  'event Registered(uint256 indexed agentId, string agentURI, address indexed owner)',
+  'function getAgentWallet(uint256 agentId) view returns (address)',
+  'function getOracleAddress(uint256 agentId) view returns (address)',
+];
+
+/** Load every agent card in `agentsDir` that declares `capability`. */
+export function loadAgentCards(agentsDir, capability) {
+  return fs
+    .readdirSync(agentsDir)
+    .filter(f => f.endsWith('.json') && !f.startsWith('.'))
+    .sort()
+    .map(f => JSON.parse(fs.readFileSync(path.join(agentsDir, f), 'utf8')))
+    .filter(c => c.capabilities?.includes(capability));
+}
+
+/** Decode a `data:application/json;base64,…` agentURI. Returns null for any other URI. */
+export function decodeAgentURI(uri) {
+  const m = /^data:application\/json;base64,(.+)$/.exec(uri ?? '');
+  if (!m) return null;
+  try { return JSON.parse(Buffer.from(m[1], 'base64').toString('utf8')); }
+  catch { return null; }
+}
+
+/**
+ * Attach the on-chain agentId to each card by scanning Registered events.
+ * Cards are matched by `name`; cards with no registration get `agentId: null`.
+ */
+export async function resolveAgentIds(registry, cards, { fromBlock = 0 } = {}) {
+  const logs   = await registry.queryFilter(registry.filters.Registered(), fromBlock);
+  const byName = new Map();
+  for (const log of logs) {
+    const card = decodeAgentURI(log.args.agentURI);
+    if (card?.name) byName.set(card.name, log.args.agentId);
+  }
+  return cards.map(card => ({ ...card, agentId: byName.get(card.name) ?? null }));
+}
+
+/**
+ * The reverse lookup: agentId (as a string) → card, for every registration
+ * whose agentURI decodes to a card.  Used to put names on agentIds in traces.
+ */
+export async function agentCardsById(registry, { fromBlock = 0 } = {}) {
+  const logs = await registry.queryFilter(registry.filters.Registered(), fromBlock);
+  const byId = new Map();
+  for (const log of logs) {
+    const card = decodeAgentURI(log.args.agentURI);
+    if (card?.name) byId.set(log.args.agentId.toString(), card);
+  }
+  return byId;
+}
+
+/**
+ * Check each resolved agent's on-chain bindings against the bridge.
+ * An agent is routable only if its agentWallet is the bridge signer and its
+ * oracleAddress is the oracle contract the bridge serves — the same two
+ * checks `onlyRegisteredOracle` performs on every fulfill*() call.
+ *
+ * With `signedResults`, an agent whose agentWallet is some other key is
+ * routable too: the fulfill*Signed() functions only check the oracle
+ * binding and the agent's own signature (see lib/result-signing.js).
+ *
+ * Returns `{ routable, refused }`; routable entries carry the agent's
+ * `wallet`, refused entries a `reason`.
+ */
+export async function verifyAgentBindings(registry, agents, { signer, oracle, signedResults = false }) {
+  const routable = [];
+  const refused  = [];
+  for (const agent of agents) {
+    if (agent.agentId === null) {
+      refused.push({ ...agent, reason: 'not registered in the identity registry' });
+      continue;
+    }
+    const [wallet, boundOracle] = await Promise.all([
+      registry.getAgentWallet(agent.agentId),
+      registry.getOracleAddress(agent.agentId),
+    ]);
+    if (!signedResults && !sameAddress(wallet, signer)) {
+      refused.push({ ...agent, reason: `agentWallet ${wallet} is not the bridge signer ${signer}` });
+    } else if (!sameAddress(boundOracle, oracle)) {
+      refused.push({ ...agent, reason: `bound oracle ${boundOracle} is not ${oracle}` });
+    } else {
+      routable.push({ ...agent, wallet });
+    }
+  }
+  return { routable, refused };
+}
+
+/** Whether two addresses are equal, ignoring checksum case. */
+export function sameAddress(a, b) {
+  return ethers.getAddress(a) === ethers.getAddress(b);
+}
@@ -0,0 +1,185 @@
+/**
+ * lib/agent-router.js
+ *
+ * Health-aware load balancing across the agents a bridge may route to.
+ *
+ * Strategies (--strategy / ROUTING_STRATEGY):
+ *   round-robin      — rotate through healthy agents in card order (default)
+ *   least-in-flight  — the healthy agent with the fewest MCP calls in progress
+ *   reputation       — smooth weighted round-robin, weighted by each agent's
+ *                      ReputationRegistry.getSummary() average; unrated agents
+ *                      get the mean weight of the rated ones
+ *
+ * Every agent is pinged (tool: agent/ping) every `healthIntervalMs`.  An agent
+ * whose ping fails — or whose MCP call fails at the transport level — leaves
+ * the rotation until a later ping succeeds.
+ */
+
+import { ethers } from 'ethers';
+import { callTool, McpTransportError } from './mcp-client.js';
+
+export const STRATEGIES = ['round-robin', 'least-in-flight', 'reputation'];
+
+// ── Minimal ABI — only what reputation weighting needs ────────────────────────
+export const REPUTATION_REGISTRY_ABI = [
+  'function getClients(uint256 agentId) view returns (address[])',
+  'function getSummary(uint256 agentId, address[] clientAddresses, string tag1, string tag2) view returns (uint64 count, int128 summaryValue, uint8 summaryValueDecimals)',
+];
+
+/**
+ * @param {object[]} agents  Resolved agent cards (need `name`, `endpoint`, `agentId`)
+ * @param {object}   opts
+ * @param {object}   opts.log                  Logger (lib/logger.js)
+ * @param {string}  [opts.strategy='round-robin']
+ * @param {number}  [opts.healthIntervalMs=10000]
+ * @param {number}  [opts.pingTimeoutMs=2000]
+ * @param {ethers.Contract} [opts.reputation]  ReputationRegistry (required for 'reputation')
+ * @param {number}  [opts.reputationRefreshMs=60000]
+ * @param {Function} [opts.sign]  Signs health-check pings (callTool's `sign`)
+ */
+export function createAgentRouter(agents, {
+  log,
+  strategy = 'round-robin',
+  healthIntervalMs = 10_000,
+  pingTimeoutMs = 2000,
+  reputation,
+  reputationRefreshMs = 60_000,
+  sign,
+}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown routing strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+  }
+  if (strategy === 'reputation' && !reputation) {
+    throw new Error('The reputation strategy needs a ReputationRegistry address');
+  }
+
+  // Per-agent routing state, keyed by endpoint
+  const state = new Map(agents.map(a => [a.endpoint, { healthy: true, inFlight: 0, weight: 1, current: 0 }]));
+  let next = 0;
+
+  const healthy = () => agents.filter(a => state.get(a.endpoint).healthy);
+
+  function markDown(agent, reason) {
+    const s = state.get(agent.endpoint);
+    if (!s.healthy) return;
+    s.healthy = false;
+    log.warn(`✗ ${agent.name} (${agent.endpoint}) out of rotation: ${reason}`, { agent: agent.name });
+  }
+
+  function markUp(agent) {
+    const s = state.get(agent.endpoint);
+    if (s.healthy) return;
+    s.healthy = true;
+    log.info(`✓ ${agent.name} (${agent.endpoint}) back in rotation`, { agent: agent.name });
+  }
+
+  async function checkHealth() {
+    await Promise.all(agents.map(async agent => {
+      try {
+        const pong = await callTool(agent.endpoint, 'agent/ping', {}, { timeoutMs: pingTimeoutMs, sign });
+        if (pong?.status !== 'pong') throw new Error(`unexpected ping reply ${JSON.stringify(pong)}`);
+        markUp(agent);
+      } catch (err) {
+        markDown(agent, `ping failed — ${err.message}`);
+      }
+    }));
+  }
+
+  async function refreshReputation() {
+    const scores = await Promise.all(agents.map(async agent => {
+      const clients = await reputation.getClients(agent.agentId);
+      if (clients.length === 0) return null;
+      // getSummary needs the client list explicitly; ethers Results are frozen, so copy it
+      const [count, value, decimals] = await reputation.getSummary(agent.agentId, [...clients], '', '');
+      return count > 0n ? Number(ethers.formatUnits(value, decimals)) : null;
+    }));
+    const rated = scores.filter(s => s !== null);
+    const mean  = rated.length ? rated.reduce((a, b) => a + b, 0) / rated.length : 1;
+    agents.forEach((agent, i) => {
+      // Non-positive scores still get a trickle of traffic so they can recover
+      state.get(agent.endpoint).weight = Math.max(scores[i] ?? mean, 0.01);
+    });
+    log.info(`Reputation weights: ${agents.map(a => `${a.name}=${state.get(a.endpoint).weight}`).join('  ')}`);
+  }
+
+  const pickers = {
+    'round-robin'(candidates) {
+      return candidates[next++ % candidates.length];
+    },
+    'least-in-flight'(candidates) {
+      // Ties go to the agent after the previous pick, so idle agents share work evenly
+      const offset  = next++ % candidates.length;
+      const rotated = [...candidates.slice(offset), ...candidates.slice(0, offset)];
+      return rotated.reduce((best, a) => (state.get(a.endpoint).inFlight < state.get(best.endpoint).inFlight ? a : best));
+    },
+    reputation(candidates) {
+      // Smooth weighted round-robin: deterministic, interleaved, proportional to weight
+      const total = candidates.reduce((sum, a) => sum + state.get(a.endpoint).weight, 0);
+      let best = candidates[0];
+      for (const a of candidates) {
+        const s = state.get(a.endpoint);
+        s.current += s.weight;
+        if (s.current > state.get(best.endpoint).current) best = a;
+      }
+      state.get(best.endpoint).current -= total;
+      return best;
+    },
+  };
+
+  return {
+    strategy,
+
+    /** Run the first health check (and reputation refresh), then keep both running. */
+    async start() {
+      await checkHealth();
+      log.info(`Routing  : ${strategy}, ${healthy().length}/${agents.length} agent(s) healthy`);
+      setInterval(checkHealth, healthIntervalMs);
+      if (strategy === 'reputation') {
+        await refreshReputation();
+        setInterval(() => refreshReputation().catch(err =>
+          log.error(`✗ Reputation refresh failed: ${err.message}`)), reputationRefreshMs);
+      }
+    },
+
+    /**
+     * Choose an agent for the next request, or null if none is healthy.
+     * A healthy agent whose endpoint equals `hint` is always preferred.
+     * `allowed` narrows the choice (e.g. to the agents a flow authorizes).
+     */
+    pick(hint, allowed = () => true) {
+      const candidates = healthy().filter(allowed);
+      if (candidates.length === 0) return null;
+      const match = hint && candidates.find(a => a.endpoint === hint);
+      return match || pickers[strategy](candidates);
+    },
+
+    /** Choose up to `n` distinct healthy agents, in strategy order, among those `allowed`. */
+    pickMany(n, allowed = () => true) {
+      const remaining = healthy().filter(allowed);
+      const chosen = [];
+      while (chosen.length < n && remaining.length) {
+        const agent = pickers[strategy](remaining);
+        chosen.push(agent);
+        remaining.splice(remaining.indexOf(agent), 1);
+      }
+      return chosen;
+    },
+
+    /**
+     * Run `fn` as an in-flight call to `agent`.  A transport failure takes the
+     * agent out of rotation until its next successful ping.
+     */
+    async track(agent, fn) {
+      const s = state.get(agent.endpoint);
+      s.inFlight++;
+      try {
+        return await fn();
+      } catch (err) {
+        if (err instanceof McpTransportError) markDown(agent, err.message);
+        throw err;
+      } finally {
+        s.inFlight--;
+      }
+    },
+  };
+}
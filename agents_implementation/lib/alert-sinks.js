@@ -0,0 +1,109 @@
+/**
+ * lib/alert-sinks.js
+ *
+ * Pluggable destinations for trace-watcher.js alerts.
+ *
+ * Sinks are configured as a comma-separated list:
+ *   console                         log each alert
+ *   webhook=https://hooks.example/x POST each alert as JSON
+ *   file=./state/alerts.json        append each alert to a JSON array
+ *
+ * Every sink is `{ name, send(alert): Promise<void> }`; a failing sink is
+ * logged and never stops the others.
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+
+export const SINK_TYPES = ['console', 'webhook', 'file'];
+
+/** "console,webhook=https://…" → [{ type: 'console' }, { type: 'webhook', target: 'https://…' }] */
+export function parseSinkSpecs(spec) {
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const eq     = entry.indexOf('=');
+    const type   = eq === -1 ? entry : entry.slice(0, eq);
+    const target = eq === -1 ? null  : entry.slice(eq + 1);
+    if (!SINK_TYPES.includes(type)) throw new Error(`Unknown alert sink "${type}" (expected one of: ${SINK_TYPES.join(', ')})`);
+    if (type !== 'console' && !target) throw new Error(`Alert sink "${type}" needs a target: ${type}=…`);
+    return { type, target };
+  });
+}
+
+/**
+ * Create one sink.
+ * @param {{ type: string, target?: string }} spec
+ * @param {object} [opts]
+ * @param {string} [opts.prefix='[alerts]']     Console sink log prefix
+ * @param {object} [opts.logger]                Console sink: a lib/logger.js logger to write
+ *                                              alerts through instead (prefix unused)
+ * @param {number} [opts.timeoutMs=5000]        Webhook request timeout
+ * @param {object} [opts.headers]               Extra webhook headers (e.g. Authorization)
+ */
+export function createSink({ type, target }, { prefix = '[alerts]', timeoutMs = 5_000, headers = {}, logger } = {}) {
+  switch (type) {
+    case 'console':
+      return {
+        name: 'console',
+        async send(alert) {
+          if (logger) {
+            const line = `${alert.type === 'stalled' ? '⚠' : '✓'} ${alert.message}`;
+            logger[alert.type === 'stalled' ? 'warn' : 'info'](line, { traceId: alert.traceId, alert: alert.type });
+            return;
+          }
+          const log = alert.type === 'stalled' ? console.warn : console.log;
+          log(`${prefix} ${alert.type === 'stalled' ? '⚠' : '✓'} ${alert.message}`);
+        },
+      };
+
+    case 'webhook':
+      return {
+        name: `webhook ${target}`,
+        async send(alert) {
+          const res = await fetch(target, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body:    JSON.stringify(alert),
+            signal:  AbortSignal.timeout(timeoutMs),
+          });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        },
+      };
+
+    case 'file': {
+      const file = path.resolve(target);
+      return {
+        name: `file ${file}`,
+        async send(alert) {
+          let alerts = [];
+          try { alerts = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { /* new file */ }
+          if (!Array.isArray(alerts)) throw new Error(`${file} does not hold a JSON array`);
+          alerts.push(alert);
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(`${file}.tmp`, JSON.stringify(alerts, null, 2));
+          fs.renameSync(`${file}.tmp`, file);
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown alert sink "${type}"`);
+  }
+}
+
+/**
+ * Fan an alert out to every sink.
+ * @param {object[]} sinks  From createSink
+ * @param {object}  [opts]
+ * @param {(message: string) => void} [opts.warn=console.warn]  Reports sink failures
+ */
+export function createAlerter(sinks, { warn = console.warn } = {}) {
+  return {
+    sinks,
+    async send(alert) {
+      const results = await Promise.allSettled(sinks.map(sink => sink.send(alert)));
+      results.forEach((r, i) => {
+        if (r.status === 'rejected') warn(`alert sink ${sinks[i].name} failed: ${r.reason?.cause?.message ?? r.reason?.message}`);
+      });
+    },
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * lib/dead-letter.js
+ *
+ * Local dead-letter store for bridge jobs that failed permanently or ran out
+ * of retries.  One JSON file per requestId:
+ *
+ *   <state-dir>/dead-letter/<bridge>/<requestId>.json
+ *   {
+ *     "id": "0x…", "bridge": "code-reviewer-bridge",
+ *     "job":      { "id": "0x…", "prId": "PR-42", "traceId": "0x…", … },
+ *     "attempts": 5,
+ *     "errors":   [ { "attempt": 1, "at": "…", "kind": "transient", "message": "…" }, … ],
+ *     "firstDeadLetteredAt": "…", "deadLetteredAt": "…", "deadLetterCount": 1,
+ *     "replayRequestedAt": null
+ *   }
+ *
+ * dead-letter.js (the CLI) sets `replayRequestedAt`; the running bridge polls
+ * for such entries, re-runs their job and removes the file on success.
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+
+/** Names of the bridges that keep a dead-letter store. */
+export const BRIDGES = ['code-reviewer-bridge', 'code-approver-bridge'];
+
+export function deadLetterDir(stateDir, bridge) {
+  return path.join(stateDir, 'dead-letter', bridge);
+}
+
+/** Open the dead-letter store of one bridge. */
+export function openDeadLetters(stateDir, bridge) {
+  const dir = deadLetterDir(stateDir, bridge);
+  const fileOf = id => path.join(dir, `${id}.json`);
+
+  function write(record) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = fileOf(record.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function get(id) {
+    try { return JSON.parse(fs.readFileSync(fileOf(id), 'utf8')); }
+    catch { return null; }
+  }
+
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => get(f.slice(0, -'.json'.length)))
+      .filter(Boolean)
+      .sort((a, b) => a.deadLetteredAt.localeCompare(b.deadLetteredAt));
+  }
+
+  return {
+    dir,
+    bridge,
+    get,
+    list,
+
+    /** Record (or re-record, after a failed replay) a dead-lettered job. */
+    put(job, errors) {
+      const prev = get(job.id);
+      const now  = new Date().toISOString();
+      write({
+        id:                  job.id,
+        bridge,
+        job,
+        attempts:            (prev?.attempts ?? 0) + errors.length,
+        errors:              [...(prev?.errors ?? []), ...errors],
+        firstDeadLetteredAt: prev?.firstDeadLetteredAt ?? now,
+        deadLetteredAt:      now,
+        deadLetterCount:     (prev?.deadLetterCount ?? 0) + 1,
+        replayRequestedAt:   null,
+      });
+    },
+
+    /** Delete an entry. Returns false if it did not exist. */
+    remove(id) {
+      try { fs.unlinkSync(fileOf(id)); return true; }
+      catch { return false; }
+    },
+
+    /** Flag an entry for replay by the running bridge. Returns false if it does not exist. */
+    requestReplay(id) {
+      const record = get(id);
+      if (!record) return false;
+      write({ ...record, replayRequestedAt: new Date().toISOString() });
+      return true;
+    },
+
+    /** Return the entries flagged for replay, clearing the flag so each is taken once. */
+    takeReplays() {
+      const taken = list().filter(r => r.replayRequestedAt);
+      taken.forEach(r => write({ ...r, replayRequestedAt: null }));
+      return taken;
+    },
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * lib/decision-engine.js
+ *
+ * Approval decisions for the approve_pr tool of code-approver-server.js.
+ *
+ * Engines (DECISION_ENGINE, default "policy"):
+ *   policy — applies the configured policy to the reviewer's result
+ *   llm    — renders approve_pr_prompt with the reviewer summary and comments,
+ *            asks a chat-completions endpoint (see lib/llm-client.js) for a
+ *            decision, and still applies the policy: the stricter of the two
+ *            decisions wins, so policy rules act as guardrails
+ *
+ * Policy (JSON file named by APPROVER_POLICY; every key optional):
+ *   {
+ *     "blockingSeverities":      ["critical", "error"],   // any such comment → needs_revision
+ *     "maxWarnings":             { "style": 5, "*": 20 }, // per category ("*" = all) → needs_revision
+ *     "requiredCategories":      ["security", "tests"],   // must be in the review's focus → needs_revision
+ *     "rejectOn":                [{ "category": "security", "severity": "critical" }], // → rejected
+ *     "requireReviewerApproval": false                    // reviewer approved=false → needs_revision
+ *   }
+ *
+ * A PR with no review (review.found false) is never approved: the built-in
+ * `review-found` rule sends it back as needs_revision before any policy rule
+ * runs, since an empty comment list would otherwise pass every check.  The
+ * llm engine returns that decision without asking the model, which would
+ * read the empty list as a clean review.
+ *
+ * Every decision lists the rules that fired in `rules_fired`
+ * ({ rule, effect: "reject" | "revise", detail }; the llm engine adds a
+ * { rule: "llm", effect: "approve" | "revise" | "reject" } entry for the model's verdict).
+ */
+
+import fs from 'node:fs';
+import { createLlmClient } from './llm-client.js';
+
+export const DECISION_ENGINES = ['policy', 'llm'];
+
+export const DEFAULT_POLICY = {
+  blockingSeverities:      ['critical', 'error'],
+  maxWarnings:             {},
+  requiredCategories:      [],
+  rejectOn:                [],
+  requireReviewerApproval: false,
+};
+
+// Decisions from least to most severe; combining two decisions keeps the stricter
+const DECISION_RANK = { approved: 0, needs_revision: 1, rejected: 2 };
+const EFFECT_DECISION = { revise: 'needs_revision', reject: 'rejected' };
+
+/** Read a policy file and merge it over DEFAULT_POLICY; unknown keys are an error. */
+export function loadPolicy(file) {
+  if (!file) return { ...DEFAULT_POLICY };
+  const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const unknown = Object.keys(policy).filter(k => !(k in DEFAULT_POLICY));
+  if (unknown.length) throw new Error(`Unknown policy key(s) in ${file}: ${unknown.join(', ')}`);
+  return { ...DEFAULT_POLICY, ...policy };
+}
+
+const describe = c => `${c.file}:${c.line} — ${c.message}`;
+
+/**
+ * Apply `policy` to a review.
+ * @param {object} policy
+ * @param {{ found: boolean, summary?: string, comments: object[], approved?: boolean, focus?: string[] }} review
+ * @returns {{ decision: string, unresolved_blockers: string[], rules_fired: object[] }}
+ */
+export function evaluatePolicy(policy, review) {
+  if (!review.found) {
+    return {
+      decision:            'needs_revision',
+      unresolved_blockers: [],
+      rules_fired:         [{ rule: 'review-found', effect: 'revise', detail: 'no review found for this PR' }],
+    };
+  }
+
+  const comments = review.comments ?? [];
+  const fired    = [];
+  const blockers = [];
+
+  for (const cond of policy.rejectOn) {
+    const hits = comments.filter(c =>
+      (!cond.category || c.category === cond.category) && (!cond.severity || c.severity === cond.severity));
+    if (hits.length === 0) continue;
+    fired.push({
+      rule:   `reject-on:${cond.category ?? '*'}/${cond.severity ?? '*'}`,
+      effect: 'reject',
+      detail: `${hits.length} ${cond.severity ?? ''} ${cond.category ?? ''} comment(s)`.replace(/\s+/g, ' '),
+    });
+    blockers.push(...hits.map(describe));
+  }
+
+  const blocking = comments.filter(c => policy.blockingSeverities.includes(c.severity));
+  if (blocking.length) {
+    fired.push({
+      rule:   'blocking-severity',
+      effect: 'revise',
+      detail: `${blocking.length} comment(s) with severity ${policy.blockingSeverities.join('/')}`,
+    });
+    blockers.push(...blocking.map(describe));
+  }
+
+  const warnings = comments.filter(c => c.severity === 'warning');
+  for (const [category, max] of Object.entries(policy.maxWarnings)) {
+    const count = warnings.filter(c => category === '*' || c.category === category).length;
+    if (count > max) {
+      fired.push({ rule: `max-warnings:${category}`, effect: 'revise', detail: `${count} warning(s), at most ${max} allowed` });
+    }
+  }
+
+  const covered = review.focus ?? [];
+  for (const category of policy.requiredCategories) {
+    if (!covered.includes(category)) {
+      fired.push({
+        rule:   `required-category:${category}`,
+        effect: 'revise',
+        detail: `the review did not cover "${category}"`,
+      });
+    }
+  }
+
+  if (policy.requireReviewerApproval && !review.approved) {
+    fired.push({
+      rule:   'reviewer-approval',
+      effect: 'revise',
+      detail: 'the reviewer did not approve',
+    });
+  }
+
+  const decision = fired.reduce(
+    (worst, f) => (DECISION_RANK[EFFECT_DECISION[f.effect]] > DECISION_RANK[worst] ? EFFECT_DECISION[f.effect] : worst),
+    'approved');
+  return { decision, unresolved_blockers: [...new Set(blockers)], rules_fired: fired };
+}
+
+function policyReason(prId, { decision, rules_fired }) {
+  if (decision === 'approved') return `All policy checks passed for PR ${prId}.`;
+  return `${rules_fired.length} policy rule(s) fired for PR ${prId}: ` +
+    rules_fired.map(f => `${f.rule} (${f.detail})`).join('; ') + '.';
+}
+
+/** Normalise near-miss decision objects from a model; never throws. */
+function repairDecision(value, prId) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const { rules_fired, ...rest } = value; // recorded by the engine, not the model
+  const fixed = { ...rest, pr_id: prId };
+  if (typeof fixed.decision === 'string') {
+    const d = fixed.decision.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    fixed.decision = {
+      approve: 'approved', approve_pr: 'approved',
+      reject: 'rejected', reject_pr: 'rejected',
+      request_changes: 'needs_revision', revise: 'needs_revision', needs_revisions: 'needs_revision',
+    }[d] ?? d;
+  }
+  if (fixed.unresolved_blockers == null) fixed.unresolved_blockers = [];
+  return fixed;
+}
+
+/**
+ * Create the configured decision engine.
+ * @param {object}  opts
+ * @param {string} [opts.engine='policy']  One of DECISION_ENGINES
+ * @param {object} [opts.policy]           Policy (see loadPolicy); defaults to DEFAULT_POLICY
+ * @param {object} [opts.llm]              createLlmClient() options (llm engine)
+ * @param {object}  opts.outputSchema      approve_pr outputSchema from the MCP spec
+ * @returns {{ name: string, policy: object,
+ *             decide(req: { prId: string, review: object, message?: string, messages: object[],
+ *                           progress?: (message: string) => void, signal?: AbortSignal }): Promise<object> }}
+ */
+export function createDecisionEngine({ engine = 'policy', policy = DEFAULT_POLICY, llm, outputSchema }) {
+  if (!DECISION_ENGINES.includes(engine)) {
+    throw new Error(`Unknown decision engine "${engine}" (expected one of: ${DECISION_ENGINES.join(', ')})`);
+  }
+  const client = engine === 'llm' ? createLlmClient(llm ?? {}) : null;
+
+  async function askModel(prId, review, verdict, messages, { progress, signal }) {
+    return client.completeJson([
+      ...messages,
+      { role: 'user', content:
+        `Review comments for PR ${prId} (the review://${prId}/comments resource):\n` +
+        `${JSON.stringify(review.comments ?? [], null, 2)}\n\n` +
+        (verdict.rules_fired.length
+          ? `Policy rules that fired: ${verdict.rules_fired.map(f => `${f.rule} → ${EFFECT_DECISION[f.effect]} (${f.detail})`).join('; ')}\n\n`
+          : '') +
+        `Reply with a single JSON object and nothing else, in place of the tool call. "decision" must be ` +
+        `"approved", "needs_revision" or "rejected". It must match this JSON Schema:\n` +
+        JSON.stringify(outputSchema) },
+    ], {
+      schema: outputSchema,
+      repair: value => repairDecision(value, prId),
+      label:  'decision',
+      signal,
+      onProgress: progress,
+    });
+  }
+
+  return {
+    name: engine,
+    policy,
+
+    async decide({ prId, review, message, messages, progress, signal }) {
+      const verdict = evaluatePolicy(policy, review);
+
+      // Nothing to show the model for a PR nobody reviewed: it needs a review first
+      if (engine === 'policy' || !review.found) {
+        return {
+          pr_id:               prId,
+          decision:            verdict.decision,
+          reason:              verdict.decision === 'approved' && message ? message : policyReason(prId, verdict),
+          unresolved_blockers: verdict.unresolved_blockers,
+          rules_fired:         verdict.rules_fired,
+        };
+      }
+
+      const answer   = await askModel(prId, review, verdict, messages, { progress, signal });
+      const decision = DECISION_RANK[verdict.decision] > DECISION_RANK[answer.decision] ? verdict.decision : answer.decision;
+      const overruled = decision !== answer.decision;
+      return {
+        pr_id:               prId,
+        decision,
+        reason:              overruled ? `${policyReason(prId, verdict)} (model suggested ${answer.decision}: ${answer.reason})` : answer.reason,
+        unresolved_blockers: [...new Set([...verdict.unresolved_blockers, ...answer.unresolved_blockers])],
+        rules_fired: [
+          ...verdict.rules_fired,
+          { rule: 'llm', effect: answer.decision === 'approved' ? 'approve' : answer.decision === 'rejected' ? 'reject' : 'revise', detail: answer.reason },
+        ],
+      };
+    },
+  };
+}
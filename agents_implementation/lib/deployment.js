@@ -0,0 +1,75 @@
+/**
+ * lib/deployment.js
+ *
+ * Reads the deployment manifest (deployed-addresses.json) written by
+ * scripts/deploy-registries.js.  See scripts/deployment-manifest.js for the
+ * file layout; this is the ESM reader used by the bridges and launchers.
+ *
+ * Resolution order for the manifest file:
+ *   --manifest <path>  →  DEPLOYMENT_MANIFEST env  →  <repo root>/deployed-addresses.json
+ * and for the network entry:
+ *   --network <name>   →  NETWORK env              →  "localhost"
+ *
+ * The MCP servers only read from the oracles; oracleFromEnv() and
+ * readOnlyContract() give them a contract without a signer.
+ */
+
+import { ethers } from 'ethers';
+import fs   from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MANIFEST_VERSION      = 1;
+export const DEFAULT_MANIFEST_PATH = path.resolve(__dirname, '..', '..', 'deployed-addresses.json');
+
+/**
+ * Load the deployment for one network.
+ * Returns `{ network, file, ...entry }`, or null when the manifest or the
+ * network entry does not exist.  Throws on an unsupported manifest version.
+ */
+export function loadDeployment({ network, file } = {}) {
+  const manifestFile = file ?? process.env.DEPLOYMENT_MANIFEST ?? DEFAULT_MANIFEST_PATH;
+  const networkName  = network ?? process.env.NETWORK ?? 'localhost';
+  if (!fs.existsSync(manifestFile)) return null;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`${manifestFile}: unsupported manifest version ${manifest.version} (expected ${MANIFEST_VERSION})`);
+  }
+  const entry = manifest.networks?.[networkName];
+  return entry ? { network: networkName, file: manifestFile, ...entry } : null;
+}
+
+/**
+ * Locate one oracle contract for read-only use by an MCP server: the address
+ * from `envVar` (e.g. REVIEWER_CONTRACT_ADDRESS) or the manifest's
+ * contracts[name], the RPC from RPC_URL and the chain id from CHAIN_ID, each
+ * falling back to the manifest.  Returns
+ * `{ address, rpcUrl, chainId, fromBlock }`, or null when no address is known.
+ */
+export function oracleFromEnv(name, envVar, env = process.env) {
+  const deployment = loadDeployment();
+  const address = env[envVar] ?? deployment?.contracts[name];
+  if (!address) return null;
+  // The deploy block only bounds event scans for the manifest's own contract
+  const fromManifest = deployment?.contracts[name]?.toLowerCase() === address.toLowerCase();
+  return {
+    address,
+    rpcUrl:    env.RPC_URL ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545',
+    chainId:   env.CHAIN_ID ? Number(env.CHAIN_ID) : deployment?.chainId,
+    fromBlock: fromManifest ? deployment.deployBlock : 0,
+  };
+}
+
+/**
+ * ethers.Contract for `oracle` (see oracleFromEnv) without a signer.  The
+ * network is fixed rather than detected: servers start before — and must
+ * outlive — the node, and ethers retries a failed detection forever, so a
+ * down node should just fail the call.
+ */
+export function readOnlyContract({ address, rpcUrl, chainId }, abi) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: ethers.Network.from(chainId ?? 31337) });
+  return new ethers.Contract(address, abi, provider);
+}
@@ -0,0 +1,345 @@
+/**
+ * lib/diff-analyzer.js
+ *
+ * Static review of a unified diff — the "static" review provider.
+ *
+ * parseDiff() maps every hunk to the new-side file path and line numbers;
+ * analyzeDiff() runs the rule pack of each requested focus area over the
+ * added lines and returns review_pr comments with real `file` / `line` values.
+ *
+ * Rule packs:
+ *   security      — private keys, cloud / API credentials, hard-coded secrets, eval()
+ *   bugs          — Solidity tx.origin auth, unchecked low-level call / send, delegatecall;
+ *                   JS loose equality
+ *   style         — leftover console.log / debugger, TODO / FIXME, very long lines
+ *   performance   — Solidity loops over storage array length, JS await inside loops
+ *   tests         — source files changed without any test file changing
+ *   documentation — new public / external Solidity functions and exported JS
+ *                   functions without a doc comment
+ *
+ * Only added lines are checked: the review is about what the PR introduces.
+ */
+
+// ── Diff parsing ──────────────────────────────────────────────────────────────
+
+/**
+ * Parse a unified diff (git or plain `diff -u` format).
+ * @param {string} diff
+ * @returns {{ path: string, oldPath: string|null, status: 'added'|'deleted'|'modified'|'renamed',
+ *             hunks: { oldStart: number, newStart: number,
+ *                      lines: { type: 'add'|'del'|'ctx', text: string, oldLine: number|null, newLine: number|null }[] }[] }[]}
+ */
+export function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const stripPrefix = p => (p === '/dev/null' ? null : p.replace(/^[ab]\//, ''));
+
+  for (const raw of (diff ?? '').split('\n')) {
+    const line = raw.replace(/\r$/, '');
+    let m;
+
+    if (line.startsWith('diff --git ')) {
+      file = null;
+      hunk = null;
+      continue;
+    }
+    if (line.startsWith('--- ') && !hunk?.pending) {
+      file = { path: null, oldPath: stripPrefix(line.slice(4).split('\t')[0].trim()), status: 'modified', hunks: [] };
+      hunk = null;
+      continue;
+    }
+    if (line.startsWith('+++ ') && file && file.path === null) {
+      const newPath = stripPrefix(line.slice(4).split('\t')[0].trim());
+      file.path   = newPath ?? file.oldPath;
+      file.status = !file.oldPath ? 'added' : !newPath ? 'deleted' : file.oldPath !== newPath ? 'renamed' : 'modified';
+      files.push(file);
+      continue;
+    }
+    if ((m = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/)) && file) {
+      oldLine = Number(m[1]);
+      newLine = Number(m[3]);
+      // Count remaining lines so a "--- " / "+++ " inside a hunk is read as content
+      hunk = { oldStart: oldLine, newStart: newLine, lines: [], oldLeft: Number(m[2] ?? 1), newLeft: Number(m[4] ?? 1) };
+      hunk.pending = hunk.oldLeft + hunk.newLeft > 0;
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk?.pending) continue;
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', text: line.slice(1), oldLine: null, newLine: newLine++ });
+      hunk.newLeft--;
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', text: line.slice(1), oldLine: oldLine++, newLine: null });
+      hunk.oldLeft--;
+    } else if (line.startsWith(' ') || line === '') {
+      hunk.lines.push({ type: 'ctx', text: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+      hunk.oldLeft--;
+      hunk.newLeft--;
+    }
+    // "\ No newline at end of file" and other markers are ignored
+    hunk.pending = hunk.oldLeft > 0 || hunk.newLeft > 0;
+  }
+
+  for (const f of files) for (const h of f.hunks) { delete h.oldLeft; delete h.newLeft; delete h.pending; }
+  return files;
+}
+
+// ── File classification ───────────────────────────────────────────────────────
+
+const isSolidity = path => path.endsWith('.sol');
+const isJs       = path => /\.(c|m)?[jt]sx?$/.test(path);
+const isTest     = path => /(^|\/)(test|tests|__tests__|spec)\//.test(path) || /\.(test|spec)\.[cm]?[jt]sx?$/.test(path) || path.endsWith('.t.sol');
+const isSource   = path => (isSolidity(path) || isJs(path) || /\.(py|go|rs)$/.test(path)) && !isTest(path);
+
+// ── Rule packs ────────────────────────────────────────────────────────────────
+// Line rules see one added line (plus the file and its added lines for context)
+// and return a finding or null.  File-set rules see the whole parsed diff.
+
+const SECRET_ASSIGNMENT = /\b(api[_-]?key|secret|password|passwd|token|auth[_-]?token|private[_-]?key)\b\s*[:=]\s*['"`][^'"`\s]{8,}['"`]/i;
+
+const LINE_RULES = {
+  security: [
+    {
+      id: 'private-key-block',
+      test: ({ text }) => /-----BEGIN (RSA |EC |DSA |OPENSSH |PGP )?PRIVATE KEY( BLOCK)?-----/.test(text),
+      severity: 'critical',
+      message: 'A PEM private key is committed in the diff.',
+      suggestion: 'Remove the key, rotate it, and load it from a secret store or environment variable.',
+    },
+    {
+      id: 'hex-private-key',
+      // 32-byte hex literal in a key-ish context; plain hashes/constants elsewhere are left alone
+      test: ({ text }) => /\b0x[0-9a-fA-F]{64}\b/.test(text) && /(priv|secret|key|mnemonic|signer|wallet)/i.test(text),
+      severity: 'critical',
+      message: 'What looks like a raw 32-byte private key is hard-coded.',
+      suggestion: 'Never commit private keys; read them from an environment variable or a keystore.',
+    },
+    {
+      id: 'aws-access-key',
+      test: ({ text }) => /\b(AKIA|ASIA)[0-9A-Z]{16}\b/.test(text),
+      severity: 'critical',
+      message: 'An AWS access key id is committed in the diff.',
+      suggestion: 'Revoke the key and use IAM roles or a secret manager instead.',
+    },
+    {
+      id: 'api-token',
+      test: ({ text }) => /\b(sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abpr]-[A-Za-z0-9-]{10,})\b/.test(text),
+      severity: 'critical',
+      message: 'An API token (OpenAI / GitHub / Slack format) is committed in the diff.',
+      suggestion: 'Revoke the token and inject it at runtime from a secret store.',
+    },
+    {
+      id: 'hardcoded-secret',
+      test: ({ text }) => SECRET_ASSIGNMENT.test(text),
+      severity: 'error',
+      message: 'A secret-looking value is assigned from a string literal.',
+      suggestion: 'Load credentials from configuration or the environment instead of source code.',
+    },
+    {
+      id: 'eval',
+      test: ({ file, text }) => isJs(file.path) && /\b(eval|new Function)\s*\(/.test(text),
+      severity: 'warning',
+      message: 'eval()/new Function() executes dynamically built code.',
+      suggestion: 'Avoid evaluating strings; use a parser or an explicit dispatch table.',
+    },
+  ],
+
+  bugs: [
+    {
+      id: 'tx-origin',
+      test: ({ file, text }) => isSolidity(file.path) && /\btx\.origin\b/.test(text),
+      severity: 'error',
+      message: 'tx.origin is used; authorization based on it can be bypassed by a malicious intermediate contract.',
+      suggestion: 'Use msg.sender for authorization checks.',
+    },
+    {
+      id: 'unchecked-call',
+      // `.call(` / `.call{value: …}(` / `.send(` whose return value is discarded
+      test: ({ file, text }) => isSolidity(file.path)
+        && /\.(call|send)\s*[({]/.test(text)
+        && !/(\(\s*bool\b|\bbool\s+\w+\s*,?|=|\brequire\s*\(|\bif\s*\(|\breturn\b|\bassert\s*\()/.test(text.split(/\.(call|send)\s*[({]/)[0]),
+      severity: 'error',
+      message: 'The return value of a low-level call/send is not checked; a failed transfer will be silently ignored.',
+      suggestion: 'Capture the result — (bool ok, ) = addr.call{…}(…); require(ok, "…"); — or use OpenZeppelin Address.sendValue.',
+    },
+    {
+      id: 'delegatecall',
+      test: ({ file, text }) => isSolidity(file.path) && /\.delegatecall\s*\(/.test(text),
+      severity: 'warning',
+      message: 'delegatecall runs foreign code against this contract\'s storage.',
+      suggestion: 'Make sure the target is trusted and immutable, and that storage layouts match.',
+    },
+    {
+      id: 'loose-equality',
+      test: ({ file, text }) => isJs(file.path) && /[^=!<>]==[^=]|!=[^=]/.test(text.replace(/(['"`]).*?\1/g, '')),
+      severity: 'info',
+      message: 'Loose equality (== / !=) performs type coercion.',
+      suggestion: 'Use === / !== unless coercion is intended.',
+    },
+  ],
+
+  style: [
+    {
+      id: 'console-log',
+      test: ({ file, text }) => isJs(file.path) && !isTest(file.path) && /\bconsole\.(log|debug|trace)\s*\(/.test(text),
+      severity: 'warning',
+      message: 'Leftover console.log/debug call.',
+      suggestion: 'Remove debugging output or route it through the project logger.',
+    },
+    {
+      id: 'debugger',
+      test: ({ file, text }) => isJs(file.path) && /^\s*debugger\s*;?\s*$/.test(text),
+      severity: 'warning',
+      message: 'Leftover debugger statement.',
+      suggestion: 'Remove the debugger statement.',
+    },
+    {
+      id: 'hardhat-console',
+      test: ({ file, text }) => isSolidity(file.path) && /\b(import\s+["']hardhat\/console\.sol["']|console\.log\s*\()/.test(text),
+      severity: 'warning',
+      message: 'hardhat/console.sol debugging left in a contract.',
+      suggestion: 'Remove console imports and calls before deploying.',
+    },
+    {
+      id: 'todo',
+      test: ({ text }) => /\b(TODO|FIXME|XXX|HACK)\b/.test(text),
+      severity: 'info',
+      message: 'TODO/FIXME marker added.',
+      suggestion: 'Resolve it in this PR or link a tracking issue.',
+    },
+    {
+      id: 'long-line',
+      test: ({ text }) => text.length > 140,
+      severity: 'info',
+      message: 'Line longer than 140 characters.',
+      suggestion: 'Wrap the line to keep the code readable in side-by-side diffs.',
+    },
+  ],
+
+  performance: [
+    {
+      id: 'storage-length-loop',
+      test: ({ file, text }) => isSolidity(file.path) && /\bfor\s*\(.*;\s*\w+\s*<=?\s*[\w.]+\.length\s*;/.test(text),
+      severity: 'info',
+      message: 'Loop condition reads an array length on every iteration (an SLOAD for storage arrays).',
+      suggestion: 'Cache the length in a local variable before the loop, and bound loops over user-growable arrays.',
+    },
+    {
+      id: 'await-in-loop',
+      test: ({ file, text, inLoop }) => isJs(file.path) && inLoop && /\bawait\b/.test(text),
+      severity: 'info',
+      message: 'await inside a loop runs the calls sequentially.',
+      suggestion: 'If the iterations are independent, collect the promises and await Promise.all().',
+    },
+  ],
+
+  documentation: [
+    {
+      id: 'undocumented-solidity-function',
+      test: ({ file, text, previous }) => isSolidity(file.path)
+        && /^\s*function\s+\w+\s*\(.*\b(public|external)\b/.test(text)
+        && !/^\s*(\/\/\/|\*|\/\*\*)/.test(previous ?? ''),
+      severity: 'info',
+      message: 'New public/external function without NatSpec.',
+      suggestion: 'Add a /// @notice (and @param / @return) comment.',
+    },
+    {
+      id: 'undocumented-export',
+      test: ({ file, text, previous }) => isJs(file.path) && !isTest(file.path)
+        && /^export\s+(async\s+)?function\s+\w+/.test(text)
+        && !/^\s*(\*\/|\/\/)/.test(previous ?? ''),
+      severity: 'info',
+      message: 'Exported function without a doc comment.',
+      suggestion: 'Add a JSDoc comment describing parameters and return value.',
+    },
+  ],
+};
+
+const FILE_SET_RULES = {
+  tests: [
+    {
+      id: 'missing-tests',
+      check(files) {
+        if (files.some(f => isTest(f.path))) return [];
+        return files
+          .filter(f => f.status !== 'deleted' && isSource(f.path))
+          .map(f => ({
+            file:       f.path,
+            line:       firstAddedLine(f) ?? 1,
+            severity:   'warning',
+            message:    'Source file changed but no test file was added or modified in this PR.',
+            suggestion: 'Add or update tests covering the change.',
+          }));
+      },
+    },
+  ],
+};
+
+export const RULE_CATEGORIES = ['bugs', 'security', 'style', 'performance', 'tests', 'documentation'];
+
+function firstAddedLine(file) {
+  for (const h of file.hunks) for (const l of h.lines) if (l.type === 'add') return l.newLine;
+  return null;
+}
+
+// ── Analysis ──────────────────────────────────────────────────────────────────
+
+/**
+ * Run the rule packs of `focus` over the diff.
+ * @param {string}   diff
+ * @param {string[]} focus  Categories to check (defaults to all)
+ * @returns {{ files: object[], added: number, removed: number,
+ *             comments: { file, line, severity, category, message, suggestion, rule }[] }}
+ */
+export function analyzeDiff(diff, focus = RULE_CATEGORIES) {
+  const files    = parseDiff(diff);
+  const comments = [];
+  let added = 0;
+  let removed = 0;
+
+  for (const file of files) {
+    for (const hunk of file.hunks) {
+      let previous = null;
+      let loopDepth = 0;
+      for (const line of hunk.lines) {
+        if (line.type === 'del') { removed++; continue; }
+        // Rough loop tracking for await-in-loop: a loop header opens, a closing brace at its indent closes
+        if (/^\s*(for|while)\s*\(/.test(line.text)) loopDepth++;
+        else if (loopDepth && /^\s*}\s*$/.test(line.text)) loopDepth--;
+
+        if (line.type === 'add') {
+          added++;
+          for (const category of focus) {
+            for (const rule of LINE_RULES[category] ?? []) {
+              if (!rule.test({ file, text: line.text, previous, inLoop: loopDepth > 0 })) continue;
+              comments.push({
+                file:       file.path,
+                line:       line.newLine,
+                severity:   rule.severity,
+                category,
+                message:    rule.message,
+                suggestion: rule.suggestion,
+                rule:       rule.id,
+              });
+            }
+          }
+        }
+        previous = line.text;
+      }
+    }
+  }
+
+  for (const category of focus) {
+    for (const rule of FILE_SET_RULES[category] ?? []) {
+      comments.push(...rule.check(files).map(c => ({ ...c, category, rule: rule.id })));
+    }
+  }
+
+  comments.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  return { files, added, removed, comments };
+}
@@ -0,0 +1,135 @@
+/**
+ * lib/event-cursor.js
+ *
+ * Durable event consumption for the oracle bridges.
+ *
+ * A cursor persists the last fully-processed block of one contract's event
+ * stream to a small JSON file.  On startup a bridge backfills every event
+ * after that block with queryFilter, then keeps consuming live events —
+ * so requests emitted while the bridge was down are no longer lost.
+ *
+ * Events are handled concurrently, so the persisted block is a low-water
+ * mark: it never moves past a block that still has an event in flight, nor,
+ * while a backfill runs, past the last block the backfill has dispatched.
+ * A cursor file written for a different chainId or contract is ignored.
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Open (or create) the cursor stored in `file`.
+ * @param {string} file
+ * @param {{ chainId: number, contract: string, startBlock: number }} scope
+ *        `startBlock` is the first block to scan when no usable cursor exists.
+ */
+export function openCursor(file, { chainId, contract, startBlock = 0 }) {
+  let saved = null;
+  try { saved = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { /* first run */ }
+  const matches = saved
+    && saved.chainId === chainId
+    && saved.contract?.toLowerCase() === contract.toLowerCase();
+
+  let lastBlock = matches ? saved.lastBlock : startBlock - 1;
+  let highest   = lastBlock;
+  let ceiling   = Infinity;  // during a backfill: the last block it has dispatched
+  const inFlight = new Map(); // blockNumber → events still being handled
+
+  function commit() {
+    const mark = Math.min(inFlight.size ? Math.min(...inFlight.keys()) - 1 : highest, ceiling);
+    if (mark <= lastBlock) return;
+    lastBlock = mark;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ chainId, contract, lastBlock, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    file,
+    resumed: !!matches,
+    get lastBlock() { return lastBlock; },
+    /** Mark an event in `block` as in flight. */
+    begin(block) {
+      inFlight.set(block, (inFlight.get(block) ?? 0) + 1);
+    },
+    /** Mark an event in `block` as handled (successfully or not). */
+    done(block) {
+      const left = (inFlight.get(block) ?? 1) - 1;
+      if (left > 0) inFlight.set(block, left); else inFlight.delete(block);
+      highest = Math.max(highest, block);
+      commit();
+    },
+    /** Record that every event up to and including `block` has been dispatched. */
+    advance(block) {
+      highest = Math.max(highest, block);
+      if (ceiling !== Infinity) ceiling = Math.max(ceiling, block);
+      commit();
+    },
+    /**
+     * Hold the mark at the blocks advance() has reported until endBackfill(),
+     * so live events finishing first cannot move it past unscanned blocks.
+     */
+    beginBackfill() {
+      ceiling = lastBlock;
+    },
+    endBackfill() {
+      ceiling = Infinity;
+      commit();
+    },
+  };
+}
+
+/**
+ * Subscribe to `eventName` on `contract`, then backfill every event after
+ * `cursor.lastBlock` up to the current head.  The live subscription starts
+ * first so nothing emitted during the backfill is missed; events seen by
+ * both paths are delivered to `onEvent` once.
+ *
+ * `onEvent(log)` receives an ethers EventLog and should handle its own
+ * errors — the bridges retry and dead-letter failed requests themselves.
+ * An error that still escapes is passed to `onError(err, log)` and the event
+ * is skipped: the cursor moves past it, since re-running a handler that
+ * throws would most likely throw again and hold the cursor back for good.
+ * Returns `{ from, to, backfilled }` once the backfill has been dispatched.
+ */
+export async function followEvents(contract, eventName, {
+  cursor, onEvent, chunkSize = 5000,
+  onError = (err, log) => console.error(`✗ Unhandled error in ${eventName} handler (tx ${log.transactionHash}), event skipped: ${err.stack ?? err}`),
+}) {
+  const seen  = new Map(); // `${txHash}:${logIndex}` → blockNumber
+  const floor = cursor.lastBlock; // already handled before this process started
+
+  function dispatch(log) {
+    const key = `${log.transactionHash}:${log.index}`;
+    // The live poller may re-deliver logs from the head block at startup
+    if (log.blockNumber <= floor || seen.has(key)) return;
+    seen.set(key, log.blockNumber);
+    if (seen.size > 10_000) {
+      // Events at or below the cursor are fully handled; forget them
+      for (const [k, block] of seen) if (block <= cursor.lastBlock) seen.delete(k);
+    }
+    cursor.begin(log.blockNumber);
+    Promise.resolve()
+      .then(() => onEvent(log))
+      .catch(err => onError(err, log))
+      .finally(() => cursor.done(log.blockNumber));
+  }
+
+  cursor.beginBackfill();
+  await contract.on(eventName, (...args) => dispatch(args.at(-1).log));
+
+  const from = cursor.lastBlock + 1;
+  const to   = await contract.runner.provider.getBlockNumber();
+  let backfilled = 0;
+  for (let start = from; start <= to; start += chunkSize) {
+    const end  = Math.min(start + chunkSize - 1, to);
+    const logs = await contract.queryFilter(eventName, start, end);
+    logs.forEach(dispatch);
+    backfilled += logs.length;
+    cursor.advance(end);
+  }
+  cursor.advance(to);
+  cursor.endBackfill();
+  return { from, to, backfilled };
+}
@@ -0,0 +1,158 @@
+/**
+ * lib/flow-policy.js
+ *
+ * Flow-scoped authorization (contracts/FlowAuthorizationRegistry.sol).
+ *
+ * A flow policy says which agents may act in one execution chain (traceId)
+ * and with which capabilities.  It is registered before the chain's first
+ * request and cannot change afterwards; traces without a policy stay
+ * open to every bound agent.  The registry derives the traceId from the
+ * initiator's address and a random salt (flowTraceId), and the oracles take
+ * requests on the trace only from that initiator.
+ *
+ * Policies are built from agent card files: each card is resolved to its
+ * agentId (lib/agent-identity.js), then to its agentWallet — the address the
+ * oracles check — and granted the capabilities the card declares
+ * ("code-review", "approve-pr", …), stored on-chain as keccak256 hashes.
+ * Cards that share a wallet share one policy entry.
+ *
+ * createFlowGate() is the bridges' pre-check: it narrows the routable agents
+ * to those the request's flow authorizes, so a request is never routed to an
+ * agent whose fulfillment the oracle would reject.
+ */
+
+import fs from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { ethers } from 'ethers';
+import { resolveAgentIds } from './agent-identity.js';
+
+// ── Minimal ABI ───────────────────────────────────────────────────────────────
+export const FLOW_REGISTRY_ABI = [
+  'event FlowCreated(bytes32 indexed traceId, address indexed initiator, address[] agents, uint256 timestamp)',
+  'function createFlow(bytes32 salt, address[] agents, bytes32[][] capabilities) returns (bytes32 traceId)',
+  'function flowExists(bytes32 traceId) view returns (bool)',
+  'function flowInitiator(bytes32 traceId) view returns (address)',
+  'function isAuthorized(bytes32 traceId, address agent, bytes32 capability) view returns (bool)',
+  'function getFlow(bytes32 traceId) view returns (address initiator, uint256 createdAt, address[] agents)',
+  'function getCapabilities(bytes32 traceId, address agent) view returns (bytes32[])',
+];
+
+/** On-chain identifier of a capability string (keccak256, as the contracts hash it). */
+export const capabilityId = capability => ethers.id(capability);
+
+/** A fresh random salt, for a flow created before its first request. */
+export const newFlowSalt = () => ethers.hexlify(randomBytes(32));
+
+/** The traceId of the flow `initiator` creates with `salt` (FlowAuthorizationRegistry.flowTraceId). */
+export const flowTraceId = (initiator, salt) =>
+  ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [initiator, salt]));
+
+/** Read agent card files; each must have a `name` and at least one capability. */
+export function loadCardFiles(files) {
+  return files.map(file => {
+    const card = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!card.name) throw new Error(`${file}: agent card has no name`);
+    if (!card.capabilities?.length) throw new Error(`${file}: agent card declares no capabilities`);
+    return card;
+  });
+}
+
+/**
+ * Build a flow policy from agent cards.
+ * @param {ethers.Contract} identityRegistry  With IDENTITY_REGISTRY_ABI
+ * @param {object[]} cards                    Agent cards (see loadCardFiles)
+ * @param {object}  [opts]
+ * @param {number}  [opts.fromBlock=0]        First block to scan for registrations
+ * @returns {Promise<{ address: string, capabilities: string[], agents: string[] }[]>}
+ *   One entry per agent wallet; throws if a card is unregistered or has no wallet.
+ */
+export async function buildFlowPolicy(identityRegistry, cards, { fromBlock = 0 } = {}) {
+  const byWallet = new Map();
+  for (const agent of await resolveAgentIds(identityRegistry, cards, { fromBlock })) {
+    if (agent.agentId === null) throw new Error(`${agent.name} is not registered in the identity registry`);
+    const wallet = await identityRegistry.getAgentWallet(agent.agentId);
+    if (wallet === ethers.ZeroAddress) throw new Error(`${agent.name} (agentId=${agent.agentId}) has no agentWallet`);
+    const entry = byWallet.get(wallet) ?? { address: wallet, capabilities: [], agents: [] };
+    entry.agents.push(agent.name);
+    for (const c of agent.capabilities) if (!entry.capabilities.includes(c)) entry.capabilities.push(c);
+    byWallet.set(wallet, entry);
+  }
+  return [...byWallet.values()];
+}
+
+/**
+ * Register `policy` (see buildFlowPolicy) under `salt`.
+ * @param {ethers.Contract} flowRegistry  With FLOW_REGISTRY_ABI and a signer — the flow's initiator,
+ *                                        which must also send the trace's requests
+ * @returns {Promise<{ traceId: string, txHash: string, block: number }>}
+ */
+export async function createFlow(flowRegistry, salt, policy) {
+  const tx = await flowRegistry.createFlow(
+    salt,
+    policy.map(p => p.address),
+    policy.map(p => p.capabilities.map(capabilityId)),
+  );
+  const receipt = await tx.wait();
+  return { traceId: flowTraceId(receipt.from, salt), txHash: tx.hash, block: receipt.blockNumber };
+}
+
+/**
+ * Build a policy from agent card files and register it — what the
+ * orchestrator (--flow-cards) and `flow-policy.js create` do before a
+ * chain's first request.
+ * @param {object} opts
+ * @param {ethers.Contract} opts.flowRegistry      With FLOW_REGISTRY_ABI and a signer
+ * @param {ethers.Contract} opts.identityRegistry  With IDENTITY_REGISTRY_ABI
+ * @param {string[]} opts.cardFiles
+ * @param {string}  [opts.salt]      Defaults to a fresh random salt
+ * @param {number}  [opts.fromBlock=0]
+ * @returns {Promise<{ traceId: string, policy: object[], txHash: string, block: number }>}
+ */
+export async function createFlowFromCards({ flowRegistry, identityRegistry, cardFiles, salt = newFlowSalt(), fromBlock = 0 }) {
+  const policy = await buildFlowPolicy(identityRegistry, loadCardFiles(cardFiles), { fromBlock });
+  const { traceId, txHash, block } = await createFlow(flowRegistry, salt, policy);
+  return { traceId, policy, txHash, block };
+}
+
+/** One line per policy entry, for logs: "0xf39F… code-review,approve-pr (CodeReviewerAlice, CodeApproverDave)". */
+export function describePolicy(policy) {
+  return policy.map(p => `${p.address} ${p.capabilities.join(',')} (${p.agents.join(', ')})`);
+}
+
+/**
+ * Bridge-side flow check for one oracle.
+ * @param {ethers.Contract | null} flowRegistry  With FLOW_REGISTRY_ABI; null when the oracle enforces no flows
+ * @param {string} capability                    bytes32 capability the oracle requires (its FLOW_CAPABILITY())
+ * @returns {{ enabled: boolean, authorized(traceId: string, agents: object[]): Promise<object[]> }}
+ *   authorized() returns the `agents` (resolved cards with a `wallet`) the trace's flow allows —
+ *   all of them when the trace has no flow.
+ */
+export function createFlowGate(flowRegistry, capability, { cacheSize = 1000 } = {}) {
+  // Policies never change once created, so answers for a trace with a flow are kept.
+  // "No flow" is not cached: a flow may still be created later.
+  const cache = new Map(); // traceId → Map<wallet, boolean>
+
+  async function decisions(traceId, wallets) {
+    let known = cache.get(traceId);
+    if (!known) {
+      if (!await flowRegistry.flowExists(traceId)) return null;
+      if (cache.size >= cacheSize) cache.delete(cache.keys().next().value);
+      known = new Map();
+      cache.set(traceId, known);
+    }
+    const missing = wallets.filter(w => !known.has(w));
+    const ok = await Promise.all(missing.map(w => flowRegistry.isAuthorized(traceId, w, capability)));
+    missing.forEach((w, i) => known.set(w, ok[i]));
+    return known;
+  }
+
+  return {
+    enabled: !!flowRegistry,
+
+    async authorized(traceId, agents) {
+      if (!flowRegistry) return agents;
+      const known = await decisions(traceId, [...new Set(agents.map(a => a.wallet))]);
+      return known ? agents.filter(a => known.get(a.wallet)) : agents;
+    },
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * lib/job-queue.js
+ *
+ * Retrying job runner for the oracle bridges.
+ *
+ * Every on-chain request becomes a job keyed by its requestId.  A failed
+ * attempt is classified as either
+ *   - permanent  — retrying cannot help (contract reverts such as
+ *                  "not pending" / "prId mismatch", malformed MCP replies), or
+ *   - transient  — MCP server unreachable or overloaded, RPC timeouts,
+ *                  nonce races, anything unrecognised.
+ * Transient failures are retried with exponential backoff (plus jitter) up
+ * to `maxAttempts`; permanent failures and exhausted jobs go to the
+ * dead-letter store (see lib/dead-letter.js) where they can be inspected and
+ * replayed with dead-letter.js.  A job whose dead-letter record cannot be
+ * written is kept in memory and written again with the next dead letter.
+ *
+ * Handlers must be idempotent — the bridges re-check the request status
+ * on-chain at the start of every attempt.
+ */
+
+/** An error that retrying will not fix. */
+export class PermanentError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PermanentError';
+  }
+}
+
+// ethers error codes that will not clear up on their own within a retry window
+const PERMANENT_CODES = new Set([
+  'INSUFFICIENT_FUNDS', 'INVALID_ARGUMENT', 'MISSING_ARGUMENT', 'UNSUPPORTED_OPERATION', 'BAD_DATA',
+]);
+
+/**
+ * Classify a failed attempt.  Returns 'permanent' or 'transient'.
+ *
+ * A contract revert carrying a reason string is deterministic for the
+ * current chain state ("not pending", "prId mismatch", "unknown requestId",
+ * "not agentWallet", …) and is never retried.  Everything else — refused
+ * connections, HTTP 5xx, RPC timeouts, nonce races, unrecognised errors —
+ * is transient: attempts are bounded and handlers are idempotent.
+ */
+export function classifyError(err) {
+  if (err instanceof PermanentError) return 'permanent';
+  if (err?.code === 'CALL_EXCEPTION' && err.reason) return 'permanent';
+  if (PERMANENT_CODES.has(err?.code)) return 'permanent';
+  if (err instanceof SyntaxError) return 'permanent'; // unparseable MCP payload
+  return 'transient';
+}
+
+/** Backoff before attempt `attempt + 1`: base·2^(attempt-1), capped, with ±25 % jitter. */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a job runner.
+ *
+ * @param {object}   opts
+ * @param {object}   opts.log           Logger (lib/logger.js)
+ * @param {(job: object, attempt: number) => Promise<void>} opts.handler
+ * @param {ReturnType<import('./dead-letter.js').openDeadLetters>} opts.deadLetters
+ * @param {number}  [opts.maxAttempts=5]
+ * @param {number}  [opts.baseDelayMs=1000]
+ * @param {number}  [opts.maxDelayMs=30000]
+ *
+ * Jobs are plain JSON objects with an `id` (the requestId) and a `traceId`;
+ * they are stored verbatim in the dead-letter record so they can be replayed.
+ */
+export function createJobQueue({ log, handler, deadLetters, maxAttempts = 5, baseDelayMs = 1000, maxDelayMs = 30_000 }) {
+  const running = new Map(); // job.id → Promise
+  const unsaved = new Map(); // job.id → { job, errors } whose dead-letter write failed
+
+  /** Write a dead letter, and any earlier ones that failed to write. Returns false if this one failed. */
+  async function saveDeadLetter(job, errors) {
+    unsaved.set(job.id, { job, errors: [...(unsaved.get(job.id)?.errors ?? []), ...errors] });
+    for (const [id, entry] of unsaved) {
+      try {
+        await deadLetters.put(entry.job, entry.errors);
+        unsaved.delete(id);
+      } catch (err) {
+        log.error(`✗ Could not write dead letter for ${id}, kept in memory (${unsaved.size} unsaved): ${err.message}`,
+          { traceId: entry.job.traceId, requestId: id, prId: entry.job.prId });
+      }
+    }
+    return !unsaved.has(job.id);
+  }
+
+  async function attemptAll(job) {
+    const jobLog = log.child({ traceId: job.traceId, requestId: job.id, prId: job.prId });
+    const errors = [];
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await handler(job, attempt);
+        return 'done';
+      } catch (err) {
+        const kind = classifyError(err);
+        // fetch() reports every network failure as "fetch failed" — surface the cause
+        const message = (err.shortMessage ?? err.message) + (err.cause?.code ? ` (${err.cause.code})` : '');
+        errors.push({ attempt, at: new Date().toISOString(), kind, message });
+
+        if (kind === 'permanent' || attempt === maxAttempts) break;
+        const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+        jobLog.warn(`attempt ${attempt}/${maxAttempts} failed (${kind}): ${message} — retrying in ${delay} ms`, { attempt, kind });
+        await sleep(delay);
+      }
+    }
+
+    const last = errors.at(-1);
+    jobLog.error(`✗ Dead-lettered ${job.id} after ${errors.length} attempt(s) (${last.kind}): ${last.message}`, { attempts: errors.length, kind: last.kind });
+    return await saveDeadLetter(job, errors) ? 'dead-lettered' : 'unsaved';
+  }
+
+  return {
+    /**
+     * Run `job` to completion.  Resolves to 'done', 'dead-lettered', or 'unsaved' when
+     * the dead-letter record could not be written; never rejects.
+     * A job whose id is already running is not started twice.
+     */
+    run(job) {
+      if (running.has(job.id)) return running.get(job.id);
+      const p = attemptAll(job).finally(() => running.delete(job.id));
+      running.set(job.id, p);
+      return p;
+    },
+    get inFlight() { return running.size; },
+    /** Failed jobs whose dead-letter record is not written yet. */
+    get unsaved() { return [...unsaved.values()].map(e => e.job); },
+  };
+}
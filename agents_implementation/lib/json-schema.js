@@ -0,0 +1,84 @@
+/**
+ * lib/json-schema.js
+ *
+ * Small JSON Schema validator covering the subset the MCP spec files use:
+ * type (incl. "integer"), properties, required, additionalProperties, items,
+ * enum, minLength and pattern.  Unknown keywords are ignored.
+ *
+ * validate() never throws; it returns a list of `{ path, message }` errors
+ * (empty when the value is valid), where `path` is a JSON-pointer-like string
+ * such as "/comments/2/severity".
+ */
+
+/** JSON Schema type name of a JS value. */
+function typeOf(value) {
+  if (value === null)          return 'null';
+  if (Array.isArray(value))    return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate `value` against `schema`.
+ * @param {object} schema
+ * @param {*}      value
+ * @param {string} [at='']  Path prefix for error messages
+ * @returns {{ path: string, message: string }[]}
+ */
+export function validate(schema, value, at = '') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const where  = at || '/';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      return [{ path: where, message: `expected ${types.join(' | ')}, got ${typeOf(value)}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(v => v === value)) {
+    errors.push({ path: where, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: where, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+
+  if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path: where, message: `must match ${schema.pattern}` });
+  }
+
+  if (typeOf(value) === 'object') {
+    const props = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push({ path: `${at}/${key}`, message: 'is required' });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (props[key]) {
+        errors.push(...validate(props[key], child, `${at}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}/${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, child, `${at}/${key}`));
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}/${i}`)));
+  }
+
+  return errors;
+}
+
+/** Format validate() errors as one line, e.g. for an Error message. */
+export function formatErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
@@ -0,0 +1,124 @@
+/**
+ * lib/llm-client.js
+ *
+ * Chat-completions client shared by the LLM-backed review provider and
+ * decision engine.  Works with any OpenAI-compatible endpoint (OpenAI,
+ * Ollama, vLLM, LM Studio, …), configured through:
+ *   LLM_ENDPOINT   full URL, e.g. https://api.openai.com/v1/chat/completions
+ *   LLM_API_KEY    sent as "Authorization: Bearer …" (optional for local models)
+ *   LLM_MODEL      model name (default gpt-4o-mini)
+ *   LLM_TIMEOUT_MS request timeout (default 60000)
+ *
+ * completeJson() asks for a JSON object matching a schema and enforces it:
+ * the reply is repaired first (code fences and surrounding prose stripped,
+ * plus a caller-supplied fix-up); if it still does not match, the model is
+ * shown the errors once and asked to correct it, and rejected after that.
+ * Both calls take an optional AbortSignal, so a cancelled MCP request stops
+ * waiting on the model.
+ */
+
+import { validate, formatErrors } from './json-schema.js';
+
+/** Parse the JSON object in a model reply, tolerating code fences and prose around it. */
+export function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const body   = fenced ? fenced[1] : text;
+  const start  = body.indexOf('{');
+  const end    = body.lastIndexOf('}');
+  if (start === -1 || end < start) throw new SyntaxError('no JSON object in model reply');
+  return JSON.parse(body.slice(start, end + 1));
+}
+
+/** LLM_* settings from the environment. */
+export function llmConfigFromEnv(env = process.env) {
+  return {
+    endpoint:  env.LLM_ENDPOINT,
+    apiKey:    env.LLM_API_KEY,
+    model:     env.LLM_MODEL || undefined,
+    timeoutMs: env.LLM_TIMEOUT_MS ? Number(env.LLM_TIMEOUT_MS) : undefined,
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {string}  opts.endpoint
+ * @param {string} [opts.apiKey]
+ * @param {string} [opts.model='gpt-4o-mini']
+ * @param {number} [opts.timeoutMs=60000]
+ */
+export function createLlmClient({ endpoint, apiKey, model = 'gpt-4o-mini', timeoutMs = 60_000 }) {
+  if (!endpoint) throw new Error('LLM_ENDPOINT is not set');
+
+  /** Send `messages` and return the text of the first choice. */
+  async function complete(messages, { signal } = {}) {
+    // The request timeout, or the caller's signal if that fires first
+    const controller = new AbortController();
+    const timer   = setTimeout(() => controller.abort(new Error(`LLM request timed out after ${timeoutMs} ms`)), timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      return await send(messages, controller.signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async function send(messages, signal) {
+    const res = await fetch(endpoint, {
+      method:  'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body:   JSON.stringify({ model, messages, temperature: 0 }),
+      signal,
+    });
+    if (!res.ok) throw new Error(`LLM HTTP ${res.status} from ${endpoint}: ${(await res.text()).slice(0, 200)}`);
+    const json = await res.json();
+    const text = json?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') throw new Error('LLM reply has no choices[0].message.content');
+    return text;
+  }
+
+  /**
+   * Ask for a JSON object matching `schema` and return it.
+   * @param {object[]} messages  Conversation; should already ask for JSON
+   * @param {object}   opts
+   * @param {object}   opts.schema
+   * @param {(value: object) => object} [opts.repair]  Fix-up applied to the parsed reply before validation
+   * @param {string}   [opts.label='output']           Used in the rejection message
+   * @param {AbortSignal} [opts.signal]
+   * @param {(message: string) => void} [opts.onProgress]  Called before each model round
+   */
+  async function completeJson(messages, { schema, repair = v => v, label = 'output', signal, onProgress = () => {} }) {
+    const check = text => {
+      let value;
+      try {
+        value = repair(extractJson(text));
+      } catch (err) {
+        return { value: null, errors: [{ path: '/', message: `unparseable JSON (${err.message})` }] };
+      }
+      return { value, errors: validate(schema, value) };
+    };
+
+    onProgress(`waiting for ${model}`);
+    const first = await complete(messages, { signal });
+    let { value, errors } = check(first);
+    if (errors.length === 0) return value;
+
+    // One repair round: show the model what was wrong with its reply
+    onProgress(`asking ${model} to fix its ${label} (${errors.length} schema error(s))`);
+    const second = await complete([
+      ...messages,
+      { role: 'assistant', content: first },
+      { role: 'user', content: `Your reply does not match the schema: ${formatErrors(errors)}. Reply with the corrected JSON object only.` },
+    ], { signal });
+    ({ value, errors } = check(second));
+    if (errors.length === 0) return value;
+    throw new Error(`LLM ${label} rejected — does not match the schema: ${formatErrors(errors)}`);
+  }
+
+  return { model, complete, completeJson };
+}
@@ -0,0 +1,248 @@
+/**
+ * lib/logger.js
+ *
+ * Structured logging for the long-running processes: the bridges, the MCP
+ * servers, the orchestrator and the trace watcher.
+ *
+ * Every record is one JSON line:
+ *   { "timestamp": "2026-03-01T12:00:00.000Z", "level": "info", "component": "reviewer-bridge",
+ *     "traceId": "0x…", "requestId": "0x…", "prId": "PR-42", "message": "→ fulfillReview tx: 0x…", …fields }
+ * appended to <log-dir>/<component>.jsonl.  A file that would grow past
+ * LOG_MAX_BYTES is rotated first: <component>.jsonl becomes
+ * <component>.1.jsonl, .1 becomes .2, and so on up to LOG_MAX_FILES.
+ * logs.js reads every component's files back (readLogRecords), filtered by
+ * traceId.
+ *
+ * The console gets the same records, as the familiar
+ *   [reviewer-bridge]   [0x<traceId>] message
+ * lines or, with LOG_FORMAT=json, as JSON lines.
+ *
+ * Secrets never reach either output: the values of command-line flags and
+ * env vars whose names mention a key, secret, token or password (e.g.
+ * --privkey, ORACLE_PRIVATE_KEY, LLM_API_KEY) are replaced with [REDACTED]
+ * wherever they appear, and so are fields with such names.  Records are
+ * redacted before they are serialized, so JSON escaping cannot hide a secret.
+ *
+ * Configuration (flag / env var, default):
+ *   --log-level   LOG_LEVEL       info    debug | info | warn | error
+ *   --log-format  LOG_FORMAT      text    console format: text | json
+ *   --log-dir     LOG_DIR         ./logs  "none" writes no files
+ *                 LOG_MAX_BYTES   10485760
+ *                 LOG_MAX_FILES   5       rotated files kept per component
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const LEVELS  = ['debug', 'info', 'warn', 'error'];
+export const FORMATS = ['text', 'json'];
+
+export const DEFAULT_LOG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'logs');
+
+// Flags and env vars whose values are secrets, and field names that hold them
+const SECRET_NAME = /priv(ate)?_?key|secret|token|password|api_?key/i;
+const REDACTED    = '[REDACTED]';
+// Shorter values are too likely to appear in ordinary text
+const MIN_SECRET_LENGTH = 8;
+
+// ── Redaction ─────────────────────────────────────────────────────────────────
+
+/**
+ * The secret values in a process's command line and environment: the value
+ * after any --flag whose name matches SECRET_NAME, and every such env var.
+ */
+export function secretsFrom(argv = process.argv, env = process.env) {
+  const values = [];
+  argv.forEach((a, i) => {
+    if (!a.startsWith('--')) return;
+    const [flag, inline] = a.split(/=(.*)/s);
+    if (SECRET_NAME.test(flag)) values.push(inline ?? argv[i + 1]);
+  });
+  for (const [name, value] of Object.entries(env)) if (SECRET_NAME.test(name)) values.push(value);
+
+  const secrets = new Set();
+  for (const v of values) {
+    if (typeof v !== 'string' || v.length < MIN_SECRET_LENGTH) continue;
+    secrets.add(v);
+    if (/^0x[0-9a-fA-F]+$/.test(v)) secrets.add(v.slice(2)); // the same key without its prefix
+  }
+  // Longest first, so a value that contains another is replaced whole
+  return [...secrets].sort((a, b) => b.length - a.length);
+}
+
+/** Replace every occurrence of a secret in `text`. */
+export function redact(text, secrets) {
+  let out = text;
+  for (const s of secrets) out = out.split(s).join(REDACTED);
+  return out;
+}
+
+/**
+ * `value` with secrets replaced in every string, at any depth, and
+ * secret-named keys blanked — what JSON.stringify will see.
+ */
+function redactValue(value, secrets) {
+  if (typeof value === 'string') return redact(value, secrets);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.toJSON === 'function') return redactValue(value.toJSON(), secrets);
+  if (Array.isArray(value)) return value.map(v => redactValue(v, secrets));
+  return Object.fromEntries(Object.entries(value)
+    .map(([k, v]) => [k, SECRET_NAME.test(k) ? REDACTED : redactValue(v, secrets)]));
+}
+
+/** Field values that are JSON-friendly, with errors flattened and secret-named fields blanked. */
+function plainFields(fields) {
+  return Object.fromEntries(Object.entries(fields)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => {
+      if (SECRET_NAME.test(k)) return [k, REDACTED];
+      if (v instanceof Error) return [k, { name: v.name, message: v.shortMessage ?? v.message, ...(v.code ? { code: v.code } : {}) }];
+      if (typeof v === 'bigint') return [k, v.toString()];
+      return [k, v];
+    }));
+}
+
+// ── Size-rotated file ─────────────────────────────────────────────────────────
+
+const rotated = (file, n) => file.replace(/\.jsonl$/, `.${n}.jsonl`);
+
+function openRotatingFile(file, { maxBytes, maxFiles }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = 0;
+  try { size = fs.statSync(file).size; } catch { /* new file */ }
+
+  function rotate() {
+    fs.rmSync(maxFiles > 0 ? rotated(file, maxFiles) : file, { force: true });
+    for (let n = maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(rotated(file, n))) fs.renameSync(rotated(file, n), rotated(file, n + 1));
+    }
+    if (maxFiles > 0 && fs.existsSync(file)) fs.renameSync(file, rotated(file, 1));
+    size = 0;
+  }
+
+  return {
+    file,
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) rotate();
+      fs.appendFileSync(file, line);
+      size += bytes;
+    },
+  };
+}
+
+// ── Logger ────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a logger for one component.
+ *
+ * @param {string} component  e.g. "reviewer-bridge" or the agent's name
+ * @param {object} [opts]
+ * @param {string} [opts.level='info']     Lowest level written (LEVELS)
+ * @param {string} [opts.format='text']    Console format (FORMATS)
+ * @param {string|null} [opts.dir]         Log directory; null writes no file
+ * @param {number} [opts.maxBytes=10485760]
+ * @param {number} [opts.maxFiles=5]
+ * @param {string[]} [opts.secrets=[]]     Values to redact (see secretsFrom)
+ *
+ * `logger.info(message, fields?)` (and debug / warn / error) writes a record;
+ * `logger.child(fields)` returns a logger that adds `fields` — typically
+ * traceId, requestId and prId — to every record.
+ */
+export function createLogger(component, {
+  level = 'info', format = 'text', dir = null, maxBytes = 10 * 1024 * 1024, maxFiles = 5, secrets = [],
+} = {}) {
+  if (!LEVELS.includes(level))   throw new Error(`Unknown log level "${level}" (expected one of: ${LEVELS.join(', ')})`);
+  if (!FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  const threshold = LEVELS.indexOf(level);
+  const out = dir ? openRotatingFile(path.join(dir, `${component.replace(/[^\w.-]+/g, '-')}.jsonl`), { maxBytes, maxFiles }) : null;
+
+  function write(lvl, message, fields) {
+    if (LEVELS.indexOf(lvl) < threshold) return;
+    const { traceId, requestId, prId, ...rest } = redactValue(plainFields(fields), secrets);
+    const record = {
+      timestamp: new Date().toISOString(), level: lvl, component, traceId, requestId, prId,
+      message: redact(String(message), secrets), ...rest,
+    };
+    const json = JSON.stringify(record);
+    out?.write(json + '\n');
+
+    const line = format === 'json'
+      ? json
+      : redact(`[${component}] ${traceId ? `  [${traceId}] ` : ''}${message}`, secrets);
+    (lvl === 'error' ? console.error : lvl === 'warn' ? console.warn : console.log)(line);
+  }
+
+  function bind(bound) {
+    const logger = { component, level, file: out?.file ?? null };
+    for (const lvl of LEVELS) logger[lvl] = (message, fields = {}) => write(lvl, message, { ...bound, ...fields });
+    logger.child = fields => bind({ ...bound, ...fields });
+    return logger;
+  }
+  return bind({});
+}
+
+/** Same as the scripts' arg(flag, envVar), over the given argv / env. */
+function option(argv, env, flag, envVar) {
+  const idx = argv.indexOf(flag);
+  return (idx !== -1 && argv[idx + 1]) ? argv[idx + 1] : env[envVar];
+}
+
+/** The logger configured by the flags and env vars listed in the header. */
+export function loggerFromEnv(component, { argv = process.argv, env = process.env } = {}) {
+  const dir = option(argv, env, '--log-dir', 'LOG_DIR') ?? DEFAULT_LOG_DIR;
+  return createLogger(component, {
+    level:    option(argv, env, '--log-level',  'LOG_LEVEL')  ?? 'info',
+    format:   option(argv, env, '--log-format', 'LOG_FORMAT') ?? 'text',
+    dir:      dir === 'none' ? null : path.resolve(dir),
+    maxBytes: Number(env.LOG_MAX_BYTES ?? 10 * 1024 * 1024),
+    maxFiles: Number(env.LOG_MAX_FILES ?? 5),
+    secrets:  secretsFrom(argv, env),
+  });
+}
+
+// ── Reading logs back ─────────────────────────────────────────────────────────
+
+// <component>.jsonl or a rotated <component>.<n>.jsonl
+const LOG_FILE_RE = /^(.+?)(?:\.(\d+))?\.jsonl$/;
+
+/**
+ * Every record in `dir`, current and rotated files of every component,
+ * sorted by timestamp.  Lines that are not JSON records are skipped.
+ * @returns {object[]}
+ */
+export function readLogRecords(dir) {
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => LOG_FILE_RE.test(f)); } catch { /* no logs yet */ }
+  const records = [];
+  for (const file of files) {
+    for (const line of fs.readFileSync(path.join(dir, file), 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (record?.timestamp && record.message !== undefined) records.push(record);
+      } catch { /* a torn last line */ }
+    }
+  }
+  // Stable: records with the same timestamp keep their file order
+  return records.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+}
+
+/** Does `record` pass the filters?  traceId and requestId match by prefix, case-insensitively. */
+export function matchesLogFilter(record, { traceId, requestId, prId, component, level } = {}) {
+  const prefix = (value, want) => !want || String(value ?? '').toLowerCase().startsWith(want.toLowerCase());
+  return prefix(record.traceId, traceId)
+    && prefix(record.requestId, requestId)
+    && (!prId || record.prId === prId)
+    && (!component || record.component === component)
+    && (!level || LEVELS.indexOf(record.level) >= LEVELS.indexOf(level));
+}
+
+/** One record as a console line: "12:00:00.000 INFO  [reviewer-bridge]   [0x…] message  key=value". */
+export function formatLogRecord({ timestamp, level, component, traceId, requestId, prId, message, ...fields }) {
+  const extra = Object.entries(fields).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+  return `${timestamp.slice(11, 23)} ${String(level).toUpperCase().padEnd(5)} [${component}] `
+    + `${traceId ? `  [${traceId}] ` : ''}${message}${extra.length ? `  ${extra.join('  ')}` : ''}`;
+}
@@ -0,0 +1,219 @@
+/**
+ * lib/mcp-auth.js
+ *
+ * Signed MCP requests.  A caller holding an Ethereum key signs every HTTP
+ * request it sends to /mcp with EIP-712 typed data:
+ *
+ *   McpRequest(string method, string audience, string sessionId, bytes32 bodyHash, uint256 timestamp, bytes32 nonce)
+ *     method     — HTTP method ("POST", "GET", "DELETE")
+ *     audience   — the agent endpoint the request is for (the card's `endpoint`,
+ *                  e.g. "http://localhost:8001"), see normalizeAudience()
+ *     sessionId  — the Mcp-Session-Id header sent with the request ("" for none)
+ *     bodyHash   — keccak256 of the exact request body bytes ("" for GET / DELETE)
+ *     timestamp  — milliseconds since the epoch
+ *     nonce      — 32 random bytes, never reused
+ *
+ * in domain { name: "ERC-8004 MCP", version: "1" }, and sends the signature,
+ * timestamp, nonce and audience in the X-Mcp-Signature, X-Mcp-Timestamp,
+ * X-Mcp-Nonce and X-Mcp-Audience headers.  The bridges sign with their oracle wallet.
+ *
+ * The server side (used by lib/mcp-server.js) recovers the signer and:
+ *   - refuses a bad signature, a timestamp more than MCP_AUTH_MAX_SKEW_MS
+ *     (default 60000) away from its clock, or a nonce it has already seen
+ *     within that window — HTTP 401
+ *   - refuses a request whose X-Mcp-Audience is not one of its own — its
+ *     endpoint, the endpoint in its card file and MCP_AUTH_AUDIENCE
+ *     (comma-separated, e.g. a public URL behind a proxy) — HTTP 401.  The
+ *     audience and the Mcp-Session-Id header are part of the signed data, so
+ *     a request replayed to another agent or into another session no longer
+ *     verifies.  Nonces are only remembered per process; this is what stops
+ *     a request signed for one agent from being replayed to another.
+ *   - with MCP_ALLOWED_SIGNERS set, refuses requests that are unsigned or
+ *     signed by any other key — HTTP 401
+ *   - with MCP_TOOL_PERMISSIONS (a JSON file of { "<tool>": ["0x…", …] }),
+ *     lets only the listed signers call those tools — JSON-RPC -32003.
+ *     Tools not in the file are open to every caller the allow-list lets in.
+ *
+ * MCP_CORS_ORIGINS (comma-separated, default "*") lists the browser origins
+ * allowed to call the server.
+ */
+
+import fs from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { ethers } from 'ethers';
+
+export const MCP_AUTH_DOMAIN = { name: 'ERC-8004 MCP', version: '1' };
+
+export const MCP_REQUEST_TYPES = {
+  McpRequest: [
+    { name: 'method',    type: 'string'  },
+    { name: 'audience',  type: 'string'  },
+    { name: 'sessionId', type: 'string'  },
+    { name: 'bodyHash',  type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce',     type: 'bytes32' },
+  ],
+};
+
+export const SIGNATURE_HEADERS = ['X-Mcp-Signature', 'X-Mcp-Timestamp', 'X-Mcp-Nonce', 'X-Mcp-Audience'];
+
+/** A request the server refuses before looking at it; `status` is the HTTP status to answer with. */
+export class McpAuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name   = 'McpAuthError';
+    this.status = status;
+  }
+}
+
+/** An endpoint as signed and compared: "HTTP://LocalHost:8001/" → "http://localhost:8001". */
+export function normalizeAudience(endpoint) {
+  try {
+    const url = new URL(endpoint);
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return String(endpoint ?? '').trim();
+  }
+}
+
+// ── Client side ───────────────────────────────────────────────────────────────
+
+/**
+ * Signer for callTool()'s `sign` option.
+ * @param {string | ethers.Wallet} key  Private key or wallet
+ * @returns {{ address: string, sign(method: string, body: string, to: { audience: string, sessionId?: string }): Promise<object> }}
+ *   sign() returns the headers to send to the agent at `audience` with a
+ *   request carrying exactly `body` (and `sessionId` as its Mcp-Session-Id).
+ */
+export function requestSigner(key) {
+  const wallet = typeof key === 'string' ? new ethers.Wallet(key) : key;
+  return {
+    address: wallet.address,
+    async sign(method, body, { audience, sessionId = '' }) {
+      const message = {
+        method,
+        audience:  normalizeAudience(audience),
+        sessionId,
+        bodyHash:  ethers.keccak256(ethers.toUtf8Bytes(body)),
+        timestamp: Date.now(),
+        nonce:     ethers.hexlify(randomBytes(32)),
+      };
+      return {
+        'X-Mcp-Signature': await wallet.signTypedData(MCP_AUTH_DOMAIN, MCP_REQUEST_TYPES, message),
+        'X-Mcp-Timestamp': String(message.timestamp),
+        'X-Mcp-Nonce':     message.nonce,
+        'X-Mcp-Audience':  message.audience,
+      };
+    },
+  };
+}
+
+// ── Server side ───────────────────────────────────────────────────────────────
+
+/**
+ * Authentication settings from the environment.  A malformed address or
+ * permissions file throws, so a server never starts with auth silently off.
+ * @returns {{ allowedSigners: string[], permissions: object, maxSkewMs: number, corsOrigins: string[], audiences: string[] }}
+ */
+export function authConfigFromEnv(env = process.env) {
+  const list = value => (value ?? '').split(',').map(s => s.trim()).filter(Boolean);
+  const address = (a, where) => {
+    try { return ethers.getAddress(a); } catch { throw new Error(`Invalid address "${a}" in ${where}`); }
+  };
+
+  const permissions = {};
+  if (env.MCP_TOOL_PERMISSIONS) {
+    const raw = JSON.parse(fs.readFileSync(env.MCP_TOOL_PERMISSIONS, 'utf8'));
+    for (const [tool, signers] of Object.entries(raw)) {
+      if (!Array.isArray(signers)) throw new Error(`${env.MCP_TOOL_PERMISSIONS}: "${tool}" must list signer addresses`);
+      permissions[tool] = signers.map(a => address(a, env.MCP_TOOL_PERMISSIONS));
+    }
+  }
+
+  return {
+    allowedSigners: list(env.MCP_ALLOWED_SIGNERS).map(a => address(a, 'MCP_ALLOWED_SIGNERS')),
+    permissions,
+    maxSkewMs:      Number(env.MCP_AUTH_MAX_SKEW_MS ?? 60_000),
+    corsOrigins:    list(env.MCP_CORS_ORIGINS ?? '*'),
+    audiences:      list(env.MCP_AUTH_AUDIENCE),
+  };
+}
+
+/**
+ * @param {object} opts  See authConfigFromEnv(); `audiences` lists every endpoint the server answers as
+ * @returns {{ describe: string | null, restrictedTools: string[], corsOrigin(origin?: string): string | null,
+ *             verify(method: string, headers: object, body: string): string | null,
+ *             canCall(tool: string, signer: string | null): boolean }}
+ */
+export function createRequestVerifier({ allowedSigners = [], permissions = {}, maxSkewMs = 60_000, corsOrigins = ['*'], audiences = [] } = {}) {
+  const seen = new Map(); // "<signer>:<nonce>" → expires at (ms)
+  const accepted = new Set(audiences.map(normalizeAudience));
+
+  const restricted = Object.keys(permissions);
+  const parts = [
+    ...(allowedSigners.length ? [`${allowedSigners.length} allowed signer(s)`] : []),
+    ...(restricted.length ? [`restricted: ${restricted.join(' ')}`] : []),
+  ];
+
+  return {
+    // For the startup line; null when every caller may call every tool
+    describe: parts.length ? parts.join('; ') : null,
+
+    restrictedTools: restricted,
+
+    /** The Access-Control-Allow-Origin value for a request from `origin`, or null for none. */
+    corsOrigin(origin) {
+      if (corsOrigins.includes('*')) return '*';
+      return origin && corsOrigins.includes(origin) ? origin : null;
+    },
+
+    /**
+     * Check a request's signature headers against `body`.  Returns the signer
+     * address, or null for an unsigned request the server accepts; throws
+     * McpAuthError otherwise.
+     */
+    verify(method, headers, body) {
+      const signature = headers['x-mcp-signature'];
+      if (!signature) {
+        if (allowedSigners.length) throw new McpAuthError('This server only accepts signed requests');
+        return null;
+      }
+
+      const timestamp = Number(headers['x-mcp-timestamp']);
+      const nonce     = headers['x-mcp-nonce'];
+      if (!Number.isSafeInteger(timestamp) || !ethers.isHexString(nonce, 32)) {
+        throw new McpAuthError('Signed requests need X-Mcp-Timestamp (ms) and a 32-byte hex X-Mcp-Nonce');
+      }
+      const now = Date.now();
+      if (Math.abs(now - timestamp) > maxSkewMs) throw new McpAuthError(`Request timestamp is more than ${maxSkewMs} ms off`);
+
+      const audience = normalizeAudience(headers['x-mcp-audience']);
+      if (!accepted.has(audience)) throw new McpAuthError(`Request was signed for ${audience || 'no audience'}, not this server`);
+
+      let signer;
+      try {
+        signer = ethers.verifyTypedData(MCP_AUTH_DOMAIN, MCP_REQUEST_TYPES, {
+          method,
+          audience,
+          sessionId: headers['mcp-session-id'] ?? '',
+          bodyHash:  ethers.keccak256(ethers.toUtf8Bytes(body)),
+          timestamp,
+          nonce,
+        }, signature);
+      } catch {
+        throw new McpAuthError('Malformed X-Mcp-Signature');
+      }
+      if (allowedSigners.length && !allowedSigners.includes(signer)) {
+        throw new McpAuthError(`Signer ${signer} is not allowed`);
+      }
+
+      for (const [key, expiresAt] of seen) if (expiresAt < now) seen.delete(key);
+      const key = `${signer}:${nonce.toLowerCase()}`;
+      if (seen.has(key)) throw new McpAuthError('Nonce already used');
+      seen.set(key, timestamp + maxSkewMs);
+      return signer;
+    },
+
+    canCall: (tool, signer) => !permissions[tool] || (!!signer && permissions[tool].includes(signer)),
+  };
+}
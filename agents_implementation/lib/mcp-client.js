@@ -0,0 +1,206 @@
+/**
+ * lib/mcp-client.js
+ *
+ * Minimal MCP (JSON-RPC 2.0 over HTTP POST /mcp) client used by the bridges.
+ *
+ * Calls are stateless (no initialize / Mcp-Session-Id).  When the caller
+ * passes `onProgress`, the call uses the streamable-HTTP transport: the
+ * request carries a progress token and accepts an SSE response, every
+ * `notifications/progress` event is handed to `onProgress`, and `timeoutMs`
+ * becomes an idle timeout that each progress event resets (capped by
+ * `maxTimeoutMs`).  A call that times out or is aborted sends
+ * `notifications/cancelled` so the server can stop working on it.
+ *
+ * With `sign` (see requestSigner() in lib/mcp-auth.js) every request —
+ * cancellations included — carries an EIP-712 signature over its body, for
+ * servers that only take calls from allow-listed keys.
+ *
+ * With `tracer` (see lib/tracing.js) every call is a client span, child of
+ * `parent`, whose context travels to the server in the W3C `traceparent`
+ * header; without one, `parent` itself is forwarded.
+ *
+ * Failures are typed so callers can react to them:
+ *   - McpTransportError — the endpoint could not be reached, timed out,
+ *     answered with an HTTP 5xx/408/429 or closed the stream before
+ *     replying.  Transient; also tells the agent router the endpoint is
+ *     unhealthy.
+ *   - PermanentError    — the server rejected the request in a way that will
+ *     not change on retry (JSON-RPC -32600/-32601/-32602, -32003 for a tool
+ *     the signer may not call, other HTTP 4xx such as 401 for a refused
+ *     signature, empty or unparseable tool output).
+ *   - Error             — any other JSON-RPC error (e.g. -32000 tool error).
+ */
+
+import { randomUUID } from 'node:crypto';
+import { PermanentError } from './job-queue.js';
+
+/** The agent endpoint is unreachable or unhealthy. */
+export class McpTransportError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'McpTransportError';
+  }
+}
+
+// JSON-RPC codes for requests the MCP server will reject the same way every time
+const PERMANENT_RPC_CODES = [-32600, -32601, -32602, -32003];
+
+/** One-line rendering of a notifications/progress payload, e.g. "2/3 analysing 4 file(s)". */
+export function formatProgress({ progress, total, message }) {
+  return `${progress}${total !== undefined ? `/${total}` : ''}${message ? ` ${message}` : ''}`;
+}
+
+/** Yield the JSON-RPC messages carried by an SSE response body. */
+async function* readSseMessages(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const event = buffer.slice(0, end);
+      buffer = buffer.slice(end).replace(/^\r?\n\r?\n/, '');
+      const data = event.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).trimStart()).join('\n');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+/** Best-effort notifications/cancelled for an abandoned request; never throws. */
+function sendCancelled(endpoint, requestId, reason, sign) {
+  const body = JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId, reason } });
+  (async () => fetch(`${endpoint}/mcp`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', ...(sign ? await sign('POST', body, { audience: endpoint }) : {}) },
+    body,
+    signal:  AbortSignal.timeout(5_000),
+  }))().catch(() => {});
+}
+
+/**
+ * Call `tools/call` on the MCP server at `endpoint` and return the parsed
+ * JSON of the first text content block.
+ *
+ * @param {string} endpoint  Agent base URL (the card's `endpoint`)
+ * @param {string} name      Tool name
+ * @param {object} args      Tool arguments
+ * @param {object} [opts]
+ * @param {string} [opts.traceId]                  Sent as the X-Trace-Id header
+ * @param {number} [opts.timeoutMs=60000]          Total timeout; with onProgress, time allowed between events
+ * @param {number} [opts.maxTimeoutMs=900000]      Hard cap when progress keeps resetting the timeout
+ * @param {(p: { progress: number, total?: number, message?: string }) => void} [opts.onProgress]
+ * @param {AbortSignal} [opts.signal]              Aborts (and cancels) the call
+ * @param {(method: string, body: string, to: { audience: string }) => Promise<object>} [opts.sign]
+ *        Signature headers for a request body, bound to `endpoint` (requestSigner() in lib/mcp-auth.js)
+ * @param {object} [opts.tracer]                   Records the call as a span (lib/tracing.js)
+ * @param {object|string} [opts.parent]            Parent span or `traceparent` of the call
+ * @param {object} [opts.attributes]               Extra span attributes (e.g. the agent's name)
+ */
+export async function callTool(endpoint, name, args, {
+  traceId,
+  timeoutMs    = 60_000,
+  maxTimeoutMs = 15 * 60_000,
+  onProgress,
+  signal,
+  sign,
+  tracer,
+  parent,
+  attributes,
+} = {}) {
+  const id   = randomUUID();
+  const body = JSON.stringify({
+    jsonrpc: '2.0', id,
+    method:  'tools/call',
+    params:  { name, arguments: args, ...(onProgress ? { _meta: { progressToken: id } } : {}) },
+  });
+  const signature = sign ? await sign('POST', body, { audience: endpoint }) : {};
+  const span = tracer?.startSpan(`tools/call ${name}`, {
+    parent, traceId,
+    kind:       'client',
+    attributes: { 'rpc.system': 'jsonrpc', 'rpc.method': 'tools/call', 'mcp.tool': name, 'server.address': endpoint, ...attributes },
+  });
+  const traceparent = span?.traceparent ?? (typeof parent === 'string' ? parent : parent?.traceparent);
+
+  // One controller for the whole exchange: idle timer, hard cap and the caller's signal
+  const controller = new AbortController();
+  const timeout = ms => new DOMException(`timed out after ${ms} ms`, 'TimeoutError');
+  let idle = setTimeout(() => controller.abort(timeout(timeoutMs)), timeoutMs);
+  const cap = onProgress ? setTimeout(() => controller.abort(timeout(maxTimeoutMs)), maxTimeoutMs) : null;
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    let res;
+    try {
+      res = await fetch(`${endpoint}/mcp`, {
+        method:  'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept:         onProgress ? 'application/json, text/event-stream' : 'application/json',
+          ...(traceId ? { 'X-Trace-Id': traceId } : {}),
+          ...(traceparent ? { traceparent } : {}),
+          ...signature,
+        },
+        body,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      // The server may already be working on the request — tell it to stop
+      if (controller.signal.aborted) sendCancelled(endpoint, id, err.message, sign);
+      // fetch() reports every network failure as "fetch failed" — surface the cause
+      const cause = err.name === 'TimeoutError' ? err.message : (err.cause?.code ?? err.message);
+      throw new McpTransportError(`MCP ${endpoint} unreachable: ${cause}`, { cause: err });
+    }
+
+    if (!res.ok) {
+      // Overload and server faults may clear up; any other HTTP error will not
+      const msg = `MCP HTTP ${res.status} from ${endpoint}`;
+      if (res.status >= 500 || res.status === 408 || res.status === 429) throw new McpTransportError(msg);
+      throw new PermanentError(msg);
+    }
+
+    let json;
+    try {
+      if ((res.headers.get('content-type') ?? '').startsWith('text/event-stream')) {
+        for await (const msg of readSseMessages(res.body)) {
+          if (msg.method === 'notifications/progress' && msg.params?.progressToken === id) {
+            clearTimeout(idle);
+            idle = setTimeout(() => controller.abort(timeout(timeoutMs)), timeoutMs);
+            onProgress?.(msg.params);
+          } else if (msg.id === id) {
+            json = msg;
+            break;
+          }
+        }
+        if (!json) throw new McpTransportError(`MCP ${endpoint} closed the stream before replying`);
+      } else {
+        json = await res.json();
+      }
+    } catch (err) {
+      if (err instanceof McpTransportError) throw err;
+      if (err instanceof SyntaxError) throw new PermanentError(`Unparseable MCP reply from ${endpoint}: ${err.message}`);
+      if (controller.signal.aborted) sendCancelled(endpoint, id, err.message, sign);
+      throw new McpTransportError(`MCP ${endpoint} ${name}: ${err.message}`, { cause: err });
+    }
+
+    if (json.error) {
+      span?.setAttribute('rpc.jsonrpc.error_code', json.error.code);
+      const msg = `MCP error: ${JSON.stringify(json.error)}`;
+      throw PERMANENT_RPC_CODES.includes(json.error.code) ? new PermanentError(msg) : new Error(msg);
+    }
+
+    const raw = json?.result?.content?.[0]?.text;
+    if (!raw) throw new PermanentError('Empty MCP response');
+    const result = JSON.parse(raw);
+    span?.end();
+    return result;
+  } catch (err) {
+    span?.end(err);
+    throw err;
+  } finally {
+    clearTimeout(idle);
+    clearTimeout(cap);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
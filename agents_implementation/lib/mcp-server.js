@@ -0,0 +1,693 @@
+/**
+ * lib/mcp-server.js
+ *
+ * Shared MCP HTTP server for every agent type.
+ *
+ * An agent type is one handler file (e.g. code-reviewer-server.js) that calls
+ * serveMcp() with a definition factory.  Everything declarative comes from the
+ * MCP spec the card's `mcpSpec` points to (agents/mcp/<type>.mcp.json):
+ *   tools      — name, description and inputSchema; the handler file supplies
+ *                one handler per spec tool (a missing one is a startup error)
+ *   resources  — URI templates, names and MIME types; the handler file supplies
+ *                a reader per template (and optionally the PR ids it has data for)
+ *   prompts    — rendered straight from the spec's handlebars-style `template`
+ *
+ * Built in for every agent: the agent/info and agent/ping tools, CORS
+ * (MCP_CORS_ORIGINS), signed-request authentication (lib/mcp-auth.js) and
+ * JSON-RPC 2.0 (single and batch) over the MCP streamable-HTTP transport:
+ *   - `initialize` opens a session and returns its id in the Mcp-Session-Id
+ *     header.  Requests carrying that header are checked against it (unknown
+ *     or closed → HTTP 404) and DELETE /mcp closes it.  Requests without the
+ *     header are served statelessly, which is how the bridges call.
+ *   - A POST that accepts text/event-stream and calls a tool with
+ *     `params._meta.progressToken` is answered with an SSE stream: the tool's
+ *     `notifications/progress` events, then its response.  Everything else
+ *     gets a plain JSON reply; a POST carrying only notifications gets 202.
+ *   - `notifications/cancelled` aborts an in-flight request: the handler's
+ *     `signal` fires and no response is sent for it.
+ *   - GET /mcp opens the session's server-to-client SSE stream.  Sessions
+ *     that resources/subscribe to a URI get `notifications/resources/updated`
+ *     on it whenever a handler calls resourceUpdated(uri), and every open
+ *     stream gets `notifications/resources/list_changed` when a new resource
+ *     appears.
+ *
+ * Every tools/call is validated against the tool's inputSchema (JSON-RPC
+ * -32602, with per-field errors in `error.data.errors`) and every result
+ * against the spec's outputSchema, if it has one (-32603), so a handler bug
+ * never reaches a bridge — or the chain.  `trace_id` is transport metadata
+ * rather than a tool argument: it is taken out of the arguments before
+ * validation and handed to the handler as `traceId`.
+ *
+ * Requests to /mcp may be signed (EIP-712, see lib/mcp-auth.js).  With
+ * MCP_ALLOWED_SIGNERS set, anything unsigned or signed by another key gets
+ * HTTP 401 (JSON-RPC -32002), and so does a request signed for another
+ * agent's endpoint or another session; tools listed in MCP_TOOL_PERMISSIONS answer
+ * -32003 to every caller but their listed signers.  Handlers see the
+ * verified signer address (or null) as `signer`.
+ *
+ * Every tools/call but agent/ping is a server span (lib/tracing.js): a
+ * child of the caller's `traceparent` header, or rooted in the trace derived
+ * from the traceId, carrying the tool, agent name, prId, requestId, signer
+ * and the result's decision.  OTEL_TRACES_EXPORTER decides where it goes.
+ *
+ * GET /metrics serves Prometheus metrics (lib/metrics.js): tool calls and
+ * latency per tool, JSON-RPC errors per code, open sessions and in-flight
+ * calls, plus whatever the handler file registers (e.g. store sizes).
+ *
+ * Logs are structured (lib/logger.js): one JSON record per line in
+ * <LOG_DIR>/<agent name>.jsonl, tagged with the call's traceId, prId and
+ * requestId, plus the usual "[agent] [traceId] msg" lines on the console.
+ *
+ * Invocation (handled by launch-agents.js):
+ *   node <type>-server.js <path-to-agent-card.json> <port>
+ *
+ * HTTP endpoints:
+ *   GET  /                      → agent card (JSON)
+ *   GET  /.well-known/agent     → agent card (JSON)
+ *   GET  /metrics               → Prometheus metrics (text exposition format)
+ *   POST   /mcp                 → MCP JSON-RPC 2.0 (tools, resources, prompts); JSON or SSE reply
+ *   GET    /mcp                 → SSE stream of resource notifications for the Mcp-Session-Id session
+ *   DELETE /mcp                 → close the Mcp-Session-Id session
+ */
+
+import http from 'node:http';
+import fs   from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { URL } from 'node:url';
+import { validate, formatErrors } from './json-schema.js';
+import { authConfigFromEnv, createRequestVerifier, McpAuthError, SIGNATURE_HEADERS } from './mcp-auth.js';
+import { createTracer } from './tracing.js';
+import { loggerFromEnv } from './logger.js';
+import { createMetricsRegistry, writeMetrics } from './metrics.js';
+
+// ── Prompt templates ──────────────────────────────────────────────────────────
+
+/**
+ * Render the handlebars subset used by the spec files: {{name}} and
+ * {{#if name}}…{{else}}…{{/if}} (nestable).  Missing values render as ''.
+ */
+export function renderTemplate(template, args = {}) {
+  const present = name => args[name] !== undefined && args[name] !== null && args[name] !== '';
+  // Innermost blocks first, so nested #if's resolve from the inside out
+  const innermostIf = /{{#if (\w+)}}((?:(?!{{#if )[\s\S])*?)(?:{{else}}((?:(?!{{#if )[\s\S])*?))?{{\/if}}/;
+  let out = template;
+  let m;
+  while ((m = out.match(innermostIf))) {
+    out = out.slice(0, m.index) + (present(m[1]) ? m[2] : (m[3] ?? '')) + out.slice(m.index + m[0].length);
+  }
+  return out.replace(/{{(\w+)}}/g, (_, name) => (present(name) ? String(args[name]) : ''));
+}
+
+/** Fill in a resource URI template: ("review://{pr_id}/diff", { pr_id: "42" }) → "review://42/diff". */
+function expandUriTemplate(template, params) {
+  return template.replace(/{(\w+)}/g, (_, name) => encodeURIComponent(params[name]));
+}
+
+/**
+ * Compile a resource URI template ("review://{pr_id}/diff") into a matcher
+ * returning its params.  A URI whose params are not valid percent-encoding
+ * ("review://%ZZ/comments") matches nothing.
+ */
+function compileUriTemplate(template) {
+  const names = [];
+  const source = template
+    .split(/({\w+})/)
+    .map(part => {
+      const m = part.match(/^{(\w+)}$/);
+      if (!m) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(m[1]);
+      return '(.+?)';
+    })
+    .join('');
+  const re = new RegExp(`^${source}$`);
+  return uri => {
+    const m = uri.match(re);
+    if (!m) return null;
+    try {
+      return Object.fromEntries(names.map((n, i) => [n, decodeURIComponent(m[i + 1])]));
+    } catch {
+      return null; // URIError: malformed percent-encoding
+    }
+  };
+}
+
+// ── JSON-RPC helpers ──────────────────────────────────────────────────────────
+export const rpcError  = (id, code, msg, data) =>
+  ({ jsonrpc: '2.0', id: id ?? null, error: { code, message: msg, ...(data ? { data } : {}) } });
+export const rpcResult = (id, result) => ({ jsonrpc: '2.0', id, result });
+
+// Protocol versions this server speaks, newest first; initialize echoes the client's if listed
+const PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+// Sessions nobody has used for this long are dropped on the next initialize
+const SESSION_IDLE_MS = 60 * 60_000;
+
+// Comment line sent on idle GET streams so proxies keep them open
+const KEEPALIVE_MS = 25_000;
+
+/**
+ * Start the MCP server for one agent card.
+ *
+ * @param {(ctx: object) => { tools: object, resources?: object, banner?: string }} define
+ *   Called once with `{ card, name, port, spec, cardPath, prompt, logger, metrics, resourceUpdated }` where
+ *   `prompt(name, args)` renders a spec prompt to messages,
+ *   `logger` is the agent's logger (lib/logger.js),
+ *   `metrics` is the registry served at GET /metrics (lib/metrics.js) and
+ *   `resourceUpdated(uri)` notifies the sessions subscribed to a concrete resource URI.  Returns:
+ *     tools      — { [name]: handler } for spec tools, or
+ *                  { [name]: { description, inputSchema, handler } } for extra, server-local tools.
+ *                  Handlers are `(args, { traceId, signer, progress, signal, span, log }) => result | Promise<result>`:
+ *                  `log` is the agent's logger bound to the call's traceId, prId and requestId,
+ *                  `progress(message, { progress?, total? })` reports progress to callers that
+ *                  asked for it (progress defaults to the previous value + 1), `signal`
+ *                  aborts when the caller cancels the request and `span` is the call's
+ *                  server span (lib/tracing.js; null for agent/ping), for extra attributes
+ *                  or as the parent of calls the handler makes.
+ *     resources  — { [uriTemplate]: (params) => text | Promise<text> } for each spec resource, or
+ *                  { [uriTemplate]: { read, list } } where `list()` returns the params of every
+ *                  concrete resource (e.g. [{ pr_id: '42' }]) for resources/list
+ *     banner     — extra text for the startup line (e.g. "provider=static")
+ * @param {object} [opts]
+ * @param {string} [opts.defaultSpec]  Spec path (relative to the card) for cards without `mcpSpec`
+ * @param {string[]} [opts.argv=process.argv]
+ * @returns {Promise<http.Server>}  Rejects when the card or spec cannot be read or the definition does
+ *   not match the spec (a missing tool handler or resource reader, …); callers exit on it.
+ */
+export async function serveMcp(define, { defaultSpec, argv = process.argv } = {}) {
+  const script = path.basename(argv[1] ?? 'server.js');
+
+  // ── CLI args ───────────────────────────────────────────────────────────────
+  const [, , cardPath, portArg] = argv;
+  if (!cardPath || !portArg) {
+    console.error(`Usage: node ${script} <agent-card.json> <port>`);
+    process.exit(1);
+  }
+  const PORT = parseInt(portArg, 10);
+  if (Number.isNaN(PORT)) { console.error(`Invalid port: ${portArg}`); process.exit(1); }
+
+  // ── Load agent card and its MCP spec ───────────────────────────────────────
+  const absoluteCardPath = path.resolve(cardPath);
+  const cardFile  = JSON.parse(fs.readFileSync(absoluteCardPath, 'utf8'));
+  const agentCard = { ...cardFile, endpoint: `http://localhost:${PORT}` };
+  const agentName = agentCard.name ?? path.basename(cardPath, '.json');
+  // `mcpSpec` is relative to the card file, as in the cards under agents/
+  const specRef = agentCard.mcpSpec ?? defaultSpec;
+  if (!specRef) { console.error(`[${agentName}] Card has no mcpSpec`); process.exit(1); }
+  const spec = JSON.parse(fs.readFileSync(path.resolve(path.dirname(absoluteCardPath), specRef), 'utf8'));
+
+  let logger;
+  try {
+    logger = loggerFromEnv(agentName, { argv });
+  } catch (err) {
+    console.error(`[${agentName}] ${err.message}`);
+    process.exit(1);
+  }
+
+  const PROMPTS = Object.fromEntries((spec.prompts ?? []).map(p => [p.name, p]));
+  const prompt  = (name, args = {}) => {
+    const def = PROMPTS[name];
+    if (!def) throw new Error(`Unknown prompt: ${name}`);
+    return [{ role: 'system', content: renderTemplate(def.template, args) }];
+  };
+
+  // ── Request authentication (MCP_ALLOWED_SIGNERS, MCP_TOOL_PERMISSIONS, …) ─
+  let auth;
+  try {
+    const config = authConfigFromEnv();
+    // Signed requests must name this server: its own endpoint, the card's, or MCP_AUTH_AUDIENCE
+    auth = createRequestVerifier({
+      ...config,
+      audiences: [agentCard.endpoint, `http://127.0.0.1:${PORT}`, ...(cardFile.endpoint ? [cardFile.endpoint] : []), ...config.audiences],
+    });
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+
+  // ── Spans (OTEL_TRACES_EXPORTER, …; see lib/tracing.js) ──────────────────
+  let tracer;
+  try {
+    tracer = createTracer(agentName, { warn: msg => logger.warn(msg) });
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+
+  // ── Metrics (GET /metrics) ─────────────────────────────────────────────────
+  const metrics     = createMetricsRegistry({ warn: msg => logger.warn(msg) });
+  const toolCalls   = metrics.counter('mcp_tool_calls_total', 'tools/call requests by tool and outcome (ok, error, cancelled)', ['tool', 'outcome']);
+  const toolLatency = metrics.histogram('mcp_tool_call_duration_seconds', 'tools/call latency by tool, in seconds', ['tool']);
+  const rpcErrors   = metrics.counter('mcp_rpc_errors_total', 'JSON-RPC error responses by error code', ['code']);
+
+  // ── Sessions, in-flight requests and resource subscriptions ────────────────
+  // sessionId → { protocolVersion, lastSeen, subscriptions: Set<uri>, stream: http.ServerResponse | null }
+  const sessions = new Map();
+  const inFlight = new Map(); // "<sessionId>:<requestId>" → AbortController
+  const flightKey = (sessionId, requestId) => `${sessionId ?? ''}:${JSON.stringify(requestId)}`;
+  const knownUris = new Set(); // concrete URIs reported through resourceUpdated()
+  metrics.gauge('mcp_sessions_open', 'Open MCP sessions', [], { collect: () => sessions.size });
+  metrics.gauge('mcp_tool_calls_in_flight', 'tools/call requests being handled', [], { collect: () => inFlight.size });
+
+  function closeSession(sessionId) {
+    sessions.get(sessionId)?.stream?.end();
+    sessions.delete(sessionId);
+    for (const [key, controller] of inFlight) {
+      if (key.startsWith(`${sessionId}:`)) controller.abort(new Error('session closed'));
+    }
+  }
+
+  /** Send a notification on a session's GET stream, if it has one open. */
+  function pushToSession(session, method, params) {
+    if (!session.stream || session.stream.writableEnded) return;
+    session.stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method, ...(params ? { params } : {}) })}\n\n`);
+  }
+
+  function resourceUpdated(uri) {
+    if (!knownUris.has(uri)) {
+      knownUris.add(uri);
+      for (const session of sessions.values()) pushToSession(session, 'notifications/resources/list_changed');
+    }
+    for (const session of sessions.values()) {
+      if (session.subscriptions.has(uri)) pushToSession(session, 'notifications/resources/updated', { uri });
+    }
+  }
+
+  let definition;
+  try {
+    definition = await define({
+      card: agentCard, name: agentName, port: PORT, spec, cardPath: absoluteCardPath, prompt, logger, metrics, resourceUpdated,
+    });
+  } catch (err) {
+    // e.g. an invalid REVIEW_PROVIDER or policy file — fail fast with a readable message
+    logger.error(err.message);
+    process.exit(1);
+  }
+
+  // ── Tools: built-ins, then spec tools, then server-local extras ───────────
+  const TOOLS = {
+    'agent/info': {
+      description: 'Returns the agent card for this agent.',
+      inputSchema: { type: 'object', properties: {}, required: [], additionalProperties: false },
+      handler: () => agentCard,
+    },
+    'agent/ping': {
+      description: 'Health check – returns pong.',
+      inputSchema: { type: 'object', properties: {}, required: [], additionalProperties: false },
+      handler: () => ({ status: 'pong', agent: agentName, port: PORT }),
+    },
+  };
+  for (const tool of spec.tools ?? []) {
+    const impl = definition.tools?.[tool.name];
+    if (!impl) throw new Error(`${script}: no handler for tool "${tool.name}" declared in ${spec.name}.mcp.json`);
+    TOOLS[tool.name] = {
+      description:  tool.description,
+      inputSchema:  tool.inputSchema,
+      outputSchema: tool.outputSchema,
+      handler:      typeof impl === 'function' ? impl : impl.handler,
+    };
+  }
+  for (const [name, impl] of Object.entries(definition.tools ?? {})) {
+    if (TOOLS[name]) continue;
+    if (typeof impl === 'function') throw new Error(`${script}: tool "${name}" is not in the spec and needs a description and inputSchema`);
+    TOOLS[name] = impl;
+  }
+  const unknownRestricted = auth.restrictedTools.filter(name => !TOOLS[name]);
+  if (unknownRestricted.length) throw new Error(`${script}: MCP_TOOL_PERMISSIONS names unknown tool(s): ${unknownRestricted.join(', ')}`);
+
+  // ── Resources ──────────────────────────────────────────────────────────────
+  const RESOURCES = (spec.resources ?? []).map(r => {
+    const impl = definition.resources?.[r.uriTemplate];
+    if (!impl) throw new Error(`${script}: no reader for resource "${r.uriTemplate}" declared in ${spec.name}.mcp.json`);
+    const { read, list = () => [] } = typeof impl === 'function' ? { read: impl } : impl;
+    return { ...r, match: compileUriTemplate(r.uriTemplate), read, list };
+  });
+
+  const findResource = uri => RESOURCES.find(r => r.match(uri));
+
+  async function readResource(uri) {
+    const r = findResource(uri);
+    return r ? { uri, mimeType: r.mimeType, text: await r.read(r.match(uri)) } : null;
+  }
+
+  // ── tools/call ─────────────────────────────────────────────────────────────
+  // Returns the response, or null for a cancelled call.  `span` is the call's
+  // server span (null for agent/ping); the handler may add attributes to it.
+  async function callToolRpc(id, name, args, { traceId, sessionId, signer, notify, progressToken }, span) {
+    const tool = TOOLS[name];
+    if (!tool) return rpcError(id, -32601, `Unknown tool: ${name}`);
+    const log = logger.child({ traceId, prId: args?.pr_id, requestId: args?.request_id });
+
+    if (!auth.canCall(name, signer)) {
+      log.warn(`${name} refused for ${signer ?? 'an unsigned caller'}`);
+      return rpcError(id, -32003, `${signer ?? 'Unsigned callers'} may not call ${name}`);
+    }
+
+    const inputErrors = validate(tool.inputSchema, args);
+    if (inputErrors.length) {
+      log.warn(`${name} rejected: ${formatErrors(inputErrors)}`);
+      return rpcError(id, -32602, `Invalid arguments for ${name}: ${formatErrors(inputErrors)}`, { errors: inputErrors });
+    }
+
+    const controller = new AbortController();
+    const key = flightKey(sessionId, id);
+    inFlight.set(key, controller);
+
+    let step = 0;
+    const progress = (message, { progress: value, total } = {}) => {
+      step = value ?? step + 1;
+      if (progressToken === undefined || !notify || controller.signal.aborted) return;
+      notify({
+        jsonrpc: '2.0',
+        method:  'notifications/progress',
+        params:  { progressToken, progress: step, ...(total !== undefined ? { total } : {}), ...(message ? { message } : {}) },
+      });
+    };
+
+    let result;
+    try {
+      result = await tool.handler(args, { traceId, signer, progress, signal: controller.signal, span, log });
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        log.error(`✗ ${name} failed: ${err.message}`);
+        return rpcError(id, -32000, `Tool error: ${err.message}`);
+      }
+    } finally {
+      inFlight.delete(key);
+    }
+    if (controller.signal.aborted) {
+      log.info(`${name} cancelled: ${controller.signal.reason?.message ?? 'no reason given'}`);
+      return null;
+    }
+
+    const outputErrors = tool.outputSchema ? validate(tool.outputSchema, result) : [];
+    if (outputErrors.length) {
+      log.error(`✗ ${name} returned a result that violates its outputSchema: ${formatErrors(outputErrors)}`);
+      return rpcError(id, -32603, `Invalid result from ${name}: ${formatErrors(outputErrors)}`, { errors: outputErrors });
+    }
+    // The outcome of review_pr / approve_pr, for finding a decision in a trace backend
+    span?.setAttributes({ 'botman.decision': result?.decision, 'botman.approved': result?.approved });
+    return rpcResult(id, { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] });
+  }
+
+  // ── MCP dispatcher ─────────────────────────────────────────────────────────
+  // Returns the response, or null for notifications and cancelled requests.
+  // `ctx.notify` (SSE replies only) sends a message ahead of the response.
+  // Error responses are counted here; dispatchMcp() builds them.  Anything it
+  // throws (a resource reader, a list callback, …) becomes a -32603 reply.
+  async function handleMcp(body, ctx = {}) {
+    let resp;
+    try {
+      resp = await dispatchMcp(body, ctx);
+    } catch (err) {
+      logger.error(`✗ ${body?.method ?? 'request'} failed: ${err.stack ?? err}`, { traceId: ctx.traceId });
+      resp = body?.id === undefined ? null : rpcError(body.id, -32603, 'Internal error');
+    }
+    if (resp?.error) rpcErrors.inc({ code: resp.error.code });
+    return resp;
+  }
+
+  async function dispatchMcp(body, ctx = {}) {
+    const { traceId: headerTraceId, sessionId, signer } = ctx;
+    const { jsonrpc, id, method, params } = body ?? {};
+    if (jsonrpc !== '2.0') return rpcError(id, -32600, 'Invalid Request');
+
+    // ── notifications (no reply) ───────────────────────────────────────────
+    if (id === undefined && method?.startsWith('notifications/')) {
+      if (method === 'notifications/cancelled') {
+        const controller = inFlight.get(flightKey(sessionId, params?.requestId));
+        controller?.abort(new Error(params?.reason || 'cancelled by client'));
+      }
+      return null;
+    }
+
+    if (method === 'initialize') {
+      const now = Date.now();
+      for (const [sid, session] of sessions) if (now - session.lastSeen > SESSION_IDLE_MS) closeSession(sid);
+
+      const protocolVersion = PROTOCOL_VERSIONS.includes(params?.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0];
+      ctx.openedSession = randomUUID();
+      sessions.set(ctx.openedSession, { protocolVersion, lastSeen: now, subscriptions: new Set(), stream: null });
+      return rpcResult(id, {
+        protocolVersion,
+        serverInfo: { name: agentName, version: spec.version ?? '1.0.0' },
+        capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {} },
+      });
+    }
+
+    // ── tools ──────────────────────────────────────────────────────────────
+    if (method === 'tools/list') {
+      return rpcResult(id, {
+        tools: Object.entries(TOOLS).map(([name, def]) => ({
+          name, description: def.description, inputSchema: def.inputSchema,
+        })),
+      });
+    }
+
+    if (method === 'tools/call') {
+      const { trace_id, ...args } = params?.arguments ?? {};
+      const traceId = trace_id || headerTraceId || 'unknown';
+      // Health checks would drown out the traces
+      const span = params?.name === 'agent/ping' ? null : tracer.startSpan(`tools/call ${params?.name}`, {
+        parent: ctx.traceparent,
+        traceId,
+        kind:   'server',
+        attributes: {
+          'rpc.system':        'jsonrpc',
+          'rpc.method':        'tools/call',
+          'mcp.tool':          params?.name,
+          'botman.agent.name': agentName,
+          'botman.pr_id':      args.pr_id,
+          'botman.request_id': args.request_id,
+          'botman.signer':     signer,
+        },
+      });
+      const started = performance.now();
+      const resp = await callToolRpc(id, params?.name, args, { ...ctx, traceId, progressToken: params?._meta?.progressToken }, span);
+      // Unknown tool names would be unbounded label values
+      const tool = TOOLS[params?.name] ? params.name : 'unknown';
+      toolCalls.inc({ tool, outcome: !resp ? 'cancelled' : resp.error ? 'error' : 'ok' });
+      toolLatency.observe({ tool }, (performance.now() - started) / 1000);
+      if (resp?.error) {
+        span?.setAttribute('rpc.jsonrpc.error_code', resp.error.code);
+        span?.end(new Error(resp.error.message));
+      } else if (!resp) {
+        span?.end(new Error('cancelled by client'));
+      } else {
+        span?.end();
+      }
+      return resp;
+    }
+
+    // ── resources ──────────────────────────────────────────────────────────
+    if (method === 'resources/list') {
+      const resources = [];
+      for (const r of RESOURCES) {
+        for (const params of await r.list()) {
+          const label = Object.values(params).join(', ');
+          resources.push({ uri: expandUriTemplate(r.uriTemplate, params), name: `${r.name} (${label})`, description: r.description, mimeType: r.mimeType });
+        }
+      }
+      return rpcResult(id, { resources });
+    }
+
+    if (method === 'resources/templates/list') {
+      return rpcResult(id, {
+        resourceTemplates: RESOURCES.map(({ uriTemplate, name, description, mimeType }) => ({ uriTemplate, name, description, mimeType })),
+      });
+    }
+
+    if (method === 'resources/subscribe' || method === 'resources/unsubscribe') {
+      if (!sessionId) return rpcError(id, -32600, `${method} needs a session — send initialize first and pass its Mcp-Session-Id`);
+      if (!findResource(params?.uri ?? '')) return rpcError(id, -32602, `Unknown resource URI: ${params?.uri}`);
+      const { subscriptions } = sessions.get(sessionId);
+      if (method === 'resources/subscribe') subscriptions.add(params.uri);
+      else subscriptions.delete(params.uri);
+      return rpcResult(id, {});
+    }
+
+    if (method === 'resources/read') {
+      const resolved = await readResource(params?.uri ?? '');
+      if (!resolved) return rpcError(id, -32602, `Unknown resource URI: ${params?.uri}`);
+      return rpcResult(id, { contents: [resolved] });
+    }
+
+    // ── prompts ────────────────────────────────────────────────────────────
+    if (method === 'prompts/list') {
+      return rpcResult(id, {
+        prompts: Object.values(PROMPTS).map(({ name, description, arguments: args }) => ({ name, description, arguments: args })),
+      });
+    }
+
+    if (method === 'prompts/get') {
+      const def = PROMPTS[params?.name];
+      if (!def) return rpcError(id, -32602, `Unknown prompt: ${params?.name}`);
+      return rpcResult(id, { description: def.description, messages: prompt(def.name, params?.arguments ?? {}) });
+    }
+
+    return rpcError(id, -32601, `Method not found: ${method}`);
+  }
+
+  // ── /mcp: authentication, sessions, JSON-RPC and notification streams ─────
+  // Nothing may escape: an unhandled rejection would end the process.
+  async function serveMcpRequest(req, res, raw) {
+    try {
+      await routeMcpRequest(req, res, raw);
+    } catch (err) {
+      failMcpRequest(req, res, err);
+    }
+  }
+
+  function failMcpRequest(req, res, err) {
+    logger.error(`✗ ${req.method} /mcp failed: ${err.stack ?? err}`, { traceId: req.headers['x-trace-id'] });
+    rpcErrors.inc({ code: -32603 });
+    if (res.headersSent) { res.end(); return; } // e.g. mid-SSE: all we can do is close the stream
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(rpcError(null, -32603, 'Internal error')));
+  }
+
+  async function routeMcpRequest(req, res, raw) {
+    let signer;
+    try {
+      signer = auth.verify(req.method, req.headers, raw);
+    } catch (err) {
+      if (!(err instanceof McpAuthError)) throw err;
+      logger.warn(`✗ ${req.method} /mcp refused: ${err.message}`, { traceId: req.headers['x-trace-id'] });
+      rpcErrors.inc({ code: -32002 });
+      res.writeHead(err.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(rpcError(null, -32002, err.message)));
+      return;
+    }
+
+    // ── Session check: a session id must be one this server handed out ──────
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId && !sessions.has(sessionId)) {
+      rpcErrors.inc({ code: -32001 });
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(rpcError(null, -32001, `Unknown or closed session: ${sessionId}`)));
+      return;
+    }
+    if (sessionId) sessions.get(sessionId).lastSeen = Date.now();
+
+    if (req.method === 'DELETE' && sessionId) {
+      closeSession(sessionId);
+      res.writeHead(204); res.end();
+      return;
+    }
+
+    // ── MCP JSON-RPC ────────────────────────────────────────────────────────
+    if (req.method === 'POST') {
+      let parsed;
+      try { parsed = JSON.parse(raw); }
+      catch { rpcErrors.inc({ code: -32700 }); res.writeHead(400); res.end(JSON.stringify(rpcError(null, -32700, 'Parse error'))); return; }
+
+      const isBatch = Array.isArray(parsed);
+      const reqs    = isBatch ? parsed : [parsed];
+      const ctx     = { traceId: req.headers['x-trace-id'], traceparent: req.headers.traceparent, sessionId, signer };
+
+      // Only notifications (e.g. notifications/cancelled): acknowledge without a body
+      if (reqs.every(r => r?.id === undefined && r?.method?.startsWith('notifications/'))) {
+        await Promise.all(reqs.map(r => handleMcp(r, ctx)));
+        res.writeHead(202); res.end();
+        return;
+      }
+
+      // ── SSE reply: progress notifications first, then the response(s) ────
+      const streaming = (req.headers.accept ?? '').includes('text/event-stream') &&
+        reqs.some(r => r?.method === 'tools/call' && r.params?._meta?.progressToken !== undefined);
+      if (streaming) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        const send = msg => { if (!res.writableEnded) res.write(`event: message\ndata: ${JSON.stringify(msg)}\n\n`); };
+        await Promise.all(reqs.map(async r => {
+          const resp = await handleMcp(r, { ...ctx, notify: send });
+          if (resp) send(resp);
+        }));
+        res.end();
+        return;
+      }
+
+      const resps = (await Promise.all(reqs.map(r => handleMcp(r, ctx))));
+      const body  = isBatch ? resps.filter(Boolean) : resps[0];
+      if (!body || (isBatch && body.length === 0)) { res.writeHead(202); res.end(); return; }
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        ...(ctx.openedSession ? { 'Mcp-Session-Id': ctx.openedSession } : {}),
+      });
+      res.end(JSON.stringify(body));
+      return;
+    }
+
+    // ── Server-to-client stream for resource notifications ────────────────
+    if (req.method === 'GET' && sessionId && (req.headers.accept ?? '').includes('text/event-stream')) {
+      const session = sessions.get(sessionId);
+      session.stream?.end(); // one stream per session; a reconnect replaces the old one
+      session.stream = res;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write(': stream open\n\n');
+      const keepalive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_MS);
+      res.on('close', () => {
+        clearInterval(keepalive);
+        if (session.stream === res) session.stream = null;
+      });
+      return;
+    }
+
+    // GET needs a session and an SSE Accept header; DELETE needs a session
+    res.writeHead(405, { Allow: 'GET, POST, DELETE' }); res.end();
+  }
+
+  // ── HTTP server ────────────────────────────────────────────────────────────
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    const allowOrigin = auth.corsOrigin(req.headers.origin);
+    if (allowOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', ['Content-Type', 'Accept', 'X-Trace-Id', 'traceparent', 'Mcp-Session-Id', ...SIGNATURE_HEADERS].join(', '));
+      res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+    }
+    if (allowOrigin !== '*') res.setHeader('Vary', 'Origin');
+
+    if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+
+    // ── Agent card discovery ────────────────────────────────────────────────
+    if (req.method === 'GET' && ['/', '/.well-known/agent'].includes(url.pathname)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(agentCard, null, 2));
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/metrics') {
+      writeMetrics(metrics, res).catch(err => { res.writeHead(500); res.end(err.message); });
+      return;
+    }
+
+    if (url.pathname === '/mcp') {
+      let raw = '';
+      req.on('data', c => (raw += c));
+      req.on('end', () => serveMcpRequest(req, res, raw).catch(err => {
+        logger.error(`✗ ${req.method} /mcp failed: ${err.stack ?? err}`);
+        if (!res.headersSent) { res.writeHead(500, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(rpcError(null, -32603, 'Internal error'))); }
+      }));
+      return;
+    }
+
+    res.writeHead(404); res.end(JSON.stringify({ error: 'Not found' }));
+  });
+
+  server.listen(PORT, () => {
+    const extra = [definition.banner, auth.describe && `auth=${auth.describe}`, tracer.enabled && `traces=${tracer.exporter}`].filter(Boolean).map(s => `, ${s}`).join('');
+    logger.info(`${spec.name} MCP server → http://localhost:${PORT}  (${absoluteCardPath}${extra})`);
+  });
+
+  // Open GET streams would keep server.close() waiting forever
+  const shutdown = () => {
+    for (const sessionId of [...sessions.keys()]) closeSession(sessionId);
+    tracer.flush().finally(() => server.close(() => process.exit(0)));
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT',  shutdown);
+
+  return server;
+}
@@ -0,0 +1,206 @@
+/**
+ * lib/metrics.js
+ *
+ * Prometheus metrics for the MCP servers and bridges, in the text exposition
+ * format (version 0.0.4), without a client library.
+ *
+ * A registry holds counters, gauges and histograms; each has fixed label
+ * names and one series per combination of label values:
+ *   const metrics  = createMetricsRegistry();
+ *   const calls    = metrics.counter('mcp_tool_calls_total', 'Tool calls', ['tool', 'outcome']);
+ *   const latency  = metrics.histogram('mcp_tool_call_duration_seconds', 'Tool call latency', ['tool']);
+ *   metrics.gauge('mcp_sessions_open', 'Open sessions', [], { collect: () => sessions.size });
+ *   calls.inc({ tool: 'review_pr', outcome: 'ok' });
+ *   await latency.time({ tool: 'review_pr' }, () => handler(args));
+ *
+ * A gauge's `collect()` runs on every scrape and may be async (e.g. a wallet
+ * balance); it returns a number, or `[{ labels, value }]` for several series.
+ * A failing collect() leaves its gauge out of that scrape.
+ *
+ * The MCP servers answer GET /metrics themselves; the bridges, which have no
+ * HTTP server, start one with serveMetrics().
+ */
+
+import http from 'node:http';
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Prometheus' default buckets, stretched for LLM-backed tools that take a minute
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+// ── Text format ───────────────────────────────────────────────────────────────
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp  = text  => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity)  return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+// ── Metrics ───────────────────────────────────────────────────────────────────
+
+/** A series key and the label values in `labelNames` order; missing labels are "". */
+function seriesOf(labelNames, labels = {}) {
+  const values = Object.fromEntries(labelNames.map(n => [n, labels[n] === undefined || labels[n] === null ? '' : String(labels[n])]));
+  return { key: JSON.stringify(labelNames.map(n => values[n])), values };
+}
+
+function createCounter(labelNames) {
+  const series = new Map(); // key → { labels, value }
+  return {
+    /** Add `n` (default 1) to the series for `labels`. */
+    inc(labels, n = 1) {
+      const { key, values } = seriesOf(labelNames, labels);
+      const s = series.get(key) ?? series.set(key, { labels: values, value: 0 }).get(key);
+      s.value += n;
+    },
+    samples: name => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`),
+  };
+}
+
+function createGauge(labelNames, collect) {
+  const series = new Map();
+  const set = (labels, value) => {
+    const { key, values } = seriesOf(labelNames, labels);
+    series.set(key, { labels: values, value });
+  };
+  return {
+    set,
+    async samples(name) {
+      if (collect) {
+        const collected = await collect();
+        series.clear();
+        if (Array.isArray(collected)) collected.forEach(({ labels, value }) => set(labels, value));
+        else set({}, collected);
+      }
+      return [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${formatValue(Number(s.value))}`);
+    },
+  };
+}
+
+function createHistogram(labelNames, buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // key → { labels, counts (per bucket, not cumulative), sum, count }
+
+  function observe(labels, seconds) {
+    const { key, values } = seriesOf(labelNames, labels);
+    const s = series.get(key) ?? series.set(key, { labels: values, counts: bounds.map(() => 0), sum: 0, count: 0 }).get(key);
+    const i = bounds.findIndex(b => seconds <= b);
+    if (i !== -1) s.counts[i]++;
+    s.sum   += seconds;
+    s.count += 1;
+  }
+
+  return {
+    observe,
+    /**
+     * Run `fn` and observe how long it took.  With an `outcome` label name,
+     * the series is labelled outcome="ok" or "error".
+     */
+    async time(labels, fn) {
+      const start = performance.now();
+      const outcomeLabel = labelNames.includes('outcome');
+      try {
+        const result = await fn();
+        observe({ ...labels, ...(outcomeLabel ? { outcome: 'ok' } : {}) }, (performance.now() - start) / 1000);
+        return result;
+      } catch (err) {
+        observe({ ...labels, ...(outcomeLabel ? { outcome: 'error' } : {}) }, (performance.now() - start) / 1000);
+        throw err;
+      }
+    },
+    samples(name) {
+      const lines = [];
+      for (const s of series.values()) {
+        let cumulative = 0;
+        bounds.forEach((b, i) => {
+          cumulative += s.counts[i];
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: formatValue(b) })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty registry.
+ * @param {object} [opts]
+ * @param {(message: string) => void} [opts.warn=console.warn]  Reports failing gauge collectors
+ */
+export function createMetricsRegistry({ warn = console.warn } = {}) {
+  const metrics = new Map(); // name → { type, help, metric }
+
+  function register(type, name, help, metric) {
+    if (!NAME_RE.test(name)) throw new Error(`Invalid metric name "${name}"`);
+    if (metrics.has(name)) throw new Error(`Metric "${name}" is already registered`);
+    metrics.set(name, { type, help, metric });
+    return metric;
+  }
+
+  return {
+    counter:   (name, help, labelNames = []) => register('counter', name, help, createCounter(labelNames)),
+    gauge:     (name, help, labelNames = [], { collect } = {}) => register('gauge', name, help, createGauge(labelNames, collect)),
+    histogram: (name, help, labelNames = [], { buckets = DEFAULT_BUCKETS } = {}) =>
+      register('histogram', name, help, createHistogram(labelNames, buckets)),
+
+    /** Every metric in the text exposition format. */
+    async render() {
+      const blocks = await Promise.all([...metrics].map(async ([name, { type, help, metric }]) => {
+        let samples;
+        try {
+          samples = await metric.samples(name);
+        } catch (err) {
+          warn(`[metrics] ✗ ${name}: ${err.shortMessage ?? err.message}`);
+          return null;
+        }
+        return [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`, ...samples].join('\n');
+      }));
+      return blocks.filter(Boolean).join('\n') + '\n';
+    },
+  };
+}
+
+/** Answer a GET /metrics request from `registry`. */
+export async function writeMetrics(registry, res) {
+  const body = await registry.render();
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+  res.end(body);
+}
+
+/**
+ * Serve `registry` at GET /metrics on its own HTTP listener (for processes
+ * without an HTTP server of their own).  Resolves once it is listening.
+ * @param {object} registry  From createMetricsRegistry
+ * @param {object} opts
+ * @param {number} opts.port
+ * @param {string} [opts.host]  Default: every interface
+ */
+export function serveMetrics(registry, { port, host }) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && new URL(req.url, 'http://localhost').pathname === '/metrics') {
+      writeMetrics(registry, res).catch(err => { res.writeHead(500); res.end(err.message); });
+      return;
+    }
+    res.writeHead(404); res.end();
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => { server.off('error', reject); resolve(server); });
+  });
+}
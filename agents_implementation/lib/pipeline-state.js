@@ -0,0 +1,81 @@
+/**
+ * lib/pipeline-state.js
+ *
+ * Persisted per-PR pipeline state for pipeline-orchestrator.js.
+ *
+ * One JSON file holds every PR the orchestrator has seen:
+ *   {
+ *     "chainId": 31337, "reviewer": "0x…", "approver": "0x…",
+ *     "prs": {
+ *       "PR-42": {
+ *         "prId": "PR-42", "traceId": "0x…", "focus": "security",
+ *         "status": "requested" | "reviewed" | "approved" | "needs_revision" | "rejected",
+ *         "round": 1,
+ *         "reviewRequestId": "0x…", "reviewRequestBlock": 12,
+ *         "reviewerAgentId": "0", "reviewerEndpoint": "http://localhost:8001", "reviewedBlock": 13,
+ *         "approvalRequestId": "0x…",
+ *         "revisionBlock": 15, "diffBlock": 17,
+ *         "history": [ { "status": "requested", "requestId": "0x…", "block": 12, "at": "…" }, … ],
+ *         "updatedAt": "…"
+ *       }
+ *     }
+ *   }
+ *
+ * Like the event cursors, a file written for another chainId or other oracle
+ * contracts is ignored so a redeploy starts from a clean slate.
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+
+export const PIPELINE_STATUSES = ['requested', 'reviewed', 'approved', 'needs_revision', 'rejected'];
+
+/** Statuses after which the pipeline waits for an outside event (or is finished). */
+export const TERMINAL_STATUSES = ['approved', 'rejected'];
+
+/**
+ * Open (or create) the pipeline state stored in `file`.
+ * @param {string} file
+ * @param {{ chainId: number, reviewer: string, approver: string }} scope
+ */
+export function openPipelineState(file, { chainId, reviewer, approver }) {
+  let saved = null;
+  try { saved = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { /* first run */ }
+  const matches = saved
+    && saved.chainId === chainId
+    && saved.reviewer?.toLowerCase() === reviewer.toLowerCase()
+    && saved.approver?.toLowerCase() === approver.toLowerCase();
+  const prs = matches ? saved.prs : {};
+
+  function flush() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ chainId, reviewer, approver, prs }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    file,
+    resumed: !!matches,
+    get: prId => prs[prId] ?? null,
+    all: () => Object.values(prs),
+    /** Find the PR whose `field` equals `value` (e.g. its current approvalRequestId). */
+    findBy: (field, value) => Object.values(prs).find(pr => pr[field] === value) ?? null,
+
+    /**
+     * Apply `changes` to a PR (creating it if needed) and persist.  When the
+     * status changes, the transition is appended to the PR's history (pass
+     * `history: []` in `changes` to start a fresh one).
+     */
+    update(prId, changes, { requestId = null, block = null } = {}) {
+      const now  = new Date().toISOString();
+      const prev = prs[prId] ?? { prId, round: 1, history: [] };
+      const next = { ...prev, ...changes, updatedAt: now };
+      if (changes.status && (changes.status !== prev.status || changes.history)) {
+        next.history = [...next.history, { status: changes.status, requestId, block, at: now }];
+      }
+      prs[prId] = next;
+      flush();
+      return next;
+    },
+  };
+}
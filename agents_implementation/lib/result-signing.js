@@ -0,0 +1,126 @@
+/**
+ * lib/result-signing.js
+ *
+ * Agent-signed tool results, verified on-chain by the oracles'
+ * fulfill*Signed() functions.  The MCP server signs its review_pr /
+ * approve_pr result with the agent's own key (the agentWallet registered for
+ * its agentId); the bridge forwards the signature untouched, so a
+ * compromised bridge cannot change the verdict without the agent's key.
+ *
+ * EIP-712 domain: { name: <oracle contract name>, version: "1", chainId,
+ * verifyingContract: <oracle address> }, with
+ *   ReviewResult(bytes32 requestId, string prId, bytes32 payloadHash, bool approved)
+ *     payloadHash = keccak256(abi.encode(summaryJson, commentsJson))
+ *   ApprovalResult(bytes32 requestId, string prId, bytes32 payloadHash, string decision)
+ *     payloadHash = keccak256(abi.encode(reasonJson, unresolvedJson)),
+ *     unresolvedJson empty unless decision is "needs_revision"
+ *
+ * The *Json bytes are the UTF-8 JSON the bridges submit; reviewPayload() and
+ * approvalPayload() are the one place they are encoded, so what the agent
+ * signs is exactly what the contract hashes.
+ */
+
+import { ethers } from 'ethers';
+import path from 'node:path';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const json  = value => ethers.toUtf8Bytes(JSON.stringify(value));
+
+const KINDS = {
+  review: {
+    contract: 'CodeReviewerOracle',
+    types: {
+      ReviewResult: [
+        { name: 'requestId',   type: 'bytes32' },
+        { name: 'prId',        type: 'string'  },
+        { name: 'payloadHash', type: 'bytes32' },
+        { name: 'approved',    type: 'bool'    },
+      ],
+    },
+    value: (requestId, prId, result) => {
+      const { summaryJson, commentsJson, approved } = reviewPayload(result);
+      const payloadHash = ethers.keccak256(coder.encode(['bytes', 'bytes'], [summaryJson, commentsJson]));
+      return { requestId, prId, payloadHash, approved };
+    },
+  },
+  approval: {
+    contract: 'CodeApproverOracle',
+    types: {
+      ApprovalResult: [
+        { name: 'requestId',   type: 'bytes32' },
+        { name: 'prId',        type: 'string'  },
+        { name: 'payloadHash', type: 'bytes32' },
+        { name: 'decision',    type: 'string'  },
+      ],
+    },
+    value: (requestId, prId, result) => {
+      const { decision, reasonJson, unresolvedJson } = approvalPayload(result);
+      const payloadHash = ethers.keccak256(coder.encode(['bytes', 'bytes'], [reasonJson, unresolvedJson]));
+      return { requestId, prId, payloadHash, decision };
+    },
+  },
+};
+
+/** fulfillReview*() arguments for a review_pr result. */
+export function reviewPayload(result) {
+  return {
+    summaryJson:  json(result.summary ?? ''),
+    commentsJson: json(result.comments ?? []),
+    approved:     !!result.approved,
+  };
+}
+
+/** fulfill{Approval,NeedsRevision,Rejection}*() arguments for an approve_pr result. */
+export function approvalPayload(result) {
+  return {
+    decision:       result.decision,
+    reasonJson:     json(result.reason ?? ''),
+    unresolvedJson: result.decision === 'needs_revision' ? json(result.unresolved_blockers ?? []) : new Uint8Array(),
+  };
+}
+
+function typedData(kind, { address, chainId }, requestId, prId, result) {
+  const def = KINDS[kind];
+  if (!def) throw new Error(`Unknown result kind "${kind}" (expected review or approval)`);
+  const domain = { name: def.contract, version: '1', chainId, verifyingContract: address };
+  return [domain, def.types, def.value(requestId, prId, result)];
+}
+
+/** Address that signed `signature` over a result, for an oracle `{ address, chainId }`. */
+export function recoverResultSigner(kind, oracle, { requestId, prId, result, signature }) {
+  return ethers.verifyTypedData(...typedData(kind, oracle, requestId, prId, result), signature);
+}
+
+/**
+ * Signer for an MCP server's results, or null when the agent has no key.
+ * The key comes from AGENT_PRIVATE_KEY_<CARD> (the card file name in upper
+ * case, e.g. AGENT_PRIVATE_KEY_ALICE) or AGENT_PRIVATE_KEY; the oracle from
+ * oracleFromEnv() in lib/deployment.js.
+ *
+ * @param {'review' | 'approval'} kind
+ * @param {object} opts
+ * @param {string} opts.cardPath
+ * @param {{ address: string, chainId?: number } | null} opts.oracle
+ * @returns {{ address: string, describe: string,
+ *             sign(result: object, ids: { requestId: string, prId: string }): Promise<object> } | null}
+ */
+export function resultSignerFromEnv(kind, { cardPath, oracle, env = process.env }) {
+  const card = path.basename(cardPath, '.json').toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const key  = env[`AGENT_PRIVATE_KEY_${card}`] ?? env.AGENT_PRIVATE_KEY;
+  if (!key) return null;
+  if (!oracle) throw new Error(`A result signing key is set but no ${KINDS[kind].contract} address is known (set it or deploy with a manifest)`);
+
+  const wallet = new ethers.Wallet(key);
+  const domainOracle = { address: oracle.address, chainId: oracle.chainId ?? 31337 };
+  return {
+    address:  wallet.address,
+    describe: `${wallet.address} for ${oracle.address}`,
+
+    /** `result` plus `signer` and `signature`, replacing any the handler produced. */
+    async sign(result, { requestId, prId }) {
+      const { signer: _signer, signature: _signature, ...clean } = result;
+      const signature = await wallet.signTypedData(...typedData(kind, domainOracle, requestId, prId, clean));
+      return { ...clean, signer: wallet.address, signature };
+    },
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * lib/review-provider.js
+ *
+ * Review backends for the review_pr tool of code-reviewer-server.js.
+ *
+ * Providers (REVIEW_PROVIDER, default "llm" when LLM_ENDPOINT is set, else "static"):
+ *   static — rule-based analysis of the stored diff (lib/diff-analyzer.js);
+ *            approves unless it finds an `error` or `critical` issue, and
+ *            never when no diff is stored
+ *   llm    — sends the rendered code_review prompt plus the PR diff to a
+ *            chat-completions endpoint (LLM_ENDPOINT / LLM_API_KEY / LLM_MODEL /
+ *            LLM_TIMEOUT_MS, see lib/llm-client.js)
+ *   mock   — canned result: one `info` comment per focus area on the first
+ *            file touched by the diff; approves whenever a diff is stored.  Useful for exercising
+ *            the pipeline end to end without any review logic.
+ *
+ * Model output must match the review_pr outputSchema from the MCP spec.  It is
+ * repaired first (pr_id filled in, enums lower-cased, line numbers coerced);
+ * if it still does not match, the model is asked once to correct it, and the
+ * review is rejected after that.  (lib/mcp-server.js checks every provider's
+ * result against the same schema before returning it.)
+ */
+
+import { parseDiff, analyzeDiff } from './diff-analyzer.js';
+import { createLlmClient } from './llm-client.js';
+
+export const REVIEW_PROVIDERS = ['static', 'llm', 'mock'];
+
+export const FOCUS_AREAS = ['bugs', 'security', 'style', 'performance', 'tests', 'documentation'];
+
+const BLOCKING_SEVERITIES = ['error', 'critical'];
+
+const EXTENSION_LANGUAGES = {
+  '.sol': 'Solidity', '.ts': 'TypeScript', '.tsx': 'TypeScript', '.js': 'JavaScript',
+  '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.py': 'Python', '.go': 'Go', '.rs': 'Rust',
+};
+
+/** Dominant language of the diff by file extension, or undefined. */
+export function diffLanguage(diff) {
+  const counts = {};
+  for (const { path: file } of parseDiff(diff)) {
+    const lang = EXTENSION_LANGUAGES[file.slice(file.lastIndexOf('.'))];
+    if (lang) counts[lang] = (counts[lang] ?? 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+// ── Output repair ────────────────────────────────────────────────────────────
+
+/** Best-effort fixes for near-miss review objects; never throws. */
+export function repairReview(review, prId) {
+  if (!review || typeof review !== 'object' || Array.isArray(review)) return review;
+  const fixed = { ...review, pr_id: prId };
+  if (typeof fixed.summary !== 'string') fixed.summary = fixed.summary == null ? '' : JSON.stringify(fixed.summary);
+  if (typeof fixed.approved === 'string') {
+    fixed.approved = ['true', 'approve', 'approved', 'yes'].includes(fixed.approved.trim().toLowerCase());
+  }
+  if (Array.isArray(fixed.comments)) {
+    fixed.comments = fixed.comments.map(c => {
+      if (!c || typeof c !== 'object') return c;
+      const line = Number.parseInt(c.line, 10);
+      return {
+        ...c,
+        line:     Number.isNaN(line) ? 0 : line,
+        severity: typeof c.severity === 'string' ? c.severity.trim().toLowerCase() : c.severity,
+        category: typeof c.category === 'string' ? c.category.trim().toLowerCase() : c.category,
+      };
+    });
+  }
+  return fixed;
+}
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+
+function staticProvider() {
+  return {
+    name: 'static',
+    async review({ prId, focus, diff }) {
+      if (!diff) {
+        return {
+          pr_id: prId, comments: [], approved: false,
+          summary: `No diff stored for PR ${prId} — nothing was reviewed, so the PR is not approved. Store the diff and request a new review.`,
+        };
+      }
+      const { files, added, removed, comments } = analyzeDiff(diff, focus);
+      const counts = ['critical', 'error', 'warning', 'info']
+        .map(sev => [sev, comments.filter(c => c.severity === sev).length])
+        .filter(([, n]) => n > 0);
+      const approved = !comments.some(c => BLOCKING_SEVERITIES.includes(c.severity));
+      return {
+        pr_id:    prId,
+        summary:  `Static analysis of ${files.length} file(s) (+${added}/-${removed} lines, focus: ${focus.join(', ')}): ` +
+                  (counts.length ? `${comments.length} finding(s) — ${counts.map(([sev, n]) => `${n} ${sev}`).join(', ')}.` : 'no findings.') +
+                  (approved ? ' No blocking issues.' : ' Blocking issues must be fixed before approval.'),
+        comments,
+        approved,
+      };
+    },
+  };
+}
+
+function mockProvider() {
+  return {
+    name: 'mock',
+    async review({ prId, focus, diff }) {
+      const files = parseDiff(diff).map(f => f.path);
+      const file  = files[0] ?? '(no diff stored)';
+      return {
+        pr_id:    prId,
+        summary:  files.length
+          ? `[mock] Review of PR ${prId}: ${files.length} file(s) changed, no issues found.`
+          : `[mock] No diff stored for PR ${prId} — not approved.`,
+        comments: focus.map((category, i) => ({
+          file,
+          line:       i + 1,
+          severity:   'info',
+          category,
+          message:    `[mock] No issues found for "${category}".`,
+          suggestion: 'No action required.',
+        })),
+        approved: files.length > 0,
+      };
+    },
+  };
+}
+
+function llmProvider({ endpoint, apiKey, model, timeoutMs, outputSchema }) {
+  const llm = createLlmClient({ endpoint, apiKey, model, timeoutMs });
+  return {
+    name: 'llm',
+    async review({ prId, diff, messages, progress, signal }) {
+      if (!diff) throw new Error(`No diff stored for PR ${prId} — call store_diff (or storeDiff on-chain) first`);
+      return llm.completeJson([
+        ...messages,
+        { role: 'user', content:
+          `Unified diff of PR ${prId}:\n\n\`\`\`diff\n${diff}\n\`\`\`\n\n` +
+          `Reply with a single JSON object and nothing else. Put the summary in "summary" and the ` +
+          `recommendation in "approved" (true = APPROVE). It must match this JSON Schema:\n` +
+          JSON.stringify(outputSchema) },
+      ], {
+        schema: outputSchema,
+        repair: review => repairReview(review, prId),
+        label:  'review',
+        signal,
+        onProgress: progress,
+      });
+    },
+  };
+}
+
+/**
+ * Create the configured review provider.
+ * @param {object} opts
+ * @param {string} [opts.provider]      One of REVIEW_PROVIDERS
+ * @param {string} [opts.endpoint]      Chat-completions URL (llm)
+ * @param {string} [opts.apiKey]
+ * @param {string} [opts.model]
+ * @param {number} [opts.timeoutMs]
+ * @param {object}  opts.outputSchema   review_pr outputSchema from the MCP spec
+ * @returns {{ name: string,
+ *             review(req: { prId: string, focus: string[], diff: string, messages: object[],
+ *                           progress?: (message: string) => void, signal?: AbortSignal }): Promise<object> }}
+ */
+export function createReviewProvider({
+  provider,
+  endpoint,
+  apiKey,
+  model,
+  timeoutMs,
+  outputSchema,
+}) {
+  const name = provider || (endpoint ? 'llm' : 'static');
+  if (!REVIEW_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown review provider "${name}" (expected one of: ${REVIEW_PROVIDERS.join(', ')})`);
+  }
+  if (name === 'llm' && !endpoint) throw new Error('The llm review provider needs LLM_ENDPOINT');
+
+  return {
+    static: staticProvider,
+    llm:    () => llmProvider({ endpoint, apiKey, model, timeoutMs, outputSchema }),
+    mock:   mockProvider,
+  }[name]();
+}
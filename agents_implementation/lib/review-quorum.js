@@ -0,0 +1,96 @@
+/**
+ * lib/review-quorum.js
+ *
+ * Quorum reviews: the same PR reviewed by N reviewer agents, merged into one
+ * fulfillReview() result.
+ *
+ * Quorum settings come from the bridge config (--quorum / --quorum-rule) and
+ * can be overridden per request through `key=value` tokens in the on-chain
+ * focus string, next to the usual focus areas:
+ *
+ *   "security,bugs,quorum=3,rule=veto"
+ *
+ * Approval rules:
+ *   unanimous — every reviewer approves
+ *   majority  — more than half of the reviewers approve
+ *   veto      — no reviewer reported a blocker (an `error` or `critical`
+ *               comment); reviewers' approve flags are not counted, so unlike
+ *               unanimous a reviewer that withholds approval over warnings
+ *               does not stop the PR, but one blocker does even when every
+ *               reviewer approved
+ */
+
+export const QUORUM_RULES = ['unanimous', 'majority', 'veto'];
+
+const BLOCKING_SEVERITIES = ['error', 'critical'];
+const SEVERITY_RANK = { info: 0, warning: 1, error: 2, critical: 3 };
+
+/**
+ * Split an on-chain focus string into review_pr focus areas and quorum
+ * directives.  Returns `{ areas, quorum?, rule? }`; unknown directives are ignored.
+ */
+export function parseFocus(focus) {
+  const parsed = { areas: [] };
+  for (const token of (focus ?? '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [key, value] = token.split('=').map(s => s.trim());
+    if (value === undefined) parsed.areas.push(token);
+    else if (key === 'quorum') parsed.quorum = Number(value);
+    else if (key === 'rule')   parsed.rule   = value;
+  }
+  return parsed;
+}
+
+/**
+ * Merge the review_pr results of several agents.
+ *
+ * @param {{ agent: object, result: object }[]} reviews  One entry per contributing agent
+ * @param {string} rule  One of QUORUM_RULES
+ * @returns {{ summary: object, comments: object[], approved: boolean }}
+ *
+ * Comments are deduplicated by file + line + category; the merged comment
+ * keeps the most severe report and lists every agent in `reported_by`.
+ */
+export function mergeReviews(reviews, rule) {
+  const byKey = new Map();
+  for (const { agent, result } of reviews) {
+    for (const comment of result.comments ?? []) {
+      const key = `${comment.file}:${comment.line}:${comment.category}`;
+      const prev = byKey.get(key);
+      if (!prev) {
+        byKey.set(key, { ...comment, reported_by: [agent.name] });
+        continue;
+      }
+      if (!prev.reported_by.includes(agent.name)) prev.reported_by.push(agent.name);
+      if ((SEVERITY_RANK[comment.severity] ?? 0) > (SEVERITY_RANK[prev.severity] ?? 0)) {
+        byKey.set(key, { ...comment, reported_by: prev.reported_by });
+      }
+    }
+  }
+  const comments = [...byKey.values()];
+
+  const approvals = reviews.filter(r => r.result.approved).length;
+  const blockers  = comments.filter(c => BLOCKING_SEVERITIES.includes(c.severity)).length;
+  const approved  = {
+    unanimous: approvals === reviews.length,
+    majority:  approvals > reviews.length / 2,
+    veto:      blockers === 0,
+  }[rule];
+
+  const summary = {
+    quorum:    reviews.length,
+    rule,
+    approved,
+    approvals,
+    blockers,
+    reviewers: reviews.map(({ agent, result }) => ({
+      name:     agent.name,
+      agentId:  agent.agentId.toString(),
+      endpoint: agent.endpoint,
+      approved: !!result.approved,
+      comments: result.comments?.length ?? 0,
+      summary:  result.summary ?? '',
+    })),
+  };
+
+  return { summary, comments, approved };
+}
@@ -0,0 +1,157 @@
+/**
+ * lib/review-source.js
+ *
+ * Where code-approver-server.js gets a PR's review from.  Both the approve_pr
+ * tool and the review://{pr_id}/comments resource read through here, so they
+ * always see the same data.
+ *
+ * The review is the result of the PR's latest fulfilled request on
+ * CodeReviewerOracle (latestReview() in lib/store.js).  Its covered focus is
+ * the focus of that request's ReviewRequested event, so policy
+ * requiredCategories apply to it too.  Without an oracle no review is found.
+ *
+ * The `reviewer_agent` of the PR's last approve_pr call is asked for its copy
+ * (get_review_status) only when it is the endpoint of the agent that fulfilled
+ * that request: the code-review card the identity registry holds for its
+ * agentId.  Anyone can put any string in an ApprovalRequested event, so any
+ * other value is never fetched.  The reply is used only when it is signed by
+ * that agent's agentWallet for that request (lib/result-signing.js); an
+ * unsigned or mismatched reply, or an unreachable reviewer, leaves the
+ * on-chain result in place.
+ *
+ * Found reviews are cached per PR for `ttlMs` (REVIEW_CACHE_TTL_MS, default
+ * 30000); a PR with no review yet is looked up again on every read.
+ */
+
+import { callTool } from './mcp-client.js';
+import { readOnlyContract } from './deployment.js';
+import { latestReview, REVIEWER_ORACLE_READ_ABI } from './store.js';
+import { decodeAgentURI, sameAddress, IDENTITY_REGISTRY_ABI } from './agent-identity.js';
+import { recoverResultSigner } from './result-signing.js';
+
+const NOT_FOUND = { found: false, source: 'none', summary: '', comments: [], approved: false, focus: [] };
+
+const REVIEWER_ORACLE_ABI = [...REVIEWER_ORACLE_READ_ABI, 'function identityRegistry() view returns (address)'];
+const IDENTITY_ABI = [...IDENTITY_REGISTRY_ABI, 'function tokenURI(uint256 agentId) view returns (string)'];
+
+const sameEndpoint = (a, b) => a.replace(/\/+$/, '').toLowerCase() === b.replace(/\/+$/, '').toLowerCase();
+
+/**
+ * @param {object}  opts
+ * @param {number} [opts.ttlMs=30000]
+ * @param {{ rpcUrl: string, address: string, chainId?: number, fromBlock?: number }} [opts.chain]  CodeReviewerOracle
+ *        to read reviews from (see oracleFromEnv in lib/deployment.js)
+ * @param {(address: string, abi: string[]) => object} [opts.connect]  Contract factory for the oracle and its
+ *        identity registry (default: read-only contracts on chain.rpcUrl)
+ * @param {Function} [opts.sign]  Signs get_review_status calls (callTool's `sign`), for reviewers that require it
+ * @param {(prId: string, review: object) => void} [opts.onChange]  Called when a PR's comments change
+ * @param {(msg: string) => void} [opts.warn=console.warn]
+ * @returns {{ describe: string, reviewerFor(prId: string): string | undefined, prIds(): string[],
+ *             get(prId: string, opts?: { reviewerAgent?: string, traceId?: string, signal?: AbortSignal, parent?: object }): Promise<object> }}
+ *   `parent` (a span, see lib/tracing.js) is forwarded to the reviewer as its `traceparent`.
+ */
+export function createReviewSource({
+  ttlMs = 30_000, chain, connect = (address, abi) => readOnlyContract({ ...chain, address }, abi),
+  sign, onChange = () => {}, warn = console.warn,
+} = {}) {
+  const reviewers = new Map(); // prId → reviewer endpoint
+  const cache     = new Map(); // prId → { review, expiresAt }
+  const oracle    = chain ? connect(chain.address, REVIEWER_ORACLE_ABI) : null;
+  const domain    = chain && { address: chain.address, chainId: chain.chainId ?? 31337 };
+  let identity    = null;
+
+  /** The agent's registered code-review card endpoint and agentWallet, or null. */
+  async function registeredReviewer(agentId) {
+    identity ??= connect(await oracle.identityRegistry(), IDENTITY_ABI);
+    const [uri, wallet] = await Promise.all([identity.tokenURI(agentId), identity.getAgentWallet(agentId)]);
+    const card = decodeAgentURI(uri);
+    if (!card?.capabilities?.includes('code-review') || typeof card.endpoint !== 'string') return null;
+    return { endpoint: card.endpoint, wallet };
+  }
+
+  async function fromReviewer(endpoint, prId, onChain, { traceId, signal, parent }) {
+    const agent = await registeredReviewer(onChain.agentId);
+    if (!agent || !sameEndpoint(agent.endpoint, endpoint)) {
+      warn(`Not asking ${endpoint} for ${prId}: it is not the registered endpoint of agent ${onChain.agentId}, which fulfilled the review — using the chain`);
+      return null;
+    }
+    const status = await callTool(endpoint, 'get_review_status', { pr_id: prId }, { traceId, timeoutMs: 10_000, signal, sign, parent });
+    if (status.status === 'not_found') return null;
+    if (status.requestId !== onChain.requestId || !status.signature) {
+      warn(`${endpoint} has no signed review of ${prId} for request ${onChain.requestId} — using the chain`);
+      return null;
+    }
+    const signer = recoverResultSigner('review', domain, { requestId: onChain.requestId, prId, result: status, signature: status.signature });
+    if (!sameAddress(signer, agent.wallet)) {
+      warn(`Review of ${prId} from ${endpoint} is signed by ${signer}, not agent ${onChain.agentId}'s agentWallet ${agent.wallet} — using the chain`);
+      return null;
+    }
+    return {
+      found:    true,
+      source:   endpoint,
+      summary:  typeof status.summary === 'string' ? status.summary : JSON.stringify(status.summary ?? ''),
+      comments: status.comments ?? [],
+      approved: !!status.approved,
+      focus:    status.focus ?? onChain.focus,
+    };
+  }
+
+  function fromChain(review) {
+    return {
+      found:    true,
+      source:   `chain:${chain.address}`,
+      summary:  typeof review.summary === 'string' ? review.summary : JSON.stringify(review.summary),
+      comments: Array.isArray(review.comments) ? review.comments : [],
+      approved: review.approved,
+      focus:    review.focus,
+    };
+  }
+
+  async function load(prId, call) {
+    if (!oracle) return null;
+    let onChain;
+    try {
+      onChain = await latestReview(oracle, prId, chain.fromBlock ?? 0);
+    } catch (err) {
+      warn(`Could not read the review of ${prId} from ${chain.address}: ${err.message}`);
+      return null;
+    }
+    if (!onChain) return null;
+
+    const endpoint = reviewers.get(prId);
+    if (endpoint) {
+      try {
+        const review = await fromReviewer(endpoint, prId, onChain, call);
+        if (review) return review;
+      } catch (err) {
+        warn(`Could not fetch review of ${prId} from ${endpoint}: ${err.message} — using the chain`);
+      }
+    }
+    return fromChain(onChain);
+  }
+
+  return {
+    describe: `${oracle ? `chain(${chain.address}) → verified reviewer` : 'none'}, ttl=${ttlMs}ms`,
+
+    reviewerFor: prId => reviewers.get(prId),
+
+    prIds: () => [...new Set([...reviewers.keys(), ...cache.keys()])],
+
+    async get(prId, { reviewerAgent, traceId, signal, parent } = {}) {
+      // A newly named reviewer makes any cached copy from another source stale
+      if (reviewerAgent && reviewers.get(prId) !== reviewerAgent) {
+        reviewers.set(prId, reviewerAgent);
+        cache.delete(prId);
+      }
+
+      const hit = cache.get(prId);
+      if (hit && hit.expiresAt > Date.now()) return hit.review;
+
+      const review = await load(prId, { traceId, signal, parent });
+      if (!review) return NOT_FOUND;
+      cache.set(prId, { review, expiresAt: Date.now() + ttlMs });
+      if (JSON.stringify(review.comments) !== JSON.stringify(hit?.review.comments)) onChange(prId, review);
+      return review;
+    },
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * lib/store.js
+ *
+ * Keyed record stores for the MCP servers (reviews, diffs, decisions — all
+ * keyed by prId).  Every put() is kept: get() returns the latest record for
+ * a key and history() all of them, oldest first.
+ *
+ * Backends (STORE_BACKEND, default "file"):
+ *   memory — in-process only; lost when the server restarts
+ *   file   — one JSON-lines file per store, <dir>/<name>.jsonl, appended on
+ *            every put() and replayed on startup, so history survives
+ *            restarts.  A torn last line (crash mid-write) is skipped.
+ *
+ * A store opened with `history: false` (the reviewer's diffs, which are
+ * large and re-sent before every review) keeps only the latest record per
+ * key: a put() of the value already stored is not written, and the file is
+ * compacted to one line per key on startup and whenever superseded lines
+ * outnumber the live ones.
+ *
+ * Read-through (STORE_READ_THROUGH=chain): a get() that misses calls the
+ * store's `hydrate(key)`; a value it returns is recorded with source
+ * "chain" and served from the store from then on.  reviewHydrator(),
+ * diffHydrator() and decisionHydrator() read the oracle contracts, scanning
+ * request events newest first in bounded block ranges.
+ *
+ * get() is reachable by unauthenticated reads with any pr_id, so read-through
+ * is bounded: a key the chain does not have is remembered as a miss for
+ * `missTtlMs` (STORE_MISS_TTL_MS, default 60000) instead of being looked up
+ * again, and at most `cacheSize` (STORE_CACHE_SIZE, default 1000) misses and
+ * chain-sourced keys are kept in memory, least recently read evicted first.
+ * Keys with a local put() are never evicted; an evicted chain-sourced key is
+ * simply read through again.
+ *
+ * Line format:
+ *   {"key":"PR-42","at":"2025-01-01T00:00:00.000Z","source":"local","value":{…}}
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ethers } from 'ethers';
+import { parseFocus } from './review-quorum.js';
+import { FOCUS_AREAS } from './review-provider.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const STORE_BACKENDS = ['memory', 'file'];
+
+/** Stores live under <STORE_DIR>/<agent name>/, so agents sharing a server script don't collide. */
+export const DEFAULT_STORE_DIR = path.resolve(__dirname, '..', 'state', 'stores');
+
+/**
+ * Open a store.
+ * @param {string} name  Store name; the file backend writes <dir>/<name>.jsonl
+ * @param {object} [opts]
+ * @param {string} [opts.backend='file']  One of STORE_BACKENDS
+ * @param {string} [opts.dir]             Directory for the file backend
+ * @param {boolean} [opts.history=true]   Keep every put(); false keeps only the latest record per key
+ * @param {(key: string) => Promise<object | undefined>} [opts.hydrate]  Read-through on a miss
+ * @param {number} [opts.missTtlMs=60000]  How long a key hydrate() did not find is not looked up again
+ * @param {number} [opts.cacheSize=1000]   Misses and chain-sourced keys kept in memory
+ * @param {(msg: string) => void} [opts.warn=console.warn]
+ * @returns {{ backend: string, file: string | null, get(key: string): Promise<object | undefined>,
+ *             history(key: string): object[], put(key: string, value: object, opts?: { source?: string }): object,
+ *             keys(): string[] }}
+ */
+export function openStore(name, {
+  backend = 'file', dir, history = true, hydrate, missTtlMs = 60_000, cacheSize = 1_000, warn = console.warn,
+} = {}) {
+  if (!STORE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown store backend "${backend}" (expected one of: ${STORE_BACKENDS.join(', ')})`);
+  }
+  if (backend === 'file' && !dir) throw new Error(`The file store backend needs a directory for "${name}"`);
+
+  const file    = backend === 'file' ? path.join(dir, `${name}.jsonl`) : null;
+  const records = new Map(); // key → [{ key, at, source, value }], oldest first
+  const hydrated = new Set(); // keys whose records all came from the chain, least recently read first
+  const misses   = new Map(); // key → time (ms) until which hydrate() is not retried, oldest first
+  let lines = 0; // records in the file, superseded ones included
+
+  // Re-inserting moves a key to the most recently read end
+  function touch(key) {
+    hydrated.delete(key);
+    hydrated.add(key);
+    for (const oldest of hydrated) {
+      if (hydrated.size <= cacheSize) break;
+      hydrated.delete(oldest);
+      records.delete(oldest);
+    }
+  }
+
+  function rememberMiss(key) {
+    misses.delete(key);
+    misses.set(key, Date.now() + missTtlMs);
+    for (const oldest of misses.keys()) {
+      if (misses.size <= cacheSize) break;
+      misses.delete(oldest);
+    }
+  }
+
+  const index = record => {
+    if (!records.has(record.key) || !history) records.set(record.key, []);
+    records.get(record.key).push(record);
+    misses.delete(record.key);
+    if (record.source === 'chain' && records.get(record.key).every(r => r.source === 'chain')) touch(record.key);
+    else hydrated.delete(record.key);
+  };
+
+  if (file && fs.existsSync(file)) {
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        index(JSON.parse(line));
+        lines++;
+      } catch {
+        warn(`${file}:${i + 1}: skipping unreadable record`);
+      }
+    });
+    if (!history && lines > records.size) compact();
+  }
+
+  // Rewrite the file with the latest record of each key; the rename keeps a crash from losing it
+  function compact() {
+    const latest = [...records.values()].map(list => JSON.stringify(list.at(-1)) + '\n');
+    fs.writeFileSync(`${file}.tmp`, latest.join(''));
+    fs.renameSync(`${file}.tmp`, file);
+    lines = latest.length;
+  }
+
+  // Concurrent misses on one key share a single chain lookup
+  const pending = new Map();
+
+  function put(key, value, { source = 'local' } = {}) {
+    const latest = records.get(key)?.at(-1);
+    if (!history && latest?.source === source && JSON.stringify(latest.value) === JSON.stringify(value)) return latest;
+
+    const record = { key, at: new Date().toISOString(), source, value };
+    if (file) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(record) + '\n');
+      lines++;
+    }
+    index(record);
+    if (file && !history && lines > 2 * records.size) compact();
+    return record;
+  }
+
+  return {
+    backend,
+    file,
+
+    async get(key) {
+      const latest = records.get(key)?.at(-1);
+      if (latest && hydrated.has(key)) touch(key);
+      if (latest || !hydrate) return latest?.value;
+      if (misses.get(key) > Date.now()) return undefined;
+      if (!pending.has(key)) {
+        pending.set(key, (async () => {
+          try {
+            const value = await hydrate(key);
+            if (value !== undefined) put(key, value, { source: 'chain' });
+            else rememberMiss(key);
+            return value;
+          } catch (err) {
+            warn(`${name}: read-through for ${key} failed: ${err.message}`);
+            return undefined;
+          } finally {
+            pending.delete(key);
+          }
+        })());
+      }
+      return pending.get(key);
+    },
+
+    history: key => (records.get(key) ?? []).map(({ at, source, value }) => ({ at, source, value })),
+
+    put,
+
+    keys: () => [...records.keys()],
+  };
+}
+
+// ── On-chain read-through ────────────────────────────────────────────────────
+
+export const REVIEWER_ORACLE_READ_ABI = [
+  'event ReviewRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string focus, uint256 timestamp)',
+  'function getRequestInfo(bytes32 requestId) view returns (uint8 status, string prId, bytes32 traceId, address requester, uint256 createdAt)',
+  'function getResultInfo(bytes32 requestId) view returns (bool approved, bytes summary, bytes comments, uint256 agentId, uint256 fulfilledAt)',
+  'function getComments(string prId) view returns (bytes)',
+  'function getDiff(string prId) view returns (bytes)',
+];
+
+export const APPROVER_ORACLE_READ_ABI = [
+  'event ApprovalRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string reviewerAgent, uint256 timestamp)',
+  'function getRequestInfo(bytes32 requestId) view returns (uint8 status, string prId, bytes32 traceId, address requester, uint256 createdAt)',
+  'function getResultInfo(bytes32 requestId) view returns (bytes decision, bytes reason, bytes unresolvedBlockers, uint256 agentId, uint256 fulfilledAt)',
+  'function getDecision(string prId) view returns (bytes)',
+];
+
+// RequestStatus values that carry a result
+const REVIEW_FULFILLED  = [1];       // Fulfilled
+const APPROVAL_DECIDED  = [1, 2, 3]; // Approved, NeedsRevision, Rejected
+
+/** Bytes written by the bridges as JSON; '' and unparseable bytes give `fallback`. */
+function decodeJson(bytes, fallback) {
+  const text = ethers.toUtf8String(bytes);
+  if (!text) return fallback;
+  try { return JSON.parse(text); } catch { return fallback; }
+}
+
+// Block range of one queryFilter call when scanning for a PR's requests
+const SCAN_CHUNK_BLOCKS = 5_000;
+
+/**
+ * Newest request for `prId` (from `eventName` logs since `fromBlock`) whose
+ * status is in `statuses`, as its event args.  prId is not an indexed topic,
+ * so the logs are scanned from the head backwards, SCAN_CHUNK_BLOCKS at a
+ * time, stopping at the first match.
+ */
+async function latestRequest(contract, eventName, prId, fromBlock, statuses) {
+  const head = await contract.runner.provider.getBlockNumber();
+  for (let end = head; end >= fromBlock; end -= SCAN_CHUNK_BLOCKS) {
+    const start = Math.max(fromBlock, end - SCAN_CHUNK_BLOCKS + 1);
+    const logs  = await contract.queryFilter(eventName, start, end);
+    for (const log of logs.filter(l => l.args.prId === prId).reverse()) {
+      const { status } = await contract.getRequestInfo(log.args.requestId);
+      if (statuses.includes(Number(status))) return log.args;
+    }
+  }
+  return null;
+}
+
+/**
+ * Result of the PR's latest fulfilled review request on CodeReviewerOracle,
+ * or null if it has none.  `focus` holds the areas that request asked for
+ * (its ReviewRequested focus without quorum directives; none means all of
+ * FOCUS_AREAS, as code-reviewer-server.js reviews it).
+ * @param {ethers.Contract} contract  With REVIEWER_ORACLE_READ_ABI
+ * @param {string} prId
+ * @param {number} [fromBlock=0]
+ */
+export async function latestReview(contract, prId, fromBlock = 0) {
+  // Cheap check first: no review was ever recorded for this PR
+  if (ethers.getBytes(await contract.getComments(prId)).length === 0) return null;
+  const request = await latestRequest(contract, 'ReviewRequested', prId, fromBlock, REVIEW_FULFILLED);
+  if (!request) return null;
+  const { approved, summary, comments, agentId, fulfilledAt } = await contract.getResultInfo(request.requestId);
+  const { areas } = parseFocus(request.focus);
+  return {
+    summary:   decodeJson(summary, ''),
+    comments:  decodeJson(comments, []),
+    approved,
+    focus:     areas.length ? areas : FOCUS_AREAS,
+    requestId: request.requestId,
+    agentId:   agentId.toString(),
+    updatedAt: Number(fulfilledAt) * 1000,
+  };
+}
+
+/**
+ * Hydrate the reviewer's review store from CodeReviewerOracle: latestReview().
+ * @param {ethers.Contract} contract  With REVIEWER_ORACLE_READ_ABI
+ * @param {number} [fromBlock=0]
+ */
+export function reviewHydrator(contract, fromBlock = 0) {
+  return async prId => (await latestReview(contract, prId, fromBlock)) ?? undefined;
+}
+
+/**
+ * Hydrate the reviewer's diff store from CodeReviewerOracle.getDiff().
+ * @param {ethers.Contract} contract  With REVIEWER_ORACLE_READ_ABI
+ */
+export function diffHydrator(contract) {
+  return async prId => {
+    const diff = ethers.toUtf8String(await contract.getDiff(prId));
+    return diff ? diff : undefined;
+  };
+}
+
+/**
+ * Hydrate the approver's decision store from CodeApproverOracle: the result
+ * of the PR's latest decided approval request.  The chain does not keep
+ * rules_fired, so hydrated decisions have none.
+ * @param {ethers.Contract} contract  With APPROVER_ORACLE_READ_ABI
+ * @param {number} [fromBlock=0]
+ */
+export function decisionHydrator(contract, fromBlock = 0) {
+  return async prId => {
+    // Cheap check first: no decision was ever recorded for this PR
+    if (ethers.getBytes(await contract.getDecision(prId)).length === 0) return undefined;
+    const { requestId } = await latestRequest(contract, 'ApprovalRequested', prId, fromBlock, APPROVAL_DECIDED) ?? {};
+    if (!requestId) return undefined;
+    const { decision, reason, unresolvedBlockers, agentId, fulfilledAt } = await contract.getResultInfo(requestId);
+    return {
+      pr_id:               prId,
+      decision:            decodeJson(decision, ''),
+      reason:              decodeJson(reason, ''),
+      unresolved_blockers: decodeJson(unresolvedBlockers, []),
+      rules_fired:         [],
+      requestId,
+      agentId:             agentId.toString(),
+      decidedAt:           Number(fulfilledAt) * 1000,
+    };
+  };
+}
+
+/**
+ * Store settings for one agent from the environment: STORE_BACKEND,
+ * STORE_DIR (default ./state/stores), STORE_READ_THROUGH (none | chain),
+ * STORE_MISS_TTL_MS and STORE_CACHE_SIZE.
+ */
+export function storeConfigFromEnv(agentName, env = process.env) {
+  const readThrough = env.STORE_READ_THROUGH || 'none';
+  if (!['none', 'chain'].includes(readThrough)) {
+    throw new Error(`Unknown STORE_READ_THROUGH "${readThrough}" (expected none or chain)`);
+  }
+  return {
+    backend: env.STORE_BACKEND || 'file',
+    dir:     path.join(path.resolve(env.STORE_DIR ?? DEFAULT_STORE_DIR), agentName),
+    readThrough,
+    ...(env.STORE_MISS_TTL_MS ? { missTtlMs: Number(env.STORE_MISS_TTL_MS) } : {}),
+    ...(env.STORE_CACHE_SIZE  ? { cacheSize: Number(env.STORE_CACHE_SIZE) }  : {}),
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * lib/trace-log.js
+ *
+ * Reads execution traces from ExecutionTraceLog and checks their integrity.
+ *
+ * recordHop() only accepts registered oracle contracts, but a trace can still
+ * hold hops from other addresses: hops recorded before the allow-list was
+ * populated, by an oracle that was removed since, or in a trace log deployed
+ * without an allow-list.  checkTraceIntegrity() flags every hop whose
+ * `oracle` is not one of the known oracle addresses.
+ */
+
+import { ethers } from 'ethers';
+
+// ── Minimal ABI ───────────────────────────────────────────────────────────────
+export const TRACE_LOG_ABI = [
+  'event HopRecorded(bytes32 indexed traceId, address indexed oracle, uint256 indexed agentId, string action, uint256 timestamp)',
+  'event OracleRegistered(address indexed oracle)',
+  'event OracleRemoved(address indexed oracle)',
+  'function getTrace(bytes32 traceId) view returns (tuple(address oracle, uint256 agentId, string action, uint256 timestamp)[])',
+  'function getHopCount(bytes32 traceId) view returns (uint256)',
+  'function isRegisteredOracle(address oracle) view returns (bool)',
+  'function getRegisteredOracles() view returns (address[])',
+];
+
+/**
+ * Read a trace as plain objects, in recording order.
+ * @returns {Promise<{ index: number, oracle: string, agentId: string, action: string, timestamp: number }[]>}
+ */
+export async function readTrace(traceLog, traceId) {
+  const hops = await traceLog.getTrace(traceId);
+  return hops.map((h, index) => ({
+    index,
+    oracle:    h.oracle,
+    agentId:   h.agentId.toString(),
+    action:    h.action,
+    timestamp: Number(h.timestamp),
+  }));
+}
+
+/** Hops recorded on behalf of a requester rather than an agent; their agentId is always 0. */
+export const REQUEST_ACTIONS = ['reviewRequested', 'approvalRequested'];
+
+/** Hops that end a pipeline. */
+export const TERMINAL_ACTIONS = { approvalFulfilled: 'approved', rejectionFulfilled: 'rejected' };
+
+/**
+ * Where a trace stands, from its last hop: 'approved' | 'rejected' |
+ * 'needs_revision' | 'reviewed' | 'review_requested' | 'approval_requested',
+ * or 'empty' when it has no hops.
+ */
+export function traceStatus(hops) {
+  const last = hops.at(-1)?.action;
+  if (!last) return 'empty';
+  return TERMINAL_ACTIONS[last] ?? {
+    revisionRequested: 'needs_revision',
+    reviewFulfilled:   'reviewed',
+    reviewRequested:   'review_requested',
+    approvalRequested: 'approval_requested',
+  }[last] ?? last;
+}
+
+/** Every traceId with at least one HopRecorded event since `fromBlock`, in order of first hop. */
+export async function listTraceIds(traceLog, { fromBlock = 0 } = {}) {
+  const logs = await traceLog.queryFilter(traceLog.filters.HopRecorded(), fromBlock);
+  return [...new Set(logs.map(l => l.args.traceId))];
+}
+
+/**
+ * The oracle addresses whose hops count as genuine: the trace log's current
+ * allow-list, plus any `extra` addresses (e.g. from the deployment manifest).
+ * @returns {Promise<Set<string>>} Checksummed addresses
+ */
+export async function knownOracles(traceLog, extra = []) {
+  const registered = await traceLog.getRegisteredOracles();
+  return new Set([...registered, ...extra.filter(Boolean)].map(a => ethers.getAddress(a)));
+}
+
+/**
+ * Check a trace (see readTrace) against the known oracles.
+ * @param {object[]}    hops
+ * @param {Set<string>} known  Checksummed addresses (see knownOracles)
+ * @returns {{ ok: boolean, issues: { hop: object, reason: string }[] }}
+ */
+export function checkTraceIntegrity(hops, known) {
+  const issues = hops
+    .filter(hop => !known.has(ethers.getAddress(hop.oracle)))
+    .map(hop => ({ hop, reason: `hop from unknown oracle ${hop.oracle}` }));
+  return { ok: issues.length === 0, issues };
+}
@@ -0,0 +1,266 @@
+/**
+ * lib/trace-timeline.js
+ *
+ * Builds a readable timeline of one execution chain: the hops
+ * ExecutionTraceLog recorded for a traceId, each joined with the oracle event
+ * that produced it (ReviewRequested, ReviewFulfilled, ApprovalRequested,
+ * PRApproved, RevisionRequested, PRRejected), the decoded JSON payloads of
+ * its result, and the card name of the agent behind its agentId.
+ *
+ * Hops and events are matched per action, in order: the n-th
+ * "reviewFulfilled" hop is the n-th ReviewFulfilled event of the trace.
+ *
+ * formatTimeline() renders a timeline for the terminal, renderHtmlReport()
+ * as a self-contained HTML page (inline CSS, no scripts or external assets).
+ */
+
+import { ethers } from 'ethers';
+import { sameAddress } from './agent-identity.js';
+import { readTrace, checkTraceIntegrity, traceStatus, REQUEST_ACTIONS } from './trace-log.js';
+
+// ── Minimal ABIs ──────────────────────────────────────────────────────────────
+export const REVIEWER_TRACE_ABI = [
+  'event ReviewRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string focus, uint256 timestamp)',
+  'event ReviewFulfilled(bytes32 indexed requestId, bytes32 indexed traceId, bool approved, uint256 agentId, uint256 timestamp)',
+  'function getRequestInfo(bytes32 requestId) view returns (uint8 status, string prId, bytes32 traceId, address requester, uint256 createdAt)',
+  'function getResultInfo(bytes32 requestId) view returns (bool approved, bytes summary, bytes comments, uint256 agentId, uint256 fulfilledAt)',
+  'function traceLog() view returns (address)',
+  'function identityRegistry() view returns (address)',
+];
+
+export const APPROVER_TRACE_ABI = [
+  'event ApprovalRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string reviewerAgent, uint256 timestamp)',
+  'event PRApproved(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp)',
+  'event RevisionRequested(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp)',
+  'event PRRejected(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp)',
+  'function getRequestInfo(bytes32 requestId) view returns (uint8 status, string prId, bytes32 traceId, address requester, uint256 createdAt)',
+  'function getResultInfo(bytes32 requestId) view returns (bytes decision, bytes reason, bytes unresolvedBlockers, uint256 agentId, uint256 fulfilledAt)',
+];
+
+/** Hop action → [oracle, event] that records it. */
+const HOP_EVENTS = {
+  reviewRequested:    ['reviewer', 'ReviewRequested'],
+  reviewFulfilled:    ['reviewer', 'ReviewFulfilled'],
+  approvalRequested:  ['approver', 'ApprovalRequested'],
+  approvalFulfilled:  ['approver', 'PRApproved'],
+  revisionRequested:  ['approver', 'RevisionRequested'],
+  rejectionFulfilled: ['approver', 'PRRejected'],
+};
+
+/** JSON bytes written by the bridges; '' gives null, non-JSON the raw text. */
+function decodeJson(bytes) {
+  const text = ethers.toUtf8String(bytes);
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+// ── Building ──────────────────────────────────────────────────────────────────
+
+/**
+ * Every traceId used by a request for `prId` since `fromBlock`, in order of
+ * first use — a PR that went through several pipelines has several.
+ */
+export async function findTraceIds({ reviewer, approver }, prId, { fromBlock = 0 } = {}) {
+  const logs = [
+    ...await reviewer.queryFilter(reviewer.filters.ReviewRequested(), fromBlock),
+    ...await approver.queryFilter(approver.filters.ApprovalRequested(), fromBlock),
+  ].filter(l => l.args.prId === prId)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  return [...new Set(logs.map(l => l.args.traceId))];
+}
+
+/**
+ * Build the timeline of one trace.
+ * @param {object} contracts
+ * @param {ethers.Contract} contracts.traceLog  With TRACE_LOG_ABI
+ * @param {ethers.Contract} contracts.reviewer  With REVIEWER_TRACE_ABI
+ * @param {ethers.Contract} contracts.approver  With APPROVER_TRACE_ABI
+ * @param {string} traceId
+ * @param {object} [opts]
+ * @param {number}      [opts.fromBlock=0]  First block to scan for oracle events
+ * @param {Map}         [opts.agents]       agentId → card (see agentCardsById)
+ * @param {Set<string>} [opts.known]        Known oracle addresses; hops from others are flagged
+ * @returns {Promise<object>} `{ traceId, prIds, status, startedAt, endedAt, duration, entries }`;
+ *   each entry is a hop plus `agent`, `actor`, `requestId`, `prId`, `block`, `txHash`,
+ *   `summary`, `payload`, `sincePrevious`, `sinceStart` and `flags`.
+ */
+export async function buildTimeline(contracts, traceId, { fromBlock = 0, agents = new Map(), known = null } = {}) {
+  const hops = await readTrace(contracts.traceLog, traceId);
+
+  // Oracle events of the trace, per hop action, in chain order
+  const events = {};
+  await Promise.all(Object.entries(HOP_EVENTS).map(async ([action, [oracle, eventName]]) => {
+    const contract = contracts[oracle];
+    const filter   = REQUEST_ACTIONS.includes(action)
+      ? contract.filters[eventName](null, null, null, traceId)
+      : contract.filters[eventName](null, traceId);
+    events[action] = (await contract.queryFilter(filter, fromBlock))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  }));
+
+  const flagged = new Map(known ? checkTraceIntegrity(hops, known).issues.map(i => [i.hop.index, i.reason]) : []);
+  const entries = [];
+  for (const hop of hops) {
+    const log   = events[hop.action]?.shift() ?? null;
+    const entry = {
+      ...hop,
+      agent:         REQUEST_ACTIONS.includes(hop.action) ? null : (agents.get(hop.agentId)?.name ?? null),
+      sincePrevious: entries.length ? hop.timestamp - entries.at(-1).timestamp : 0,
+      sinceStart:    hops.length ? hop.timestamp - hops[0].timestamp : 0,
+      flags:         flagged.has(hop.index) ? [flagged.get(hop.index)] : [],
+      ...(log ? await describeEvent(contracts, hop.action, log) : {}),
+    };
+    if (!log) entry.flags.push(`no ${HOP_EVENTS[hop.action]?.[1] ?? 'oracle'} event for this hop`);
+    else if (!sameAddress(log.address, hop.oracle)) entry.flags.push(`event emitted by ${log.address}, hop recorded by ${hop.oracle}`);
+    entries.push(entry);
+  }
+
+  return {
+    traceId,
+    prIds:     [...new Set(entries.map(e => e.prId).filter(Boolean))],
+    status:    traceStatus(hops),
+    startedAt: hops[0]?.timestamp ?? null,
+    endedAt:   hops.at(-1)?.timestamp ?? null,
+    duration:  hops.length ? hops.at(-1).timestamp - hops[0].timestamp : 0,
+    entries,
+  };
+}
+
+/** Request id, prId, a one-line summary and the decoded payloads of the event behind a hop. */
+async function describeEvent({ reviewer, approver }, action, log) {
+  const { requestId } = log.args;
+  const base = { requestId, block: log.blockNumber, txHash: log.transactionHash };
+
+  switch (action) {
+    case 'reviewRequested':
+      return { ...base, prId: log.args.prId, actor: log.args.requester,
+        summary: log.args.focus ? `focus="${log.args.focus}"` : '', payload: null };
+
+    case 'approvalRequested':
+      return { ...base, prId: log.args.prId, actor: log.args.requester,
+        summary: log.args.reviewerAgent ? `reviewer=${log.args.reviewerAgent}` : '', payload: null };
+
+    case 'reviewFulfilled': {
+      const [{ prId }, result] = await Promise.all([reviewer.getRequestInfo(requestId), reviewer.getResultInfo(requestId)]);
+      const summary  = decodeJson(result.summary);
+      const comments = decodeJson(result.comments);
+      const count    = Array.isArray(comments) ? `${comments.length} comment(s)` : '';
+      return { ...base, prId,
+        summary: [`approved=${result.approved}`, count, typeof summary === 'string' ? summary : ''].filter(Boolean).join('  '),
+        payload: { approved: result.approved, summary, comments } };
+    }
+
+    default: { // approvalFulfilled, revisionRequested, rejectionFulfilled
+      const [{ prId }, result] = await Promise.all([approver.getRequestInfo(requestId), approver.getResultInfo(requestId)]);
+      const decision   = decodeJson(result.decision);
+      const reason     = decodeJson(result.reason);
+      const unresolved = decodeJson(result.unresolvedBlockers);
+      const text       = typeof reason === 'string' ? reason : reason?.summary ?? '';
+      return { ...base, prId,
+        summary: [`decision=${decision}`, Array.isArray(unresolved) ? `${unresolved.length} unresolved blocker(s)` : '', text].filter(Boolean).join('  '),
+        payload: { decision, reason, unresolvedBlockers: unresolved } };
+    }
+  }
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+/** 75 → "1m 15s". */
+export function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(s).padStart(2, '0')}s`;
+}
+
+const iso = seconds => new Date(seconds * 1000).toISOString();
+
+/** Who acted in a hop: the agent's card name, or the requester for request hops. */
+function actorLabel(entry) {
+  if (REQUEST_ACTIONS.includes(entry.action)) return entry.actor ? `requester ${entry.actor}` : 'requester';
+  return `${entry.agent ?? 'unknown agent'} (agentId=${entry.agentId})`;
+}
+
+/** Terminal rendering of a timeline, as lines. */
+export function formatTimeline(timeline) {
+  const { traceId, prIds, status, startedAt, duration, entries } = timeline;
+  const lines = [`Trace ${traceId}  ${prIds.join(', ') || '(no PR)'}  status=${status}  ${entries.length} hop(s)` +
+    (entries.length ? `  ${formatDuration(duration)}  started ${iso(startedAt)}` : '')];
+  for (const e of entries) {
+    lines.push(`  ${`+${formatDuration(e.sinceStart)}`.padEnd(9)} ${`(Δ ${formatDuration(e.sincePrevious)})`.padEnd(12)} ` +
+      `${e.action.padEnd(19)} ${actorLabel(e)}`);
+    if (e.summary) lines.push(`${' '.repeat(25)}${e.summary}`);
+    if (e.requestId) lines.push(`${' '.repeat(25)}requestId=${e.requestId}  block=${e.block}`);
+    for (const flag of e.flags) lines.push(`${' '.repeat(25)}⚠ ${flag}`);
+  }
+  return lines;
+}
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const STYLE = `
+  body { font: 14px/1.45 system-ui, sans-serif; margin: 2rem; color: #1d2330; background: #f7f8fa; }
+  h1 { font-size: 1.3rem; } h2 { font-size: 1.05rem; margin: 0 0 .3rem; word-break: break-all; }
+  section { background: #fff; border: 1px solid #dde1e8; border-radius: 6px; padding: 1rem 1.2rem; margin-bottom: 1.5rem; }
+  .meta { color: #5b6475; margin-bottom: .8rem; }
+  .status { display: inline-block; padding: 0 .5rem; border-radius: 3px; background: #e6e9ef; font-weight: 600; }
+  .status.approved { background: #d7f2df; } .status.rejected { background: #f9d9d9; } .status.needs_revision { background: #fdeccc; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: .35rem .5rem; border-top: 1px solid #edf0f4; }
+  th { font-weight: 600; color: #5b6475; border-top: none; }
+  code, pre { font: 12px ui-monospace, monospace; }
+  pre { background: #f2f4f7; padding: .5rem; overflow-x: auto; max-height: 24rem; }
+  .bar { height: 6px; background: #7a9cf0; border-radius: 3px; min-width: 2px; }
+  .flag { color: #b3261e; }
+`;
+
+/**
+ * Self-contained HTML report for one or more timelines.
+ * @param {object[]} timelines  From buildTimeline
+ * @param {object}  [opts]
+ * @param {string}  [opts.title='Execution trace report']
+ * @param {string}  [opts.subtitle]  e.g. network and contract addresses
+ */
+export function renderHtmlReport(timelines, { title = 'Execution trace report', subtitle = '' } = {}) {
+  const sections = timelines.map(t => {
+    const longest = Math.max(1, ...t.entries.map(e => e.sincePrevious));
+    const rows = t.entries.map(e => `
+      <tr>
+        <td>${e.index}</td>
+        <td><code>${escapeHtml(iso(e.timestamp))}</code></td>
+        <td>+${escapeHtml(formatDuration(e.sinceStart))}<br>Δ ${escapeHtml(formatDuration(e.sincePrevious))}
+          <div class="bar" style="width:${Math.round(100 * e.sincePrevious / longest)}%"></div></td>
+        <td><strong>${escapeHtml(e.action)}</strong></td>
+        <td>${escapeHtml(actorLabel(e))}</td>
+        <td>${escapeHtml(e.summary ?? '')}
+          ${e.requestId ? `<br><code>requestId=${escapeHtml(e.requestId)} block=${e.block}</code>` : ''}
+          ${e.flags.map(f => `<div class="flag">⚠ ${escapeHtml(f)}</div>`).join('')}
+          ${e.payload ? `<details><summary>payload</summary><pre>${escapeHtml(JSON.stringify(e.payload, null, 2))}</pre></details>` : ''}</td>
+      </tr>`).join('');
+    return `
+  <section>
+    <h2>${escapeHtml(t.traceId)}</h2>
+    <div class="meta">${escapeHtml(t.prIds.join(', ') || '(no PR)')} · <span class="status ${escapeHtml(t.status)}">${escapeHtml(t.status)}</span>
+      · ${t.entries.length} hop(s)${t.entries.length ? ` · ${escapeHtml(formatDuration(t.duration))} · started ${escapeHtml(iso(t.startedAt))}` : ''}</div>
+    ${t.entries.length ? `<table>
+      <tr><th>#</th><th>time</th><th>elapsed</th><th>action</th><th>agent</th><th>details</th></tr>${rows}
+    </table>` : '<p>No hops recorded.</p>'}
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${escapeHtml(subtitle)} · generated ${escapeHtml(new Date().toISOString())}</div>${sections}
+</body>
+</html>
+`;
+}
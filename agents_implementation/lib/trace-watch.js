@@ -0,0 +1,164 @@
+/**
+ * lib/trace-watch.js
+ *
+ * Open-trace bookkeeping for trace-watcher.js.
+ *
+ * Every HopRecorded event updates the trace it belongs to.  A trace is open
+ * until it reaches a terminal hop — an approval outcome (approvalFulfilled or
+ * rejectionFulfilled) after a reviewFulfilled — and is then forgotten.  Open
+ * traces are kept in memory and persisted to one JSON file:
+ *   {
+ *     "chainId": 31337, "traceLog": "0x…",
+ *     "traces": {
+ *       "0x<traceId>": {
+ *         "traceId": "0x…", "openedBlock": 12, "openedAt": 1767225600,
+ *         "hops": 2, "reviewed": true,
+ *         "lastHop": { "action": "reviewFulfilled", "agentId": "0", "oracle": "0x…", "block": 13, "timestamp": 1767225604 },
+ *         "alerted": false
+ *       }
+ *     }
+ *   }
+ *
+ * A trace stalls when it stays open longer than the block or time budget,
+ * counted from its first hop.  A revision request hands the PR back to its
+ * author, so a trace whose last hop is revisionRequested is not flagged, and
+ * the next review round starts a fresh budget.
+ *
+ * Like the event cursors, a file written for another chainId or trace log is
+ * ignored.
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+import { TERMINAL_ACTIONS, REQUEST_ACTIONS } from './trace-log.js';
+
+/** What a trace is waiting for after its last hop. */
+export const NEXT_STEP = {
+  reviewRequested:   'reviewFulfilled from a code-review agent',
+  reviewFulfilled:   'approvalRequested from the orchestrator',
+  approvalRequested: 'an approval outcome from a code-approver agent',
+};
+
+/**
+ * Open (or create) the open-trace state stored in `file`.
+ * @param {string} file
+ * @param {{ chainId: number, traceLog: string }} scope
+ */
+export function openTraceWatch(file, { chainId, traceLog }) {
+  let saved = null;
+  try { saved = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { /* first run */ }
+  const matches = saved
+    && saved.chainId === chainId
+    && saved.traceLog?.toLowerCase() === traceLog.toLowerCase();
+  const traces = new Map(Object.entries(matches ? saved.traces : {}));
+
+  function flush() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ chainId, traceLog, traces: Object.fromEntries(traces) }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    file,
+    resumed: !!matches,
+    get: traceId => traces.get(traceId) ?? null,
+    all: () => [...traces.values()],
+
+    /**
+     * Apply one hop.  Returns `{ trace, closed }`; a closed trace has been
+     * removed and carries its final `status` ('approved' | 'rejected').
+     * @param {{ traceId: string, action: string, agentId: string, oracle: string, block: number, timestamp: number }} hop
+     * @param {number} [observedAt=Date.now()]  When the hop was seen, in ms
+     */
+    recordHop({ traceId, action, agentId, oracle, block, timestamp }, observedAt = Date.now()) {
+      const prev  = traces.get(traceId);
+      // Block timestamps can run ahead of wall time (Hardhat mining many blocks
+      // in a burst); the time budget never starts later than the hop was seen.
+      const openedAt = Math.min(timestamp, Math.floor(observedAt / 1000));
+      // A new review round after a revision request gets a fresh budget
+      const fresh = !prev || (action === 'reviewRequested' && prev.lastHop.action === 'revisionRequested');
+      const trace = {
+        ...prev,
+        traceId,
+        ...(fresh ? { openedBlock: block, openedAt, reviewed: false, alerted: false } : {}),
+        hops:    (prev?.hops ?? 0) + 1,
+        lastHop: { action, agentId, oracle, block, timestamp },
+      };
+      if (action === 'reviewFulfilled') trace.reviewed = true;
+
+      if (TERMINAL_ACTIONS[action] && trace.reviewed) {
+        traces.delete(traceId);
+        flush();
+        return { trace: { ...trace, status: TERMINAL_ACTIONS[action] }, closed: true };
+      }
+      traces.set(traceId, trace);
+      flush();
+      return { trace, closed: false };
+    },
+
+    /** Record that an alert was sent for the trace's current budget. */
+    markAlerted(traceId) {
+      const trace = traces.get(traceId);
+      if (!trace) return;
+      traces.set(traceId, { ...trace, alerted: true, alertedAt: new Date().toISOString() });
+      flush();
+    },
+  };
+}
+
+/**
+ * Open traces past a budget that have not been alerted yet.
+ * @param {object[]} traces  From openTraceWatch().all()
+ * @param {object} opts
+ * @param {number} opts.headBlock
+ * @param {number} [opts.now=Date.now()]
+ * @param {number} [opts.maxBlocks]  Block budget (0 or unset: none)
+ * @param {number} [opts.maxMs]      Time budget in ms (0 or unset: none)
+ * @returns {{ trace: object, ageBlocks: number, ageMs: number }[]}
+ */
+export function findStalled(traces, { headBlock, now = Date.now(), maxBlocks, maxMs }) {
+  return traces
+    .filter(t => !t.alerted && t.lastHop.action !== 'revisionRequested')
+    .map(trace => ({ trace, ageBlocks: headBlock - trace.openedBlock, ageMs: now - trace.openedAt * 1000 }))
+    .filter(({ ageBlocks, ageMs }) => (maxBlocks > 0 && ageBlocks > maxBlocks) || (maxMs > 0 && ageMs > maxMs));
+}
+
+/**
+ * The alert for a stalled trace (see findStalled).
+ * @param {Map} [agents]  agentId → card (see agentCardsById), to name the agent of the last hop
+ */
+export function stalledAlert({ trace, ageBlocks, ageMs }, { maxBlocks, maxMs, agents = new Map() }) {
+  const { lastHop } = trace;
+  const agent = REQUEST_ACTIONS.includes(lastHop.action)
+    ? null // recorded with agentId 0 on behalf of the requester
+    : (agents.get(lastHop.agentId)?.name ?? `agentId=${lastHop.agentId}`);
+  const waitingFor = NEXT_STEP[lastHop.action] ?? 'a terminal hop';
+  return {
+    type:        'stalled',
+    traceId:     trace.traceId,
+    message:     `trace ${trace.traceId} stalled after ${lastHop.action}${agent ? ` by ${agent}` : ''} ` +
+                 `(${ageBlocks} block(s), ${Math.round(ageMs / 1000)}s) — waiting for ${waitingFor}`,
+    lastHop:     { ...lastHop, agent, at: new Date(lastHop.timestamp * 1000).toISOString() },
+    waitingFor,
+    hops:        trace.hops,
+    openedBlock: trace.openedBlock,
+    openedAt:    new Date(trace.openedAt * 1000).toISOString(),
+    ageBlocks,
+    ageMs,
+    budget:      { blocks: maxBlocks || null, ms: maxMs || null },
+    detectedAt:  new Date().toISOString(),
+  };
+}
+
+/** The follow-up alert when a trace that was flagged as stalled completes after all. */
+export function recoveredAlert(trace) {
+  return {
+    type:       'recovered',
+    traceId:    trace.traceId,
+    message:    `trace ${trace.traceId} completed (${trace.status}) after a stall alert`,
+    status:     trace.status,
+    lastHop:    { ...trace.lastHop, at: new Date(trace.lastHop.timestamp * 1000).toISOString() },
+    hops:       trace.hops,
+    detectedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * lib/tracing.js
+ *
+ * OpenTelemetry-compatible spans for the bridges and MCP servers, without
+ * the OpenTelemetry SDK.
+ *
+ * Every span of an execution chain shares one W3C trace id derived from the
+ * on-chain bytes32 traceId — its first 16 bytes — so the spans of a bridge,
+ * the MCP server it calls and the transactions it sends line up in any OTLP
+ * backend (Jaeger, Tempo, …) under the same trace.  The full bytes32 is kept
+ * on every span as the `botman.trace_id` attribute.  Span context crosses
+ * process boundaries in the W3C `traceparent` header:
+ *   00-<32 hex trace id>-<16 hex parent span id>-01
+ *
+ * Export is configured with the standard OpenTelemetry env vars:
+ *   OTEL_TRACES_EXPORTER                 none (default) | otlp | file
+ *   OTEL_EXPORTER_OTLP_ENDPOINT          otlp: collector base URL (default http://localhost:4318);
+ *                                        spans are POSTed as OTLP/HTTP JSON to <endpoint>/v1/traces
+ *   OTEL_EXPORTER_OTLP_TRACES_ENDPOINT   otlp: full URL, overrides the above
+ *   OTEL_EXPORTER_OTLP_HEADERS           otlp: extra headers, "key=value,key=value"
+ *   OTEL_TRACES_FILE                     file: JSON-lines file (default ./state/traces.jsonl)
+ *   OTEL_SERVICE_NAME                    overrides the component's service.name
+ *
+ * The file exporter appends one OTLP/JSON ExportTraceServiceRequest per line
+ * — the format of the collector's file exporter, which its otlpjsonfile
+ * receiver can load later.  With the "none" exporter spans are still created,
+ * so `traceparent` keeps propagating to processes that do export.
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+
+export const EXPORTERS = ['none', 'otlp', 'file'];
+
+// OTLP enums
+const SPAN_KINDS   = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_OK    = 1;
+const STATUS_ERROR = 2;
+
+const TRACEPARENT_RE = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const ZERO_TRACE = '0'.repeat(32);
+const ZERO_SPAN  = '0'.repeat(16);
+
+// Ended spans are exported in batches of this size, or after this long
+const BATCH_SIZE     = 64;
+const BATCH_DELAY_MS = 1_000;
+
+// ── Trace context ─────────────────────────────────────────────────────────────
+
+const randomHex = bytes => randomBytes(bytes).toString('hex');
+
+/**
+ * The W3C trace id for an on-chain traceId: its first 16 bytes.  Anything
+ * that is not a bytes32 with a non-zero prefix (e.g. 'unknown') → null.
+ */
+export function otelTraceId(traceId) {
+  const m = /^0x([0-9a-fA-F]{64})$/.exec(traceId ?? '');
+  const id = m?.[1].slice(0, 32).toLowerCase();
+  return id && id !== ZERO_TRACE ? id : null;
+}
+
+/** Parse a `traceparent` header → { traceId, spanId, sampled }, or null if it is malformed. */
+export function parseTraceparent(header) {
+  const m = TRACEPARENT_RE.exec(String(header ?? '').trim().toLowerCase());
+  if (!m || m[1] === ZERO_TRACE || m[2] === ZERO_SPAN) return null;
+  return { traceId: m[1], spanId: m[2], sampled: (parseInt(m[3], 16) & 1) === 1 };
+}
+
+export function formatTraceparent({ traceId, spanId }) {
+  return `00-${traceId}-${spanId}-01`;
+}
+
+// ── OTLP/JSON encoding ────────────────────────────────────────────────────────
+
+function anyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'bigint')  return { intValue: value.toString() };
+  if (typeof value === 'number')  return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  if (Array.isArray(value))       return { arrayValue: { values: value.map(anyValue) } };
+  return { stringValue: String(value) };
+}
+
+const keyValues = attributes => Object.entries(attributes)
+  .filter(([, v]) => v !== undefined && v !== null)
+  .map(([key, value]) => ({ key, value: anyValue(value) }));
+
+const nowUnixNano = () => BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+
+/** An ExportTraceServiceRequest for one service's spans. */
+export function otlpRequest(service, spans) {
+  return {
+    resourceSpans: [{
+      resource:   { attributes: keyValues({ 'service.name': service }) },
+      scopeSpans: [{ scope: { name: 'botman_8004' }, spans }],
+    }],
+  };
+}
+
+// ── Exporters ─────────────────────────────────────────────────────────────────
+
+/** "Authorization=Bearer x,X-Scope=y" → { Authorization: 'Bearer x', 'X-Scope': 'y' } */
+function parseHeaders(spec = '') {
+  return Object.fromEntries(spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const eq = entry.indexOf('=');
+    return [decodeURIComponent(entry.slice(0, eq)).trim(), decodeURIComponent(entry.slice(eq + 1)).trim()];
+  }).filter(([key]) => key));
+}
+
+/**
+ * Create an exporter: `{ name, export(service, spans): Promise<void> }`, or
+ * null for 'none'.
+ * @param {string} type  One of EXPORTERS
+ * @param {object} [opts]
+ * @param {string} [opts.url]      otlp: traces endpoint
+ * @param {object} [opts.headers]  otlp: extra request headers
+ * @param {string} [opts.file]     file: JSON-lines path
+ * @param {number} [opts.timeoutMs=10000]
+ */
+export function createExporter(type, { url, headers = {}, file, timeoutMs = 10_000 } = {}) {
+  switch (type) {
+    case 'none':
+      return null;
+
+    case 'otlp':
+      return {
+        name: `otlp ${url}`,
+        async export(service, spans) {
+          const res = await fetch(url, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body:    JSON.stringify(otlpRequest(service, spans)),
+            signal:  AbortSignal.timeout(timeoutMs),
+          });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        },
+      };
+
+    case 'file': {
+      const target = path.resolve(file);
+      return {
+        name: `file ${target}`,
+        async export(service, spans) {
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          // One write per batch, so processes sharing the file never interleave lines
+          fs.appendFileSync(target, JSON.stringify(otlpRequest(service, spans)) + '\n');
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown OTEL_TRACES_EXPORTER "${type}" (expected one of: ${EXPORTERS.join(', ')})`);
+  }
+}
+
+/** The exporter configured by the OTEL_* env vars (see the header). */
+export function exporterFromEnv(env = process.env) {
+  const type = env.OTEL_TRACES_EXPORTER || 'none';
+  const base = (env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/+$/, '');
+  return createExporter(type, {
+    url:     env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || `${base}/v1/traces`,
+    headers: parseHeaders(env.OTEL_EXPORTER_OTLP_HEADERS),
+    file:    env.OTEL_TRACES_FILE || path.join('state', 'traces.jsonl'),
+  });
+}
+
+// ── Tracer ────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a tracer for one component.
+ *
+ * @param {string} service  service.name of the spans (OTEL_SERVICE_NAME overrides it)
+ * @param {object} [opts]
+ * @param {object|null} [opts.exporter]  From createExporter; default exporterFromEnv()
+ * @param {(message: string) => void} [opts.warn=console.warn]  Reports failed exports
+ *
+ * `tracer.startSpan(name, { parent, traceId, kind, attributes })` starts a span:
+ *   parent     — a span or a `traceparent` string; the span joins its trace
+ *   traceId    — without a (valid) parent, the on-chain bytes32 traceId the
+ *                trace id is derived from; without either, a random trace id
+ *   kind       — 'internal' (default) | 'server' | 'client' | 'producer' | 'consumer'
+ * Spans have `traceparent`, `setAttribute(key, value)`, `setAttributes(obj)`
+ * and `end(err?)`; ending with an error marks the span failed and records
+ * the exception.  `tracer.span(name, opts, fn)` runs `fn(span)` inside a
+ * span and ends it with fn's outcome.
+ */
+export function createTracer(service, { exporter = exporterFromEnv(), warn = console.warn } = {}) {
+  const serviceName = process.env.OTEL_SERVICE_NAME || service;
+  let pending = [];
+  let timer   = null;
+  let exporting = Promise.resolve();
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!exporter || pending.length === 0) return exporting;
+    const batch = pending;
+    pending = [];
+    exporting = exporting
+      .then(() => exporter.export(serviceName, batch))
+      .catch(err => warn(`[tracing] ✗ ${exporter.name}: ${batch.length} span(s) dropped — ${err.cause?.code ?? err.message}`));
+    return exporting;
+  }
+
+  function enqueue(span) {
+    if (!exporter) return;
+    pending.push(span);
+    if (pending.length >= BATCH_SIZE) flush();
+    else if (!timer) {
+      timer = setTimeout(flush, BATCH_DELAY_MS);
+      timer.unref();
+    }
+  }
+
+  function startSpan(name, { parent, traceId, kind = 'internal', attributes = {} } = {}) {
+    const parentCtx = typeof parent === 'string' ? parseTraceparent(parent) : parent?.context ?? null;
+    const context = {
+      traceId: parentCtx?.traceId ?? otelTraceId(traceId) ?? randomHex(16),
+      spanId:  randomHex(8),
+    };
+    const attrs = { ...(otelTraceId(traceId) ? { 'botman.trace_id': traceId } : {}), ...attributes };
+    const start = nowUnixNano();
+    let ended = false;
+
+    const span = {
+      name,
+      context,
+      traceparent: formatTraceparent(context),
+      setAttribute(key, value) { attrs[key] = value; return span; },
+      setAttributes(values)    { Object.assign(attrs, values); return span; },
+      end(err) {
+        if (ended) return;
+        ended = true;
+        const failed = err !== undefined && err !== null;
+        const message = failed ? (err.shortMessage ?? err.message ?? String(err)) : undefined;
+        enqueue({
+          traceId:           context.traceId,
+          spanId:            context.spanId,
+          ...(parentCtx ? { parentSpanId: parentCtx.spanId } : {}),
+          name,
+          kind:              SPAN_KINDS[kind] ?? SPAN_KINDS.internal,
+          startTimeUnixNano: start.toString(),
+          endTimeUnixNano:   nowUnixNano().toString(),
+          attributes:        keyValues(attrs),
+          ...(failed ? {
+            events: [{
+              timeUnixNano: nowUnixNano().toString(),
+              name:         'exception',
+              attributes:   keyValues({ 'exception.type': err.name ?? 'Error', 'exception.message': message }),
+            }],
+          } : {}),
+          status: failed ? { code: STATUS_ERROR, message } : { code: STATUS_OK },
+        });
+      },
+    };
+    return span;
+  }
+
+  return {
+    service: serviceName,
+    enabled: !!exporter,
+    exporter: exporter?.name ?? 'none',
+    startSpan,
+
+    async span(name, opts, fn) {
+      const span = startSpan(name, opts);
+      try {
+        const result = await fn(span);
+        span.end();
+        return result;
+      } catch (err) {
+        span.end(err);
+        throw err;
+      }
+    },
+
+    /** Export every ended span now. */
+    flush,
+  };
+}
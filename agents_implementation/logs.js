@@ -0,0 +1,51 @@
+/**
+ * logs.js
+ *
+ * Reads the structured logs of every bridge, MCP server, the orchestrator and
+ * the trace watcher (lib/logger.js) back as one timeline: all components'
+ * current and rotated <component>.jsonl files, merged by timestamp.
+ *
+ * Usage:
+ *   node logs.js 0x<traceId>                        # everything one trace did, across processes
+ *   node logs.js --pr PR-42                         # every trace of a PR
+ *   node logs.js --request 0x<requestId>
+ *   node logs.js --component reviewer-bridge --level warn
+ *   node logs.js 0x<traceId> --json                 # the raw JSON records
+ *
+ * traceIds and requestIds match by prefix, so the first few hex digits are
+ * enough.  --level shows that level and above.  The log directory is
+ * --log-dir / LOG_DIR, as for the processes that wrote it (default ./logs).
+ */
+
+import path from 'node:path';
+import { DEFAULT_LOG_DIR, LEVELS, readLogRecords, matchesLogFilter, formatLogRecord } from './lib/logger.js';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function arg(flag, envVar) {
+  const idx = process.argv.indexOf(flag);
+  return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
+}
+
+const LOG_DIR = path.resolve(arg('--log-dir', 'LOG_DIR') ?? DEFAULT_LOG_DIR);
+const target  = process.argv[2]?.startsWith('--') ? undefined : process.argv[2];
+const filter  = {
+  traceId:   target,
+  requestId: arg('--request'),
+  prId:      arg('--pr'),
+  component: arg('--component'),
+  level:     arg('--level'),
+};
+const AS_JSON = process.argv.includes('--json');
+
+if (filter.level && !LEVELS.includes(filter.level)) {
+  console.error(`Unknown --level ${filter.level} (expected one of: ${LEVELS.join(', ')})`);
+  process.exit(1);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+const records = readLogRecords(LOG_DIR).filter(r => matchesLogFilter(r, filter));
+if (!records.length) {
+  console.error(`No matching log records in ${LOG_DIR}`);
+  process.exit(1);
+}
+for (const record of records) console.log(AS_JSON ? JSON.stringify(record) : formatLogRecord(record));
@@ -0,0 +1,335 @@
+/**
+ * pipeline-orchestrator.js
+ *
+ * Chains code review into approval automatically:
+ *
+ *   requestReview ─► ReviewFulfilled ─► requestApproval ─► PRApproved
+ *        ▲                                                ─► PRRejected
+ *        └──── DiffStored (new diff) ◄──────────────────── ─► RevisionRequested
+ *
+ * Watches CodeReviewerOracle and CodeApproverOracle and, for every PR whose
+ * review this account requested (or whose trace's flow policy it created):
+ *   - on ReviewFulfilled, calls requestApproval() with the review's traceId
+ *     and the endpoint of the reviewer agent that fulfilled it (agentId →
+ *     agent card, resolved through the identity registry);
+ *   - on RevisionRequested, waits for the next DiffStored for that PR and
+ *     then calls requestReview() again with the same traceId and focus.
+ *
+ * Each PR's pipeline state (requested → reviewed → approved / needs_revision /
+ * rejected) is persisted to <state-dir>/pipeline-orchestrator/pipelines.json,
+ * and every event stream has its own cursor, so the orchestrator can be
+ * restarted at any time.  Pending actions are reconciled on startup and
+ * every --reconcile-ms (default 30000).
+ *
+ * Usage:
+ *   node pipeline-orchestrator.js --privkey 0xRequesterPrivateKey [--network localhost]
+ *   node pipeline-orchestrator.js --privkey 0x… --start PR-42 [--focus security,bugs]
+ *                                 [--flow-cards ../agents/alice.json,../agents/dave.json]
+ *
+ *   --flow-cards registers a flow policy (lib/flow-policy.js) for the new
+ *   pipeline's traceId before its first requestReview(), so only those agents,
+ *   with the capabilities their cards declare, can act in it.  The registry is
+ *   the reviewer oracle's flowRegistry().
+ *
+ *   --reviewer-contract / --approver-contract / --rpc override the manifest,
+ *   exactly as for launch-bridges.js.
+ *
+ * Env var equivalents:
+ *   ORCHESTRATOR_PRIVATE_KEY, REVIEWER_CONTRACT_ADDRESS, APPROVER_CONTRACT_ADDRESS,
+ *   RPC_URL, NETWORK, DEPLOYMENT_MANIFEST, BRIDGE_STATE_DIR, FLOW_CARDS,
+ *   LOG_LEVEL, LOG_FORMAT, LOG_DIR (see lib/logger.js)
+ */
+
+import { ethers } from 'ethers';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { IDENTITY_REGISTRY_ABI, loadAgentCards, resolveAgentIds, sameAddress } from './lib/agent-identity.js';
+import { loadDeployment } from './lib/deployment.js';
+import { openCursor, followEvents } from './lib/event-cursor.js';
+import { openPipelineState, TERMINAL_STATUSES } from './lib/pipeline-state.js';
+import { FLOW_REGISTRY_ABI, createFlowFromCards, describePolicy } from './lib/flow-policy.js';
+import { loggerFromEnv } from './lib/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function arg(flag, envVar) {
+  const idx = process.argv.indexOf(flag);
+  return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
+}
+
+// Structured logs (--log-level, --log-format, --log-dir; see lib/logger.js)
+let logger;
+try {
+  logger = loggerFromEnv('orchestrator');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// ── Config ───────────────────────────────────────────────────────────────────
+const deployment = loadDeployment({
+  network: arg('--network',  'NETWORK'),
+  file:    arg('--manifest', 'DEPLOYMENT_MANIFEST'),
+});
+const REVIEWER_CONTRACT = arg('--reviewer-contract', 'REVIEWER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeReviewerOracle;
+const APPROVER_CONTRACT = arg('--approver-contract', 'APPROVER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeApproverOracle;
+const RPC_URL           = arg('--rpc',               'RPC_URL') ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
+const PRIVATE_KEY       = arg('--privkey',           'ORCHESTRATOR_PRIVATE_KEY');
+const STATE_DIR         = path.resolve(arg('--state-dir', 'BRIDGE_STATE_DIR') ?? path.join(__dirname, 'state'));
+const RECONCILE_MS      = Number(arg('--reconcile-ms') ?? 30_000);
+const START_PR          = arg('--start');
+const START_FOCUS       = arg('--focus') ?? '';
+const FLOW_CARDS        = arg('--flow-cards', 'FLOW_CARDS');
+
+// The manifest's chainId and deploy block only apply when we serve the manifest's contracts
+const USES_MANIFEST = !!deployment
+  && deployment.contracts.CodeReviewerOracle?.toLowerCase() === REVIEWER_CONTRACT?.toLowerCase()
+  && deployment.contracts.CodeApproverOracle?.toLowerCase() === APPROVER_CONTRACT?.toLowerCase();
+const FROM_BLOCK = USES_MANIFEST ? deployment.deployBlock : 0;
+
+if (!REVIEWER_CONTRACT) { logger.error('Missing --reviewer-contract / REVIEWER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!APPROVER_CONTRACT) { logger.error('Missing --approver-contract / APPROVER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!PRIVATE_KEY)       { logger.error('Missing --privkey / ORCHESTRATOR_PRIVATE_KEY');             process.exit(1); }
+if (FLOW_CARDS && !START_PR) { logger.error('--flow-cards applies to the pipeline started with --start');   process.exit(1); }
+
+// ── Minimal ABIs — only what the orchestrator needs ───────────────────────────
+const REVIEWER_ABI = [
+  'event ReviewRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string focus, uint256 timestamp)',
+  'event ReviewFulfilled(bytes32 indexed requestId, bytes32 indexed traceId, bool approved, uint256 agentId, uint256 timestamp)',
+  'event DiffStored(string prId, address storedBy)',
+  'function requestReview(string prId, bytes32 traceId, string focus) returns (bytes32)',
+  'function identityRegistry() view returns (address)',
+  'function flowRegistry() view returns (address)',
+];
+const APPROVER_ABI = [
+  'event ApprovalRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string reviewerAgent, uint256 timestamp)',
+  'event PRApproved(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp)',
+  'event RevisionRequested(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp)',
+  'event PRRejected(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp)',
+  'function requestApproval(string prId, bytes32 traceId, string reviewerAgent, string message) returns (bytes32)',
+];
+
+// Approver outcome events → pipeline status
+const OUTCOMES = {
+  PRApproved:        'approved',
+  RevisionRequested: 'needs_revision',
+  PRRejected:        'rejected',
+};
+
+/** Send `method(...args)` on `contract` and return the requestId from the emitted `eventName`. */
+async function sendRequest(contract, method, args, eventName) {
+  const tx      = await contract[method](...args);
+  const receipt = await tx.wait();
+  const event   = receipt.logs
+    .map(l => { try { return contract.interface.parseLog(l); } catch { return null; } })
+    .find(e => e?.name === eventName);
+  return { requestId: event.args.requestId, traceId: event.args.traceId, block: receipt.blockNumber, txHash: tx.hash };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  // No response cache: createFlow and requestReview are sent back to back, and a
+  // cached getTransactionCount would give both the same nonce.
+  const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
+  const wallet   = new ethers.Wallet(PRIVATE_KEY, provider);
+  const reviewer = new ethers.Contract(REVIEWER_CONTRACT, REVIEWER_ABI, wallet);
+  const approver = new ethers.Contract(APPROVER_CONTRACT, APPROVER_ABI, wallet);
+
+  logger.info(`Connected to ${RPC_URL}`);
+  logger.info(`Reviewer : ${REVIEWER_CONTRACT}`);
+  logger.info(`Approver : ${APPROVER_CONTRACT}`);
+  logger.info(`Requester: ${wallet.address}`);
+  if (deployment) logger.info(`Manifest : ${deployment.file} (${deployment.network})`);
+
+  // ── Refuse to run against a stale manifest (e.g. a restarted Hardhat node) ──
+  const { chainId } = await provider.getNetwork();
+  if (USES_MANIFEST && Number(chainId) !== deployment.chainId) {
+    logger.error(`Chain ${chainId} does not match manifest chainId ${deployment.chainId}`);
+    process.exit(1);
+  }
+  for (const address of [REVIEWER_CONTRACT, APPROVER_CONTRACT]) {
+    if (await provider.getCode(address) === '0x') {
+      logger.error(`No contract deployed at ${address} — redeploy or pass --reviewer-contract / --approver-contract`);
+      process.exit(1);
+    }
+  }
+
+  // ── agentId → reviewer endpoint, from the agent cards registered on-chain ──
+  const registry = new ethers.Contract(await reviewer.identityRegistry(), IDENTITY_REGISTRY_ABI, provider);
+  const reviewerCards = loadAgentCards(path.resolve(__dirname, '..', 'agents'), 'code-review');
+  let endpoints = new Map();
+  async function reviewerEndpoint(agentId) {
+    if (!endpoints.has(agentId)) {
+      // Unknown agentId — agents may have been registered since the last lookup
+      const resolved = await resolveAgentIds(registry, reviewerCards, { fromBlock: FROM_BLOCK });
+      endpoints = new Map(resolved.filter(a => a.agentId !== null).map(a => [a.agentId.toString(), a.endpoint]));
+    }
+    return endpoints.get(agentId) ?? null;
+  }
+
+  // ── Only pipelines this account can carry on ──────────────────────────────
+  // With flows enforced, only a trace's flow initiator may send its requests, so
+  // adopting anyone else's review would leave requestApproval reverting forever.
+  const flowRegistryAddress = await reviewer.flowRegistry();
+  const flowRegistry = flowRegistryAddress === ethers.ZeroAddress
+    ? null : new ethers.Contract(flowRegistryAddress, FLOW_REGISTRY_ABI, wallet);
+  async function ownsRequest(requester, traceId) {
+    if (sameAddress(requester, wallet.address)) return true;
+    return !!flowRegistry && sameAddress(await flowRegistry.flowInitiator(traceId), wallet.address);
+  }
+
+  const pipelines = openPipelineState(path.join(STATE_DIR, 'pipeline-orchestrator', 'pipelines.json'), {
+    chainId:  Number(chainId),
+    reviewer: REVIEWER_CONTRACT,
+    approver: APPROVER_CONTRACT,
+  });
+  logger.info(`State    : ${pipelines.resumed ? `${pipelines.all().length} pipeline(s) resumed` : 'new'}  (${pipelines.file})`);
+
+  // ── Actions: the next on-chain step a pipeline needs, if any ──────────────
+  const busy = new Set(); // prIds with an action in flight
+
+  async function advance(prId) {
+    const pr = pipelines.get(prId);
+    if (!pr || busy.has(prId)) return;
+    busy.add(prId);
+    const prLog = logger.child({ traceId: pr.traceId, prId });
+    try {
+      if (pr.status === 'reviewed' && !pr.approvalRequestId) {
+        if (!pr.reviewerEndpoint) {
+          prLog.warn(`${prId}: reviewer agentId=${pr.reviewerAgentId} has no known endpoint — requesting approval without one`);
+        }
+        const sent = await sendRequest(approver, 'requestApproval',
+          [prId, pr.traceId, pr.reviewerEndpoint ?? '', ''], 'ApprovalRequested');
+        pipelines.update(prId, { approvalRequestId: sent.requestId });
+        prLog.info(`${prId}: → requestApproval  requestId=${sent.requestId}  reviewer=${pr.reviewerEndpoint}  tx=${sent.txHash}`, { requestId: sent.requestId });
+      } else if (pr.status === 'needs_revision' && pr.diffBlock > pr.revisionBlock) {
+        const sent = await sendRequest(reviewer, 'requestReview', [prId, pr.traceId, pr.focus ?? ''], 'ReviewRequested');
+        pipelines.update(prId, {
+          status: 'requested', round: pr.round + 1,
+          reviewRequestId: sent.requestId, reviewRequestBlock: sent.block,
+          reviewerAgentId: null, reviewerEndpoint: null, approvalRequestId: null,
+        }, { requestId: sent.requestId, block: sent.block });
+        prLog.info(`${prId}: new diff → requestReview (round ${pr.round + 1})  requestId=${sent.requestId}  tx=${sent.txHash}`, { requestId: sent.requestId });
+      }
+    } catch (err) {
+      prLog.error(`  ✗ ${prId}: ${err.shortMessage ?? err.message} — will retry in ${RECONCILE_MS} ms`);
+    } finally {
+      busy.delete(prId);
+    }
+  }
+
+  // ── Event handlers: update pipeline state, then advance it ────────────────
+  const handlers = {
+    async ReviewRequested(log) {
+      const { requestId, requester, prId, traceId, focus } = log.args;
+      const pr = pipelines.get(prId);
+      if (pr?.reviewRequestId === requestId) return; // our own re-request, already recorded
+      if (pr && log.blockNumber < pr.reviewRequestBlock) return; // an older round
+      if (!await ownsRequest(requester, traceId)) {
+        logger.debug(`← ReviewRequested  ${prId}  from ${requester} — not ours, ignored`, { traceId, requestId, prId });
+        return;
+      }
+      // Same traceId → next round of this pipeline; otherwise a new pipeline for the PR
+      const sameTrace = pr?.traceId === traceId && !TERMINAL_STATUSES.includes(pr.status);
+      pipelines.update(prId, {
+        traceId, focus,
+        status: 'requested', round: sameTrace ? pr.round + 1 : 1,
+        reviewRequestId: requestId, reviewRequestBlock: log.blockNumber,
+        reviewerAgentId: null, reviewerEndpoint: null, approvalRequestId: null,
+        revisionBlock: null, diffBlock: null,
+        ...(sameTrace ? {} : { history: [] }),
+      }, { requestId, block: log.blockNumber });
+      logger.info(`← ReviewRequested  ${prId}  round=${pipelines.get(prId).round}`, { traceId, requestId, prId });
+    },
+
+    async ReviewFulfilled(log) {
+      const { requestId, traceId, approved, agentId } = log.args;
+      const pr = pipelines.findBy('reviewRequestId', requestId);
+      if (!pr) return; // a superseded round, or requested before this orchestrator's first block
+      const endpoint = await reviewerEndpoint(agentId.toString());
+      pipelines.update(pr.prId, {
+        status: 'reviewed', reviewedBlock: log.blockNumber,
+        reviewerAgentId: agentId.toString(), reviewerEndpoint: endpoint,
+      }, { requestId, block: log.blockNumber });
+      logger.info(`← ReviewFulfilled  ${pr.prId}  approved=${approved}  agentId=${agentId}`, { traceId, requestId, prId: pr.prId });
+      await advance(pr.prId);
+    },
+
+    ApprovalRequested(log) {
+      const { requestId, prId, traceId } = log.args;
+      const pr = pipelines.get(prId);
+      // Adopt an approval someone else (or a crashed run of ours) already requested for this round
+      if (pr?.status === 'reviewed' && !pr.approvalRequestId && pr.traceId === traceId && log.blockNumber >= pr.reviewedBlock) {
+        pipelines.update(prId, { approvalRequestId: requestId });
+        logger.info(`← ApprovalRequested  ${prId}  (adopted ${requestId})`, { traceId, requestId, prId });
+      }
+    },
+
+    DiffStored(log) {
+      const { prId } = log.args;
+      const pr = pipelines.get(prId);
+      if (pr?.status !== 'needs_revision' || log.blockNumber <= pr.revisionBlock) return;
+      pipelines.update(prId, { diffBlock: log.blockNumber });
+      logger.info(`← DiffStored  ${prId}`, { traceId: pr.traceId, prId });
+      return advance(prId);
+    },
+  };
+  for (const [eventName, status] of Object.entries(OUTCOMES)) {
+    handlers[eventName] = (log) => {
+      const { requestId, traceId } = log.args;
+      const pr = pipelines.findBy('approvalRequestId', requestId);
+      if (!pr) return;
+      pipelines.update(pr.prId, {
+        status, ...(status === 'needs_revision' ? { revisionBlock: log.blockNumber, diffBlock: null } : {}),
+      }, { requestId, block: log.blockNumber });
+      const next = status === 'needs_revision' ? ' — waiting for a new diff' : '';
+      logger.info(`← ${eventName}  ${pr.prId}  → ${status}${next}`, { traceId, requestId, prId: pr.prId });
+    };
+  }
+
+  // ── Consume events in pipeline order: backfill from each cursor, then follow live ──
+  const streams = [
+    [reviewer, 'ReviewRequested'], [reviewer, 'ReviewFulfilled'], [approver, 'ApprovalRequested'],
+    [approver, 'PRApproved'], [approver, 'RevisionRequested'], [approver, 'PRRejected'], [reviewer, 'DiffStored'],
+  ];
+  for (const [contract, eventName] of streams) {
+    const cursor = openCursor(path.join(STATE_DIR, 'pipeline-orchestrator', `${eventName}.cursor.json`), {
+      chainId:    Number(chainId),
+      contract:   await contract.getAddress(),
+      startBlock: FROM_BLOCK,
+    });
+    const onEvent = log => Promise.resolve(handlers[eventName](log)).catch(err =>
+      logger.error(`  ✗ Error handling ${eventName} in tx ${log.transactionHash}: ${err.message}`));
+    const { backfilled } = await followEvents(contract, eventName, { cursor, onEvent });
+    if (backfilled) logger.info(`Backfilled ${backfilled} ${eventName} event(s)`);
+  }
+
+  // ── Reconcile: retry actions that failed or were interrupted ──────────────
+  const reconcile = () => Promise.all(pipelines.all().map(pr => advance(pr.prId)));
+  await reconcile();
+  setInterval(reconcile, RECONCILE_MS);
+
+  // ── --start <prId>: kick off a new pipeline ────────────────────────────────
+  if (START_PR) {
+    let traceId = ethers.ZeroHash; // the oracle derives one
+    if (FLOW_CARDS) {
+      if (!flowRegistry) throw new Error(`${REVIEWER_CONTRACT} enforces no flow registry — drop --flow-cards`);
+      const flow = await createFlowFromCards({
+        flowRegistry,
+        identityRegistry: registry,
+        cardFiles:        FLOW_CARDS.split(',').map(f => path.resolve(f.trim())),
+        fromBlock:        FROM_BLOCK,
+      });
+      traceId = flow.traceId;
+      logger.info(`→ createFlow  tx=${flow.txHash}`, { traceId });
+      describePolicy(flow.policy).forEach(line => logger.info(`    ${line}`, { traceId }));
+    }
+    const sent = await sendRequest(reviewer, 'requestReview', [START_PR, traceId, START_FOCUS], 'ReviewRequested');
+    logger.info(`→ requestReview  ${START_PR}  requestId=${sent.requestId}  tx=${sent.txHash}`, { traceId: sent.traceId, requestId: sent.requestId, prId: START_PR });
+  }
+
+  logger.info(`Watching ${pipelines.all().length} pipeline(s)…`);
+}
+
+main().catch(err => { logger.error(err.stack ?? String(err)); process.exit(1); });
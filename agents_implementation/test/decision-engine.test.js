@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { DEFAULT_POLICY, evaluatePolicy } from '../lib/decision-engine.js';
+import { latestReview } from '../lib/store.js';
+
+const json = value => ethers.toUtf8Bytes(JSON.stringify(value));
+
+/** CodeReviewerOracle double holding one fulfilled ReviewRequested per `focus` given, oldest first. */
+function fakeOracle(...focuses) {
+  const requests = focuses.map((focus, i) => ({ requestId: ethers.id(`request-${i}`), prId: 'PR-1', focus }));
+  return {
+    runner:         { provider: { getBlockNumber: async () => 10 } },
+    getComments:    async () => json([]),
+    queryFilter:    async () => requests.map(args => ({ args })),
+    getRequestInfo: async () => ({ status: 1n }),
+    getResultInfo:  async () => ({
+      approved: true, summary: json('Looks good'), comments: json([]), agentId: 7n, fulfilledAt: 1_700_000_000n,
+    }),
+  };
+}
+
+const policy = { ...DEFAULT_POLICY, requiredCategories: ['security', 'tests'] };
+
+test('requiredCategories fails a review whose focus does not cover them', () => {
+  const { decision, rules_fired } = evaluatePolicy(policy, { found: true, comments: [], focus: ['security'] });
+  assert.equal(decision, 'needs_revision');
+  assert.deepEqual(rules_fired.map(f => f.rule), ['required-category:tests']);
+});
+
+test('a chain review carries the focus of its ReviewRequested event', async () => {
+  const review = await latestReview(fakeOracle('style', 'security, tests, quorum=2'), 'PR-1');
+  assert.deepEqual(review.focus, ['security', 'tests']);
+  assert.equal(review.summary, 'Looks good');
+  assert.equal(review.agentId, '7');
+  assert.equal(evaluatePolicy(policy, { found: true, ...review }).decision, 'approved');
+});
+
+test('a chain review requested without a focus covers every area', async () => {
+  const review = await latestReview(fakeOracle(''), 'PR-1');
+  assert.equal(evaluatePolicy(policy, { found: true, ...review }).decision, 'approved');
+  assert.equal(evaluatePolicy(policy, { found: true, ...review, focus: ['style'] }).decision, 'needs_revision');
+});
+
+test('a PR with no review on-chain has no chain review', async () => {
+  const oracle = { ...fakeOracle('security'), getComments: async () => '0x' };
+  assert.equal(await latestReview(oracle, 'PR-1'), null);
+  assert.equal(evaluatePolicy(policy, { found: false, comments: [] }).decision, 'needs_revision');
+});
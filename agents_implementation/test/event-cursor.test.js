@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { openCursor, followEvents } from '../lib/event-cursor.js';
+
+const SCOPE = { chainId: 31337, contract: '0x5FbDB2315678afecb367f032d93F642f64180aa3', startBlock: 10 };
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-')), 'bridge.cursor.json');
+const log = (blockNumber, index = 0) => ({ transactionHash: `0x${blockNumber.toString(16)}`, index, blockNumber });
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+/** Contract double: live events are pushed with emit(), queryFilter answers come from `chunks`. */
+function fakeContract(head, chunks) {
+  let listener = null;
+  return {
+    runner: { provider: { getBlockNumber: async () => head } },
+    on: async (_event, fn) => { listener = fn; },
+    queryFilter: (_event, from, to) => chunks(from, to),
+    emit: l => listener({ log: l }),
+  };
+}
+
+test('starts before startBlock and resumes from the saved block', () => {
+  const file = tmpFile();
+  const cursor = openCursor(file, SCOPE);
+  assert.equal(cursor.resumed, false);
+  assert.equal(cursor.lastBlock, 9);
+  cursor.advance(42);
+
+  const reopened = openCursor(file, SCOPE);
+  assert.equal(reopened.resumed, true);
+  assert.equal(reopened.lastBlock, 42);
+  assert.equal(openCursor(file, { ...SCOPE, chainId: 1 }).lastBlock, 9);
+});
+
+test('never moves past a block with an event in flight', () => {
+  const cursor = openCursor(tmpFile(), SCOPE);
+  cursor.begin(12);
+  cursor.begin(15);
+  cursor.done(15);
+  assert.equal(cursor.lastBlock, 11);
+  cursor.done(12);
+  assert.equal(cursor.lastBlock, 15);
+});
+
+test('a live event finishing mid-backfill does not move the cursor past unscanned blocks', async () => {
+  const file = tmpFile();
+  const cursor = openCursor(file, SCOPE);
+  const firstChunk = deferred();
+  const contract = fakeContract(100, (from) => from === 10 ? firstChunk.promise : Promise.resolve([]));
+  const handled = [];
+
+  const following = followEvents(contract, 'ReviewRequested', { cursor, chunkSize: 50, onEvent: l => handled.push(l.blockNumber) });
+  await settle();
+
+  contract.emit(log(101)); // live, and done before the backfill has scanned anything
+  await settle();
+  assert.deepEqual(handled, [101]);
+  assert.equal(cursor.lastBlock, 9);
+  assert.equal(openCursor(file, SCOPE).lastBlock, 9);
+
+  firstChunk.resolve([log(20)]);
+  const { backfilled } = await following;
+  await settle();
+  assert.equal(backfilled, 1);
+  assert.deepEqual(handled, [101, 20]);
+  assert.equal(cursor.lastBlock, 101);
+});
+
+test('keeps progress made by completed backfill chunks', async () => {
+  const cursor = openCursor(tmpFile(), SCOPE);
+  const secondChunk = deferred();
+  const contract = fakeContract(100, (from) => from === 10 ? Promise.resolve([log(30)]) : secondChunk.promise);
+
+  const following = followEvents(contract, 'ReviewRequested', { cursor, chunkSize: 50, onEvent: () => {} });
+  await settle();
+  await settle();
+  assert.equal(cursor.lastBlock, 59);
+
+  secondChunk.resolve([]);
+  await following;
+  assert.equal(cursor.lastBlock, 100);
+});
+
+test('skips an event whose handler throws and reports it', async () => {
+  const cursor = openCursor(tmpFile(), SCOPE);
+  const errors = [];
+  const contract = fakeContract(20, () => Promise.resolve([log(15)]));
+  await followEvents(contract, 'ReviewRequested', {
+    cursor, onEvent: () => { throw new Error('boom'); }, onError: err => errors.push(err.message),
+  });
+  await settle();
+  assert.deepEqual(errors, ['boom']);
+  assert.equal(cursor.lastBlock, 20);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue, classifyError, PermanentError } from '../lib/job-queue.js';
+
+const quiet = { child() { return quiet; }, debug() {}, info() {}, warn() {}, error() {} };
+
+/** Dead-letter store double; `failWrites` makes put() throw that many times. */
+function memoryDeadLetters({ failWrites = 0 } = {}) {
+  const records = new Map();
+  return {
+    records,
+    put(job, errors) {
+      if (failWrites-- > 0) throw new Error('EACCES: permission denied');
+      records.set(job.id, { job, errors });
+    },
+  };
+}
+
+const queueWith = (handler, deadLetters = memoryDeadLetters()) =>
+  createJobQueue({ log: quiet, handler, deadLetters, maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 2 });
+
+test('classifies reverts with a reason and PermanentError as permanent', () => {
+  assert.equal(classifyError(new PermanentError('bad reply')), 'permanent');
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'CALL_EXCEPTION', reason: 'not pending' })), 'permanent');
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'CALL_EXCEPTION' })), 'transient');
+  assert.equal(classifyError(new Error('fetch failed')), 'transient');
+});
+
+test('retries transient failures until the handler succeeds', async () => {
+  const attempts = [];
+  const queue = queueWith(async (job, attempt) => {
+    attempts.push(attempt);
+    if (attempt < 3) throw new Error('ECONNREFUSED');
+  });
+  assert.equal(await queue.run({ id: '0x1' }), 'done');
+  assert.deepEqual(attempts, [1, 2, 3]);
+});
+
+test('dead-letters a permanent failure without retrying', async () => {
+  const deadLetters = memoryDeadLetters();
+  let attempts = 0;
+  const queue = queueWith(async () => { attempts++; throw new PermanentError('malformed reply'); }, deadLetters);
+  assert.equal(await queue.run({ id: '0x1' }), 'dead-lettered');
+  assert.equal(attempts, 1);
+  assert.equal(deadLetters.records.get('0x1').errors[0].kind, 'permanent');
+});
+
+test('runs a job id once while it is in flight', async () => {
+  let calls = 0;
+  const queue = queueWith(async () => { calls++; await new Promise(r => setTimeout(r, 5)); });
+  const [a, b] = [queue.run({ id: '0x1' }), queue.run({ id: '0x1' })];
+  assert.equal(a, b);
+  await a;
+  assert.equal(calls, 1);
+  assert.equal(queue.inFlight, 0);
+});
+
+test('keeps a job whose dead-letter write fails, and writes it with the next one', async () => {
+  const deadLetters = memoryDeadLetters({ failWrites: 1 });
+  const queue = queueWith(async () => { throw new PermanentError('malformed reply'); }, deadLetters);
+
+  assert.equal(await queue.run({ id: '0x1' }), 'unsaved');
+  assert.deepEqual(queue.unsaved.map(j => j.id), ['0x1']);
+  assert.equal(deadLetters.records.size, 0);
+
+  assert.equal(await queue.run({ id: '0x2' }), 'dead-lettered');
+  assert.deepEqual(queue.unsaved, []);
+  assert.deepEqual([...deadLetters.records.keys()].sort(), ['0x1', '0x2']);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs   from 'node:fs';
+import os   from 'node:os';
+import path from 'node:path';
+import { createLogger, secretsFrom } from '../lib/logger.js';
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const API_KEY     = 'sk-"quoted\\and\nmultiline"';
+
+/** A logger writing JSON files to a temp dir, with the console captured in `t`'s mocks. */
+function loggerFor(t, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  const logger = createLogger('bridge', { dir, secrets: secretsFrom(['node', 'x.js', '--privkey', PRIVATE_KEY], { LLM_API_KEY: API_KEY }), ...opts });
+  const raw = () => fs.readFileSync(logger.file, 'utf8');
+  return { logger, raw, records: () => raw().trim().split('\n').map(line => JSON.parse(line)) };
+}
+
+test('secretsFrom collects secret flags and env vars, with and without the 0x prefix', () => {
+  const secrets = secretsFrom(
+    ['node', 'x.js', '--privkey', PRIVATE_KEY, '--llm-token=abcdefgh12', '--contract', '0x' + '11'.repeat(20)],
+    { ORACLE_PRIVATE_KEY: 'short', LLM_API_KEY: API_KEY, RPC_URL: 'http://127.0.0.1:8545' },
+  );
+  assert.deepEqual(secrets, [PRIVATE_KEY, PRIVATE_KEY.slice(2), API_KEY, 'abcdefgh12']);
+});
+
+test('redacts secrets before JSON escaping could hide them', t => {
+  const { logger, raw, records } = loggerFor(t);
+  logger.info(`calling the model with key ${API_KEY}`);
+  assert.ok(!raw().includes(JSON.stringify(API_KEY).slice(1, -1)));
+  assert.equal(records()[0].message, 'calling the model with key [REDACTED]');
+});
+
+test('redacts secrets in nested fields, errors and secret-named keys', t => {
+  const { logger, raw, records } = loggerFor(t);
+  logger.child({ requestId: '0x01' }).error('submit failed', {
+    err:     new Error(`signer ${PRIVATE_KEY.slice(2)} rejected`),
+    request: { url: 'http://127.0.0.1:8545', params: [{ raw: `key=${PRIVATE_KEY}` }] },
+    apiKey:  'not-long',
+    config:  { password: 'hunter2', retries: 3 },
+  });
+  const [record] = records();
+  assert.equal(record.requestId, '0x01');
+  assert.equal(record.err.message, 'signer [REDACTED] rejected');
+  assert.deepEqual(record.request.params, [{ raw: 'key=[REDACTED]' }]);
+  assert.equal(record.apiKey, '[REDACTED]');
+  assert.deepEqual(record.config, { password: '[REDACTED]', retries: 3 });
+  assert.ok(!raw().includes(PRIVATE_KEY.slice(2)) && !raw().includes('hunter2'));
+});
+
+test('redacts the console line too', t => {
+  const { logger } = loggerFor(t, { format: 'text' });
+  logger.warn(`retrying with ${PRIVATE_KEY}`, { traceId: '0xabc' });
+  assert.equal(console.warn.mock.calls[0].arguments[0], '[bridge]   [0xabc] retrying with [REDACTED]');
+});
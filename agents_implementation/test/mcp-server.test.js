@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { renderTemplate, serveMcp } from '../lib/mcp-server.js';
+
+const CARD = fileURLToPath(new URL('../../agents/alice.json', import.meta.url));
+const argv = ['node', 'test-server.js', CARD, '0', '--log-dir', 'none', '--log-level', 'error'];
+
+test('serveMcp rejects a definition that misses a spec tool', async () => {
+  await assert.rejects(serveMcp(() => ({ tools: {} }), { argv }), /no handler for tool "review_pr"/);
+});
+
+test('serveMcp rejects a card it cannot read', async () => {
+  await assert.rejects(serveMcp(() => ({ tools: {} }), { argv: ['node', 'test-server.js', `${CARD}.missing`, '0'] }), /ENOENT/);
+});
+
+test('renderTemplate fills values and resolves nested #if blocks', () => {
+  const template = 'PR {{pr_id}}{{#if focus}} ({{focus}}{{#if strict}}, strict{{/if}}){{else}} (all){{/if}}';
+  assert.equal(renderTemplate(template, { pr_id: '42', focus: 'security', strict: true }), 'PR 42 (security, strict)');
+  assert.equal(renderTemplate(template, { pr_id: '42', focus: '' }), 'PR 42 (all)');
+});
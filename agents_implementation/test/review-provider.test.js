@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReviewProvider } from '../lib/review-provider.js';
+
+const DIFF = `diff --git a/src/app.js b/src/app.js
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,2 +1,3 @@
+ const a = 1;
++const b = 2;
+ module.exports = a;
+`;
+
+const review = (provider, diff) => createReviewProvider({ provider }).review({ prId: 'PR-1', focus: ['bugs'], diff, messages: [] });
+
+test('static provider never approves a PR without a stored diff', async () => {
+  for (const diff of [undefined, null, '']) {
+    const result = await review('static', diff);
+    assert.equal(result.approved, false);
+    assert.deepEqual(result.comments, []);
+    assert.match(result.summary, /No diff stored for PR PR-1/);
+  }
+});
+
+test('static provider approves a diff without blocking findings', async () => {
+  const result = await review('static', DIFF);
+  assert.equal(result.approved, true);
+  assert.equal(result.pr_id, 'PR-1');
+});
+
+test('mock provider approves only when a diff is stored', async () => {
+  assert.equal((await review('mock', '')).approved, false);
+  assert.equal((await review('mock', DIFF)).approved, true);
+});
+
+test('llm provider refuses a review without a stored diff', async () => {
+  const llm = createReviewProvider({ provider: 'llm', endpoint: 'http://127.0.0.1:9/v1/chat/completions', outputSchema: {} });
+  await assert.rejects(llm.review({ prId: 'PR-1', focus: [], diff: '', messages: [] }), /No diff stored/);
+});
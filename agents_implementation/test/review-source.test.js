@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ethers } from 'ethers';
+import { createReviewSource } from '../lib/review-source.js';
+import { resultSignerFromEnv } from '../lib/result-signing.js';
+
+const ORACLE   = '0x' + '11'.repeat(20);
+const IDENTITY = '0x' + '22'.repeat(20);
+const AGENT_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const OTHER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const REQUEST_ID = ethers.id('request-1');
+const CHAIN_SUMMARY = 'From the chain';
+
+const json = value => ethers.toUtf8Bytes(JSON.stringify(value));
+
+/** MCP server double answering every tools/call with `reply`; counts the calls it gets. */
+function fakeReviewer() {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => (raw += c));
+    req.on('end', () => {
+      server.calls++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(raw).id, result: { content: [{ type: 'text', text: JSON.stringify(server.reply) }] } }));
+    });
+  });
+  server.calls = 0;
+  return server;
+}
+
+const reviewer = fakeReviewer();
+const intruder = fakeReviewer();
+const endpointOf = server => `http://127.0.0.1:${server.address().port}`;
+
+before(async () => {
+  for (const server of [reviewer, intruder]) await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+after(() => { reviewer.close(); intruder.close(); });
+
+/** Review source over a CodeReviewerOracle holding one review of PR-1, fulfilled by agent 3 (`reviewer`). */
+function sourceFor(warnings) {
+  const card = { name: 'CodeReviewerAlice', capabilities: ['code-review'], endpoint: endpointOf(reviewer) };
+  const oracle = {
+    runner:           { provider: { getBlockNumber: async () => 10 } },
+    identityRegistry: async () => IDENTITY,
+    getComments:      async () => json([]),
+    queryFilter:      async () => [{ args: { requestId: REQUEST_ID, prId: 'PR-1', focus: 'security' } }],
+    getRequestInfo:   async () => ({ status: 1n }),
+    getResultInfo:    async () => ({
+      approved: true, summary: json(CHAIN_SUMMARY), comments: json([]), agentId: 3n, fulfilledAt: 1_700_000_000n,
+    }),
+  };
+  const identity = {
+    tokenURI:       async () => `data:application/json;base64,${Buffer.from(JSON.stringify(card)).toString('base64')}`,
+    getAgentWallet: async () => new ethers.Wallet(AGENT_KEY).address,
+  };
+  return createReviewSource({
+    chain:   { address: ORACLE, rpcUrl: 'http://127.0.0.1:1', chainId: 31337 },
+    connect: address => (address === ORACLE ? oracle : identity),
+    warn:    msg => warnings.push(msg),
+  });
+}
+
+async function signed(key, review) {
+  const signer = resultSignerFromEnv('review', { cardPath: 'alice.json', oracle: { address: ORACLE, chainId: 31337 }, env: { AGENT_PRIVATE_KEY: key } });
+  return { pr_id: 'PR-1', status: 'completed', ...await signer.sign(review, { requestId: REQUEST_ID, prId: 'PR-1' }), requestId: REQUEST_ID };
+}
+
+test('never calls a reviewer_agent that did not fulfill the review on-chain', async () => {
+  const warnings = [];
+  intruder.reply = await signed(AGENT_KEY, { summary: 'Forged', comments: [], approved: true });
+  const review = await sourceFor(warnings).get('PR-1', { reviewerAgent: endpointOf(intruder) });
+  assert.equal(intruder.calls, 0);
+  assert.equal(review.source, `chain:${ORACLE}`);
+  assert.equal(review.summary, CHAIN_SUMMARY);
+  assert.deepEqual(review.focus, ['security']);
+  assert.match(warnings[0], /not the registered endpoint of agent 3/);
+});
+
+test('uses the fulfilling reviewer\'s copy when its agentWallet signed it for the request', async () => {
+  reviewer.reply = { ...await signed(AGENT_KEY, { summary: 'From Alice', comments: [], approved: true }), focus: ['security', 'bugs'] };
+  const review = await sourceFor([]).get('PR-1', { reviewerAgent: endpointOf(reviewer) });
+  assert.equal(review.source, endpointOf(reviewer));
+  assert.equal(review.summary, 'From Alice');
+  assert.deepEqual(review.focus, ['security', 'bugs']);
+});
+
+test('keeps the on-chain review when the reviewer\'s copy is unsigned or signed by another key', async () => {
+  for (const reply of [
+    { pr_id: 'PR-1', status: 'completed', summary: 'Unsigned', comments: [], approved: true },
+    await signed(OTHER_KEY, { summary: 'Someone else', comments: [], approved: true }),
+  ]) {
+    reviewer.reply = reply;
+    const warnings = [];
+    const review = await sourceFor(warnings).get('PR-1', { reviewerAgent: endpointOf(reviewer) });
+    assert.equal(review.source, `chain:${ORACLE}`);
+    assert.equal(review.summary, CHAIN_SUMMARY);
+    assert.equal(warnings.length, 1);
+  }
+});
+
+test('finds no review without an oracle to check against', async () => {
+  const review = await createReviewSource({ warn: () => {} }).get('PR-1', { reviewerAgent: endpointOf(intruder) });
+  assert.equal(review.found, false);
+  assert.equal(intruder.calls, 0);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs   from 'node:fs';
+import os   from 'node:os';
+import path from 'node:path';
+import { openStore } from '../lib/store.js';
+
+const tempDir = t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+const fileLines = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+
+test('keeps every put and replays the history on open', async t => {
+  const dir = tempDir(t);
+  const store = openStore('reviews', { dir, warn: () => {} });
+  store.put('PR-1', { approved: false });
+  store.put('PR-1', { approved: false });
+  store.put('PR-1', { approved: true });
+
+  const reopened = openStore('reviews', { dir, warn: () => {} });
+  assert.deepEqual(reopened.history('PR-1').map(r => r.value), [{ approved: false }, { approved: false }, { approved: true }]);
+  assert.deepEqual(await reopened.get('PR-1'), { approved: true });
+});
+
+test('a store without history skips unchanged puts and keeps only the latest value', async t => {
+  const dir = tempDir(t);
+  const diffs = openStore('diffs', { dir, history: false });
+  diffs.put('PR-1', 'diff v1');
+  diffs.put('PR-1', 'diff v1');
+  diffs.put('PR-2', 'other diff');
+  assert.equal(fileLines(diffs.file).length, 2);
+
+  diffs.put('PR-1', 'diff v2');
+  assert.deepEqual(diffs.history('PR-1').map(r => r.value), ['diff v2']);
+  assert.equal(await diffs.get('PR-1'), 'diff v2');
+});
+
+test('a store without history compacts its file on open and as superseded lines pile up', async t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'diffs.jsonl');
+  const line = (key, value) => JSON.stringify({ key, at: new Date().toISOString(), source: 'local', value }) + '\n';
+  fs.writeFileSync(file, line('PR-1', 'v1') + line('PR-1', 'v2') + line('PR-2', 'w1') + '{"key":"PR-2","at"');
+
+  const diffs = openStore('diffs', { dir, history: false, warn: () => {} });
+  assert.deepEqual(fileLines(file).map(l => JSON.parse(l).value), ['v2', 'w1']);
+
+  for (const value of ['v3', 'v4', 'v5']) diffs.put('PR-1', value);
+  assert.equal(fileLines(file).length, 2);
+  const reopened = openStore('diffs', { dir, history: false });
+  assert.equal(await reopened.get('PR-1'), 'v5');
+  assert.equal(await reopened.get('PR-2'), 'w1');
+});
@@ -0,0 +1,74 @@
+/**
+ * trace-check.js
+ *
+ * Integrity check for ExecutionTraceLog traces: flags every hop recorded by
+ * an address that is not a known oracle contract (lib/trace-log.js).
+ *
+ * Usage:
+ *   node trace-check.js <traceId> [<traceId> …]
+ *   node trace-check.js --all                      # every trace since the deployment block
+ *
+ * Known oracles are the trace log's registered oracles, plus any passed with
+ * --oracles 0x…,0x… (e.g. oracles removed from the allow-list whose old hops
+ * are still trusted).  The trace log defaults to the ExecutionTraceLog in
+ * deployed-addresses.json (--network, --manifest); override with
+ * --trace-log / TRACE_LOG_ADDRESS and --rpc / RPC_URL.
+ *
+ * Exits with status 1 when any hop is flagged.
+ */
+
+import { ethers } from 'ethers';
+import { loadDeployment } from './lib/deployment.js';
+import { TRACE_LOG_ABI, readTrace, listTraceIds, knownOracles, checkTraceIntegrity } from './lib/trace-log.js';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function arg(flag, envVar) {
+  const idx = process.argv.indexOf(flag);
+  return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
+}
+
+const deployment = loadDeployment({
+  network: arg('--network',  'NETWORK'),
+  file:    arg('--manifest', 'DEPLOYMENT_MANIFEST'),
+});
+const TRACE_LOG  = arg('--trace-log', 'TRACE_LOG_ADDRESS') ?? deployment?.contracts.ExecutionTraceLog;
+const RPC_URL    = arg('--rpc',       'RPC_URL') ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
+const EXTRA      = (arg('--oracles') ?? '').split(',').map(a => a.trim()).filter(Boolean);
+const FROM_BLOCK = deployment?.contracts.ExecutionTraceLog?.toLowerCase() === TRACE_LOG?.toLowerCase() ? deployment.deployBlock : 0;
+const traceIds   = process.argv.slice(2).filter(a => ethers.isHexString(a, 32));
+
+if (!TRACE_LOG) { console.error('Missing --trace-log / TRACE_LOG_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!traceIds.length && !process.argv.includes('--all')) {
+  console.error('Usage: node trace-check.js <traceId …> | --all  [--oracles 0x…,0x…]');
+  process.exit(1);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+  const traceLog = new ethers.Contract(TRACE_LOG, TRACE_LOG_ABI, provider);
+  const known    = await knownOracles(traceLog, EXTRA);
+  const ids      = traceIds.length ? traceIds : await listTraceIds(traceLog, { fromBlock: FROM_BLOCK });
+
+  console.log(`Trace log ${TRACE_LOG}  known oracles: ${[...known].join(', ') || '(none)'}`);
+  let flagged = 0;
+  for (const traceId of ids) {
+    const hops = await readTrace(traceLog, traceId);
+    const { ok, issues } = checkTraceIntegrity(hops, known);
+    if (!hops.length) {
+      console.log(`  - ${traceId}  no hops`);
+    } else if (ok) {
+      console.log(`  ✓ ${traceId}  ${hops.length} hop(s)`);
+    } else {
+      flagged++;
+      console.log(`  ✗ ${traceId}  ${issues.length} of ${hops.length} hop(s) flagged`);
+      for (const { hop, reason } of issues) {
+        console.log(`      #${hop.index} ${hop.action}  agentId=${hop.agentId}  ${new Date(hop.timestamp * 1000).toISOString()}  ${reason}`);
+      }
+    }
+  }
+  console.log(`${ids.length} trace(s) checked, ${flagged} with unknown-oracle hops`);
+  if (flagged) process.exitCode = 1;
+}
+
+main().catch(err => { console.error(err.shortMessage ?? err.message); process.exit(1); });
@@ -0,0 +1,98 @@
+/**
+ * trace-viewer.js
+ *
+ * Shows the execution timeline of a traceId, or of every trace of a PR:
+ * ExecutionTraceLog hops joined with the oracle events and decoded result
+ * payloads, agentIds resolved to card names, durations between hops
+ * (lib/trace-timeline.js).  Hops from unknown oracles are flagged as by
+ * trace-check.js.
+ *
+ * Usage:
+ *   node trace-viewer.js 0x<traceId>
+ *   node trace-viewer.js PR-42                       # every trace of the PR
+ *   node trace-viewer.js PR-42 --html trace.html     # also write a self-contained HTML report
+ *
+ * The oracles default to those in deployed-addresses.json (--network,
+ * --manifest); override with --reviewer-contract / REVIEWER_CONTRACT_ADDRESS,
+ * --approver-contract / APPROVER_CONTRACT_ADDRESS and --rpc / RPC_URL.  The
+ * trace log and identity registry are the ones the reviewer oracle uses
+ * (--trace-log / TRACE_LOG_ADDRESS to override).
+ */
+
+import { ethers } from 'ethers';
+import fs   from 'node:fs';
+import path from 'node:path';
+import { IDENTITY_REGISTRY_ABI, agentCardsById } from './lib/agent-identity.js';
+import { loadDeployment } from './lib/deployment.js';
+import { TRACE_LOG_ABI, knownOracles } from './lib/trace-log.js';
+import {
+  REVIEWER_TRACE_ABI, APPROVER_TRACE_ABI,
+  findTraceIds, buildTimeline, formatTimeline, renderHtmlReport,
+} from './lib/trace-timeline.js';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function arg(flag, envVar) {
+  const idx = process.argv.indexOf(flag);
+  return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
+}
+
+const deployment = loadDeployment({
+  network: arg('--network',  'NETWORK'),
+  file:    arg('--manifest', 'DEPLOYMENT_MANIFEST'),
+});
+const REVIEWER_CONTRACT = arg('--reviewer-contract', 'REVIEWER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeReviewerOracle;
+const APPROVER_CONTRACT = arg('--approver-contract', 'APPROVER_CONTRACT_ADDRESS') ?? deployment?.contracts.CodeApproverOracle;
+const TRACE_LOG         = arg('--trace-log',         'TRACE_LOG_ADDRESS');
+const RPC_URL           = arg('--rpc',               'RPC_URL') ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
+const HTML_FILE         = arg('--html');
+const FROM_BLOCK        = deployment?.contracts.CodeReviewerOracle?.toLowerCase() === REVIEWER_CONTRACT?.toLowerCase() ? deployment.deployBlock : 0;
+const target            = process.argv[2];
+
+if (!target || target.startsWith('--')) {
+  console.error('Usage: node trace-viewer.js <traceId|prId> [--html report.html]');
+  process.exit(1);
+}
+if (!REVIEWER_CONTRACT) { console.error('Missing --reviewer-contract / REVIEWER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!APPROVER_CONTRACT) { console.error('Missing --approver-contract / APPROVER_CONTRACT_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+  const reviewer = new ethers.Contract(REVIEWER_CONTRACT, REVIEWER_TRACE_ABI, provider);
+  const approver = new ethers.Contract(APPROVER_CONTRACT, APPROVER_TRACE_ABI, provider);
+  const traceLogAddress = TRACE_LOG ?? await reviewer.traceLog();
+  if (traceLogAddress === ethers.ZeroAddress) throw new Error(`${REVIEWER_CONTRACT} records no trace (traceLog is address(0)) — pass --trace-log`);
+  const traceLog = new ethers.Contract(traceLogAddress, TRACE_LOG_ABI, provider);
+  const registry = new ethers.Contract(await reviewer.identityRegistry(), IDENTITY_REGISTRY_ABI, provider);
+
+  const traceIds = ethers.isHexString(target, 32)
+    ? [target]
+    : await findTraceIds({ reviewer, approver }, target, { fromBlock: FROM_BLOCK });
+  if (!traceIds.length) { console.error(`No requests found for ${target}`); process.exit(1); }
+
+  const [agents, known] = await Promise.all([
+    agentCardsById(registry, { fromBlock: FROM_BLOCK }),
+    knownOracles(traceLog),
+  ]);
+  const timelines = [];
+  for (const traceId of traceIds) {
+    timelines.push(await buildTimeline({ traceLog, reviewer, approver }, traceId, { fromBlock: FROM_BLOCK, agents, known }));
+  }
+
+  timelines.forEach((timeline, i) => {
+    if (i) console.log('');
+    formatTimeline(timeline).forEach(line => console.log(line));
+  });
+
+  if (HTML_FILE) {
+    const file = path.resolve(HTML_FILE);
+    const { chainId } = await provider.getNetwork();
+    fs.writeFileSync(file, renderHtmlReport(timelines, {
+      title:    `Execution trace report — ${target}`,
+      subtitle: `chain ${chainId} · reviewer ${REVIEWER_CONTRACT} · approver ${APPROVER_CONTRACT} · trace log ${traceLogAddress}`,
+    }));
+    console.log(`\nHTML report → ${file}`);
+  }
+}
+
+main().catch(err => { console.error(err.shortMessage ?? err.message); process.exit(1); });
@@ -0,0 +1,165 @@
+/**
+ * trace-watcher.js
+ *
+ * Flags execution traces that stall before they complete.
+ *
+ * Follows ExecutionTraceLog's HopRecorded events and keeps every open trace
+ * (lib/trace-watch.js).  A trace that has not reached a terminal hop — an
+ * approval outcome after reviewFulfilled — within --max-blocks blocks or
+ * --max-ms milliseconds of its first hop is reported once to every alert
+ * sink, naming its last hop, the agent behind it and the step it is waiting
+ * for.  If it completes later, a "recovered" alert follows.
+ *
+ * Open traces are persisted to <state-dir>/trace-watcher/open-traces.json
+ * and the event stream has its own cursor, so the watcher can be restarted
+ * at any time.
+ *
+ * Usage:
+ *   node trace-watcher.js [--max-blocks 20] [--max-ms 600000] [--check-ms 15000]
+ *                         [--sinks console,webhook=https://hooks.example/x,file=./state/alerts.json]
+ *                         [--log-level info] [--log-format text] [--log-dir ./logs]
+ *
+ * Env var equivalents:
+ *   TRACE_LOG_ADDRESS, IDENTITY_REGISTRY_ADDRESS, RPC_URL, NETWORK, DEPLOYMENT_MANIFEST,
+ *   BRIDGE_STATE_DIR, STALL_MAX_BLOCKS, STALL_MAX_MS, ALERT_SINKS, ALERT_WEBHOOK_TOKEN,
+ *   LOG_LEVEL, LOG_FORMAT, LOG_DIR (see lib/logger.js)
+ */
+
+import { ethers } from 'ethers';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { IDENTITY_REGISTRY_ABI, agentCardsById } from './lib/agent-identity.js';
+import { loadDeployment } from './lib/deployment.js';
+import { openCursor, followEvents } from './lib/event-cursor.js';
+import { TRACE_LOG_ABI } from './lib/trace-log.js';
+import { openTraceWatch, findStalled, stalledAlert, recoveredAlert } from './lib/trace-watch.js';
+import { parseSinkSpecs, createSink, createAlerter } from './lib/alert-sinks.js';
+import { loggerFromEnv } from './lib/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function arg(flag, envVar) {
+  const idx = process.argv.indexOf(flag);
+  return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : process.env[envVar];
+}
+
+// ── Config ───────────────────────────────────────────────────────────────────
+const deployment = loadDeployment({
+  network: arg('--network',  'NETWORK'),
+  file:    arg('--manifest', 'DEPLOYMENT_MANIFEST'),
+});
+const TRACE_LOG         = arg('--trace-log',         'TRACE_LOG_ADDRESS')         ?? deployment?.contracts.ExecutionTraceLog;
+const IDENTITY_REGISTRY = arg('--identity-registry', 'IDENTITY_REGISTRY_ADDRESS') ?? deployment?.contracts.IdentityRegistry;
+const RPC_URL           = arg('--rpc',               'RPC_URL') ?? deployment?.rpcUrl ?? 'http://127.0.0.1:8545';
+const STATE_DIR         = path.resolve(arg('--state-dir', 'BRIDGE_STATE_DIR') ?? path.join(__dirname, 'state'));
+const MAX_BLOCKS        = Number(arg('--max-blocks', 'STALL_MAX_BLOCKS') ?? 20);
+const MAX_MS            = Number(arg('--max-ms',     'STALL_MAX_MS')     ?? 600_000);
+const CHECK_MS          = Number(arg('--check-ms') ?? 15_000);
+const SINKS             = arg('--sinks', 'ALERT_SINKS') ?? 'console';
+const WEBHOOK_TOKEN     = process.env.ALERT_WEBHOOK_TOKEN;
+
+// The manifest's chainId and deploy block only apply when we watch the manifest's trace log
+const USES_MANIFEST = !!deployment && deployment.contracts.ExecutionTraceLog?.toLowerCase() === TRACE_LOG?.toLowerCase();
+const FROM_BLOCK    = USES_MANIFEST ? deployment.deployBlock : 0;
+
+let logger;
+try {
+  logger = loggerFromEnv('trace-watcher');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+if (!TRACE_LOG) { logger.error('Missing --trace-log / TRACE_LOG_ADDRESS (and no deployment manifest entry)'); process.exit(1); }
+if (!(MAX_BLOCKS > 0) && !(MAX_MS > 0)) { logger.error('Set --max-blocks and/or --max-ms to a positive budget'); process.exit(1); }
+
+let alerter;
+try {
+  const sinks = parseSinkSpecs(SINKS).map(spec => createSink(spec, {
+    logger,
+    headers: WEBHOOK_TOKEN ? { Authorization: `Bearer ${WEBHOOK_TOKEN}` } : {},
+  }));
+  alerter = createAlerter(sinks, { warn: message => logger.warn(`  ✗ ${message}`) });
+} catch (err) {
+  logger.error(err.message);
+  process.exit(1);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const traceLog = new ethers.Contract(TRACE_LOG, TRACE_LOG_ABI, provider);
+
+  logger.info(`Connected to ${RPC_URL}`);
+  logger.info(`Trace log: ${TRACE_LOG}`);
+  if (deployment) logger.info(`Manifest : ${deployment.file} (${deployment.network})`);
+
+  // ── Refuse to run against a stale manifest (e.g. a restarted Hardhat node) ──
+  const { chainId } = await provider.getNetwork();
+  if (USES_MANIFEST && Number(chainId) !== deployment.chainId) {
+    logger.error(`Chain ${chainId} does not match manifest chainId ${deployment.chainId}`);
+    process.exit(1);
+  }
+
+  // ── Agent names for alerts (optional) ─────────────────────────────────────
+  const registry = IDENTITY_REGISTRY ? new ethers.Contract(IDENTITY_REGISTRY, IDENTITY_REGISTRY_ABI, provider) : null;
+  let agents = registry ? await agentCardsById(registry, { fromBlock: FROM_BLOCK }) : new Map();
+  async function refreshAgents(agentId) {
+    // Agents may have been registered since the last lookup
+    if (registry && !agents.has(agentId)) agents = await agentCardsById(registry, { fromBlock: FROM_BLOCK });
+  }
+
+  const watch = openTraceWatch(path.join(STATE_DIR, 'trace-watcher', 'open-traces.json'), {
+    chainId:  Number(chainId),
+    traceLog: TRACE_LOG,
+  });
+  logger.info(`State    : ${watch.resumed ? `${watch.all().length} open trace(s) resumed` : 'new'}  (${watch.file})`);
+  logger.info(`Budget   : ${MAX_BLOCKS > 0 ? `${MAX_BLOCKS} block(s)` : 'no block limit'}, ${MAX_MS > 0 ? `${MAX_MS} ms` : 'no time limit'}  (checked every ${CHECK_MS} ms)`);
+  logger.info(`Sinks    : ${alerter.sinks.map(s => s.name).join(', ')}`);
+
+  // ── Follow HopRecorded ────────────────────────────────────────────────────
+  async function onHop(log) {
+    const { traceId, oracle, agentId, action, timestamp } = log.args;
+    logger.debug(`${action} hop in block ${log.blockNumber}`, { traceId });
+    const { trace, closed } = watch.recordHop({
+      traceId, action, oracle,
+      agentId:   agentId.toString(),
+      block:     log.blockNumber,
+      timestamp: Number(timestamp),
+    });
+    if (closed && trace.alerted) await alerter.send(recoveredAlert(trace));
+  }
+
+  const cursor = openCursor(path.join(STATE_DIR, 'trace-watcher', 'HopRecorded.cursor.json'), {
+    chainId:    Number(chainId),
+    contract:   TRACE_LOG,
+    startBlock: FROM_BLOCK,
+  });
+  const { backfilled } = await followEvents(traceLog, 'HopRecorded', {
+    cursor,
+    onEvent: log => onHop(log).catch(err =>
+      logger.error(`  ✗ Error handling HopRecorded in tx ${log.transactionHash}: ${err.message}`)),
+  });
+  if (backfilled) logger.info(`Backfilled ${backfilled} HopRecorded event(s)`);
+
+  // ── Check budgets ─────────────────────────────────────────────────────────
+  async function check() {
+    try {
+      const headBlock = await provider.getBlockNumber();
+      for (const stalled of findStalled(watch.all(), { headBlock, maxBlocks: MAX_BLOCKS, maxMs: MAX_MS })) {
+        await refreshAgents(stalled.trace.lastHop.agentId);
+        await alerter.send(stalledAlert(stalled, { maxBlocks: MAX_BLOCKS, maxMs: MAX_MS, agents }));
+        watch.markAlerted(stalled.trace.traceId);
+      }
+    } catch (err) {
+      logger.error(`  ✗ Budget check failed: ${err.shortMessage ?? err.message}`);
+    }
+  }
+  await check();
+  setInterval(check, CHECK_MS);
+
+  logger.info(`Watching ${watch.all().length} open trace(s)…`);
+}
+
+main().catch(err => { logger.error(err.stack ?? String(err)); process.exit(1); });
@@ -1,8 +1,12 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
 import "./IIdentityRegistry.sol";
 import "./ExecutionTraceLog.sol";
+import "./IFlowAuthorization.sol";
 
 /**
  * @title CodeApproverOracle
@@ -10,8 +14,17 @@ import "./ExecutionTraceLog.sol";
  *
  * Distributed tracing: every request carries a `bytes32 traceId` correlation token.
  * The same traceId from the review phase carries through to the approval phase.
+ *
+ * Signed results: the fulfill*Signed variants carry the agent's own EIP-712
+ * signature over the decision, checked against the agent's registered
+ * agentWallet, so the submitting bridge cannot alter the verdict.  The owner
+ * can make signed results mandatory with setRequireSignedResults.
+ *
+ * Flow-scoped authorization: with a flow registry set, a decision can only be
+ * fulfilled for an agent whose wallet holds the "approve-pr" capability in
+ * the request's flow (traces without a flow policy are open).
  */
-contract CodeApproverOracle {
+contract CodeApproverOracle is EIP712, IFlowGated {
 
     enum RequestStatus { Pending, Approved, NeedsRevision, Rejected, Cancelled }
 
@@ -42,6 +55,20 @@ contract CodeApproverOracle {
     mapping(bytes32 => ApprovalResult)  public results;
     mapping(string => bytes) public approvalDecisions;
 
+    /// @notice When true, only the fulfill*Signed variants are accepted.
+    bool public requireSignedResults;
+
+    /// @notice Flow policies checked on fulfillment (address(0): none).
+    IFlowAuthorization public flowRegistry;
+
+    /// @notice Capability an agent needs in a flow to fulfill approvals: keccak256 of the agent-card capability.
+    bytes32 public constant FLOW_CAPABILITY = keccak256("approve-pr");
+
+    /// @dev payloadHash = keccak256(abi.encode(reasonJson, unresolvedJson)); unresolvedJson is
+    ///      empty for "approved" and "rejected"
+    bytes32 public constant APPROVAL_RESULT_TYPEHASH =
+        keccak256("ApprovalResult(bytes32 requestId,string prId,bytes32 payloadHash,string decision)");
+
     uint256 private _nonce;
 
     event ApprovalRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string reviewerAgent, uint256 timestamp);
@@ -49,6 +76,8 @@ contract CodeApproverOracle {
     event RevisionRequested(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp);
     event PRRejected(bytes32 indexed requestId, bytes32 indexed traceId, uint256 agentId, uint256 timestamp);
     event ApprovalCancelled(bytes32 indexed requestId);
+    event RequireSignedResultsSet(bool required);
+    event FlowRegistrySet(address flowRegistry);
 
     modifier onlyOwner() { require(msg.sender == owner, "not owner"); _; }
 
@@ -58,7 +87,39 @@ contract CodeApproverOracle {
         _;
     }
 
-    constructor(address identityRegistry_, address traceLog_) {
+    /// @dev For signed fulfillments: any sender, but the agent must be bound to this oracle.
+    modifier onlyBoundAgent(uint256 agentId) {
+        require(identityRegistry.getOracleAddress(agentId) == address(this), "not bound oracle");
+        _;
+    }
+
+    /// @dev Unsigned fulfillments come from the agentWallet itself, and only while signatures are optional.
+    modifier onlyUnsigned() {
+        require(!requireSignedResults, "signed results required");
+        _;
+    }
+
+    /// @dev With a flow registry set, the agent's wallet must hold "approve-pr" in the request's flow.
+    modifier onlyFlowAuthorized(uint256 agentId, bytes32 requestId) {
+        if (address(flowRegistry) != address(0)) {
+            require(
+                flowRegistry.isAuthorized(requests[requestId].traceId, identityRegistry.getAgentWallet(agentId), FLOW_CAPABILITY),
+                "agent not authorized for flow"
+            );
+        }
+        _;
+    }
+
+    /// @dev A trace with a flow policy only takes requests from the flow's initiator.
+    modifier onlyFlowInitiator(bytes32 traceId) {
+        if (address(flowRegistry) != address(0) && traceId != bytes32(0)) {
+            address initiator = flowRegistry.flowInitiator(traceId);
+            require(initiator == address(0) || initiator == msg.sender, "not flow initiator");
+        }
+        _;
+    }
+
+    constructor(address identityRegistry_, address traceLog_) EIP712("CodeApproverOracle", "1") {
         require(identityRegistry_ != address(0), "zero registry");
         owner = msg.sender;
         identityRegistry = IIdentityRegistry(identityRegistry_);
@@ -68,7 +129,7 @@ contract CodeApproverOracle {
     function requestApproval(
         string calldata prId, bytes32 traceId,
         string calldata reviewerAgent, string calldata message
-    ) external returns (bytes32 requestId) {
+    ) external onlyFlowInitiator(traceId) returns (bytes32 requestId) {
         require(bytes(prId).length > 0, "prId required");
         if (traceId == bytes32(0)) {
             traceId = keccak256(abi.encodePacked(msg.sender, prId, block.timestamp, _nonce));
@@ -80,34 +141,58 @@ contract CodeApproverOracle {
     }
 
     function fulfillApproval(uint256 agentId, bytes32 requestId, string calldata prId, bytes calldata reasonJson)
-        external onlyRegisteredOracle(agentId)
+        external onlyRegisteredOracle(agentId) onlyUnsigned onlyFlowAuthorized(agentId, requestId)
     {
-        bytes32 traceId = _validateAndSetStatus(requestId, prId, RequestStatus.Approved);
-        approvalDecisions[prId] = bytes('"approved"');
-        results[requestId] = ApprovalResult(traceId, bytes('"approved"'), reasonJson, bytes(""), agentId, block.timestamp);
-        emit PRApproved(requestId, traceId, agentId, block.timestamp);
-        _recordHop(traceId, agentId, "approvalFulfilled");
+        _approve(agentId, requestId, prId, reasonJson);
     }
 
     function fulfillNeedsRevision(
         uint256 agentId, bytes32 requestId, string calldata prId,
         bytes calldata reasonJson, bytes calldata unresolvedJson
-    ) external onlyRegisteredOracle(agentId) {
-        bytes32 traceId = _validateAndSetStatus(requestId, prId, RequestStatus.NeedsRevision);
-        approvalDecisions[prId] = bytes('"needs_revision"');
-        results[requestId] = ApprovalResult(traceId, bytes('"needs_revision"'), reasonJson, unresolvedJson, agentId, block.timestamp);
-        emit RevisionRequested(requestId, traceId, agentId, block.timestamp);
-        _recordHop(traceId, agentId, "revisionRequested");
+    ) external onlyRegisteredOracle(agentId) onlyUnsigned onlyFlowAuthorized(agentId, requestId) {
+        _requestRevision(agentId, requestId, prId, reasonJson, unresolvedJson);
     }
 
     function fulfillRejection(uint256 agentId, bytes32 requestId, string calldata prId, bytes calldata reasonJson)
-        external onlyRegisteredOracle(agentId)
+        external onlyRegisteredOracle(agentId) onlyUnsigned onlyFlowAuthorized(agentId, requestId)
     {
-        bytes32 traceId = _validateAndSetStatus(requestId, prId, RequestStatus.Rejected);
-        approvalDecisions[prId] = bytes('"rejected"');
-        results[requestId] = ApprovalResult(traceId, bytes('"rejected"'), reasonJson, bytes(""), agentId, block.timestamp);
-        emit PRRejected(requestId, traceId, agentId, block.timestamp);
-        _recordHop(traceId, agentId, "rejectionFulfilled");
+        _reject(agentId, requestId, prId, reasonJson);
+    }
+
+    // ── Signed variants: `signature` is the agentWallet's EIP-712 signature of
+    //    ApprovalResult(requestId, prId, payloadHash, decision) (EOA or ERC-1271) ──
+
+    function fulfillApprovalSigned(
+        uint256 agentId, bytes32 requestId, string calldata prId, bytes calldata reasonJson, bytes calldata signature
+    ) external onlyBoundAgent(agentId) onlyFlowAuthorized(agentId, requestId) {
+        _checkAgentSignature(agentId, requestId, prId, "approved", reasonJson, bytes(""), signature);
+        _approve(agentId, requestId, prId, reasonJson);
+    }
+
+    function fulfillNeedsRevisionSigned(
+        uint256 agentId, bytes32 requestId, string calldata prId,
+        bytes calldata reasonJson, bytes calldata unresolvedJson, bytes calldata signature
+    ) external onlyBoundAgent(agentId) onlyFlowAuthorized(agentId, requestId) {
+        _checkAgentSignature(agentId, requestId, prId, "needs_revision", reasonJson, unresolvedJson, signature);
+        _requestRevision(agentId, requestId, prId, reasonJson, unresolvedJson);
+    }
+
+    function fulfillRejectionSigned(
+        uint256 agentId, bytes32 requestId, string calldata prId, bytes calldata reasonJson, bytes calldata signature
+    ) external onlyBoundAgent(agentId) onlyFlowAuthorized(agentId, requestId) {
+        _checkAgentSignature(agentId, requestId, prId, "rejected", reasonJson, bytes(""), signature);
+        _reject(agentId, requestId, prId, reasonJson);
+    }
+
+    function setRequireSignedResults(bool required) external onlyOwner {
+        requireSignedResults = required;
+        emit RequireSignedResultsSet(required);
+    }
+
+    /// @notice Enforce the flow policies of `flowRegistry_` on every fulfillment (address(0) to stop).
+    function setFlowRegistry(address flowRegistry_) external onlyOwner {
+        flowRegistry = IFlowAuthorization(flowRegistry_);
+        emit FlowRegistrySet(flowRegistry_);
     }
 
     function getDecision(string calldata prId) external view returns (bytes memory) { return approvalDecisions[prId]; }
@@ -137,6 +222,47 @@ contract CodeApproverOracle {
         emit ApprovalCancelled(requestId);
     }
 
+    function _approve(uint256 agentId, bytes32 requestId, string calldata prId, bytes calldata reasonJson) internal {
+        bytes32 traceId = _validateAndSetStatus(requestId, prId, RequestStatus.Approved);
+        approvalDecisions[prId] = bytes('"approved"');
+        results[requestId] = ApprovalResult(traceId, bytes('"approved"'), reasonJson, bytes(""), agentId, block.timestamp);
+        emit PRApproved(requestId, traceId, agentId, block.timestamp);
+        _recordHop(traceId, agentId, "approvalFulfilled");
+    }
+
+    function _requestRevision(
+        uint256 agentId, bytes32 requestId, string calldata prId,
+        bytes calldata reasonJson, bytes calldata unresolvedJson
+    ) internal {
+        bytes32 traceId = _validateAndSetStatus(requestId, prId, RequestStatus.NeedsRevision);
+        approvalDecisions[prId] = bytes('"needs_revision"');
+        results[requestId] = ApprovalResult(traceId, bytes('"needs_revision"'), reasonJson, unresolvedJson, agentId, block.timestamp);
+        emit RevisionRequested(requestId, traceId, agentId, block.timestamp);
+        _recordHop(traceId, agentId, "revisionRequested");
+    }
+
+    function _reject(uint256 agentId, bytes32 requestId, string calldata prId, bytes calldata reasonJson) internal {
+        bytes32 traceId = _validateAndSetStatus(requestId, prId, RequestStatus.Rejected);
+        approvalDecisions[prId] = bytes('"rejected"');
+        results[requestId] = ApprovalResult(traceId, bytes('"rejected"'), reasonJson, bytes(""), agentId, block.timestamp);
+        emit PRRejected(requestId, traceId, agentId, block.timestamp);
+        _recordHop(traceId, agentId, "rejectionFulfilled");
+    }
+
+    function _checkAgentSignature(
+        uint256 agentId, bytes32 requestId, string calldata prId, string memory decision,
+        bytes calldata reasonJson, bytes memory unresolvedJson, bytes calldata signature
+    ) internal view {
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            APPROVAL_RESULT_TYPEHASH, requestId, keccak256(bytes(prId)),
+            keccak256(abi.encode(reasonJson, unresolvedJson)), keccak256(bytes(decision))
+        )));
+        require(
+            _isAgentSignature(identityRegistry.getAgentWallet(agentId), digest, signature),
+            "bad agent signature"
+        );
+    }
+
     function _validateAndSetStatus(bytes32 requestId, string calldata prId, RequestStatus newStatus)
         internal returns (bytes32 traceId)
     {
@@ -148,6 +274,15 @@ contract CodeApproverOracle {
         req.status = newStatus;
     }
 
+    /// @dev ECDSA for EOAs, ERC-1271 for smart-contract wallets — as the identity registry checks agentWallet proofs.
+    function _isAgentSignature(address wallet, bytes32 digest, bytes calldata signature) internal view returns (bool) {
+        if (wallet == address(0)) return false;
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, signature);
+        if (err == ECDSA.RecoverError.NoError && recovered == wallet) return true;
+        (bool ok, bytes memory res) = wallet.staticcall(abi.encodeCall(IERC1271.isValidSignature, (digest, signature)));
+        return ok && res.length >= 32 && abi.decode(res, (bytes4)) == IERC1271.isValidSignature.selector;
+    }
+
     function _recordHop(bytes32 traceId, uint256 agentId, string memory action) internal {
         if (address(traceLog) != address(0)) traceLog.recordHop(traceId, agentId, action);
     }
@@ -1,8 +1,12 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
 import "./IIdentityRegistry.sol";
 import "./ExecutionTraceLog.sol";
+import "./IFlowAuthorization.sol";
 
 /**
  * @title CodeReviewerOracle
@@ -11,9 +15,18 @@ import "./ExecutionTraceLog.sol";
  * Distributed tracing: every request carries a `bytes32 traceId` correlation token.
  * If an ExecutionTraceLog is configured, hops are recorded automatically.
  *
+ * Signed results: fulfillReviewSigned carries the agent's own EIP-712 signature
+ * over the result, checked against the agent's registered agentWallet, so the
+ * submitting bridge cannot alter the verdict.  The owner can make signed
+ * results mandatory with setRequireSignedResults.
+ *
+ * Flow-scoped authorization: with a flow registry set, a review can only be
+ * fulfilled for an agent whose wallet holds the "code-review" capability in
+ * the request's flow (traces without a flow policy are open).
+ *
  * fulfillReview uses viaIR to handle the deep stack.
  */
-contract CodeReviewerOracle {
+contract CodeReviewerOracle is EIP712, IFlowGated {
 
     enum RequestStatus { Pending, Fulfilled, Cancelled }
 
@@ -44,12 +57,27 @@ contract CodeReviewerOracle {
     mapping(string => bytes) public reviewComments;
     mapping(string => bytes) public reviewDiff;
 
+    /// @notice When true, only fulfillReviewSigned is accepted.
+    bool public requireSignedResults;
+
+    /// @notice Flow policies checked on fulfillment (address(0): none).
+    IFlowAuthorization public flowRegistry;
+
+    /// @notice Capability an agent needs in a flow to fulfill reviews: keccak256 of the agent-card capability.
+    bytes32 public constant FLOW_CAPABILITY = keccak256("code-review");
+
+    /// @dev payloadHash = keccak256(abi.encode(summaryJson, commentsJson))
+    bytes32 public constant REVIEW_RESULT_TYPEHASH =
+        keccak256("ReviewResult(bytes32 requestId,string prId,bytes32 payloadHash,bool approved)");
+
     uint256 private _nonce;
 
     event ReviewRequested(bytes32 indexed requestId, address indexed requester, string prId, bytes32 indexed traceId, string focus, uint256 timestamp);
     event ReviewFulfilled(bytes32 indexed requestId, bytes32 indexed traceId, bool approved, uint256 agentId, uint256 timestamp);
     event ReviewCancelled(bytes32 indexed requestId);
     event DiffStored(string prId, address storedBy);
+    event RequireSignedResultsSet(bool required);
+    event FlowRegistrySet(address flowRegistry);
 
     modifier onlyOwner() { require(msg.sender == owner, "not owner"); _; }
 
@@ -59,7 +87,39 @@ contract CodeReviewerOracle {
         _;
     }
 
-    constructor(address identityRegistry_, address traceLog_) {
+    /// @dev For signed fulfillments: any sender, but the agent must be bound to this oracle.
+    modifier onlyBoundAgent(uint256 agentId) {
+        require(identityRegistry.getOracleAddress(agentId) == address(this), "not bound oracle");
+        _;
+    }
+
+    /// @dev Unsigned fulfillments come from the agentWallet itself, and only while signatures are optional.
+    modifier onlyUnsigned() {
+        require(!requireSignedResults, "signed results required");
+        _;
+    }
+
+    /// @dev With a flow registry set, the agent's wallet must hold "code-review" in the request's flow.
+    modifier onlyFlowAuthorized(uint256 agentId, bytes32 requestId) {
+        if (address(flowRegistry) != address(0)) {
+            require(
+                flowRegistry.isAuthorized(requests[requestId].traceId, identityRegistry.getAgentWallet(agentId), FLOW_CAPABILITY),
+                "agent not authorized for flow"
+            );
+        }
+        _;
+    }
+
+    /// @dev A trace with a flow policy only takes requests from the flow's initiator.
+    modifier onlyFlowInitiator(bytes32 traceId) {
+        if (address(flowRegistry) != address(0) && traceId != bytes32(0)) {
+            address initiator = flowRegistry.flowInitiator(traceId);
+            require(initiator == address(0) || initiator == msg.sender, "not flow initiator");
+        }
+        _;
+    }
+
+    constructor(address identityRegistry_, address traceLog_) EIP712("CodeReviewerOracle", "1") {
         require(identityRegistry_ != address(0), "zero registry");
         owner = msg.sender;
         identityRegistry = IIdentityRegistry(identityRegistry_);
@@ -67,7 +127,7 @@ contract CodeReviewerOracle {
     }
 
     function requestReview(string calldata prId, bytes32 traceId, string calldata focus)
-        external returns (bytes32 requestId)
+        external onlyFlowInitiator(traceId) returns (bytes32 requestId)
     {
         require(bytes(prId).length > 0, "prId required");
         if (traceId == bytes32(0)) {
@@ -82,7 +142,44 @@ contract CodeReviewerOracle {
     function fulfillReview(
         uint256 agentId, bytes32 requestId, string calldata prId,
         bytes calldata summaryJson, bytes calldata commentsJson, bool approved
-    ) external onlyRegisteredOracle(agentId) {
+    ) external onlyRegisteredOracle(agentId) onlyUnsigned onlyFlowAuthorized(agentId, requestId) {
+        _fulfillReview(agentId, requestId, prId, summaryJson, commentsJson, approved);
+    }
+
+    /**
+     * @notice Fulfill with a result signed by the agent's agentWallet (EOA or ERC-1271).
+     * @param signature EIP-712 signature of ReviewResult(requestId, prId, payloadHash, approved)
+     */
+    function fulfillReviewSigned(
+        uint256 agentId, bytes32 requestId, string calldata prId,
+        bytes calldata summaryJson, bytes calldata commentsJson, bool approved, bytes calldata signature
+    ) external onlyBoundAgent(agentId) onlyFlowAuthorized(agentId, requestId) {
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            REVIEW_RESULT_TYPEHASH, requestId, keccak256(bytes(prId)),
+            keccak256(abi.encode(summaryJson, commentsJson)), approved
+        )));
+        require(
+            _isAgentSignature(identityRegistry.getAgentWallet(agentId), digest, signature),
+            "bad agent signature"
+        );
+        _fulfillReview(agentId, requestId, prId, summaryJson, commentsJson, approved);
+    }
+
+    function setRequireSignedResults(bool required) external onlyOwner {
+        requireSignedResults = required;
+        emit RequireSignedResultsSet(required);
+    }
+
+    /// @notice Enforce the flow policies of `flowRegistry_` on every fulfillment (address(0) to stop).
+    function setFlowRegistry(address flowRegistry_) external onlyOwner {
+        flowRegistry = IFlowAuthorization(flowRegistry_);
+        emit FlowRegistrySet(flowRegistry_);
+    }
+
+    function _fulfillReview(
+        uint256 agentId, bytes32 requestId, string calldata prId,
+        bytes calldata summaryJson, bytes calldata commentsJson, bool approved
+    ) internal {
         ReviewRequest storage req = requests[requestId];
         require(req.createdAt != 0, "unknown requestId");
         require(req.status == RequestStatus.Pending, "not pending");
@@ -133,6 +230,15 @@ contract CodeReviewerOracle {
         emit ReviewCancelled(requestId);
     }
 
+    /// @dev ECDSA for EOAs, ERC-1271 for smart-contract wallets — as the identity registry checks agentWallet proofs.
+    function _isAgentSignature(address wallet, bytes32 digest, bytes calldata signature) internal view returns (bool) {
+        if (wallet == address(0)) return false;
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, signature);
+        if (err == ECDSA.RecoverError.NoError && recovered == wallet) return true;
+        (bool ok, bytes memory res) = wallet.staticcall(abi.encodeCall(IERC1271.isValidSignature, (digest, signature)));
+        return ok && res.length >= 32 && abi.decode(res, (bytes4)) == IERC1271.isValidSignature.selector;
+    }
+
     function _recordHop(bytes32 traceId, uint256 agentId, string memory action) internal {
         if (address(traceLog) != address(0)) traceLog.recordHop(traceId, agentId, action);
     }
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./IFlowAuthorization.sol";
+
 /**
  * @title ExecutionTraceLog
  * @notice Shared on-chain audit trail for distributed agent execution chains.
@@ -11,6 +13,13 @@ pragma solidity ^0.8.20;
  *
  * This is the on-chain equivalent of OpenTelemetry's trace concept, applied
  * to an on-chain/off-chain oracle bridge system.
+ *
+ * Only oracle contracts on the owner-managed allow-list can record hops, so
+ * a trace cannot be padded with hops from arbitrary addresses.
+ *
+ * Flow-scoped authorization: with a flow registry set, a trace that has a
+ * flow policy only accepts hops from oracle contracts that enforce the same
+ * registry, so every agent action in it was checked against the policy.
  */
 contract ExecutionTraceLog {
 
@@ -32,6 +41,15 @@ contract ExecutionTraceLog {
     /// traceId → ordered list of hops
     mapping(bytes32 => Hop[]) private _traces;
 
+    address public owner;
+
+    /// Oracle contracts allowed to call recordHop
+    mapping(address => bool) public isRegisteredOracle;
+    address[] private _registeredOracles;
+
+    /// Flow policies to enforce (address(0): none)
+    IFlowAuthorization public flowRegistry;
+
     // -------------------------------------------------------------------------
     // Events
     // -------------------------------------------------------------------------
@@ -44,13 +62,79 @@ contract ExecutionTraceLog {
         uint256 timestamp
     );
 
+    event OracleRegistered(address indexed oracle);
+    event OracleRemoved(address indexed oracle);
+    event FlowRegistrySet(address flowRegistry);
+
+    // -------------------------------------------------------------------------
+    // Access control
+    // -------------------------------------------------------------------------
+
+    modifier onlyOwner() { require(msg.sender == owner, "not owner"); _; }
+
+    modifier onlyRegisteredOracle() {
+        require(isRegisteredOracle[msg.sender], "oracle not registered");
+        _;
+    }
+
+    /**
+     * @dev A trace with a flow policy only takes hops from oracles that check
+     *      the same flow registry on their fulfillments.
+     */
+    modifier onlyFlowEnforcingOracle(bytes32 traceId) {
+        if (address(flowRegistry) != address(0) && flowRegistry.flowExists(traceId)) {
+            require(_enforcesFlows(msg.sender), "oracle does not enforce flow");
+        }
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    /**
+     * @notice Allow an oracle contract to record hops.
+     */
+    function registerOracle(address oracle) external onlyOwner {
+        require(oracle != address(0), "zero oracle");
+        require(!isRegisteredOracle[oracle], "already registered");
+        isRegisteredOracle[oracle] = true;
+        _registeredOracles.push(oracle);
+        emit OracleRegistered(oracle);
+    }
+
+    /**
+     * @notice Stop an oracle contract from recording hops. Hops it already
+     *         recorded stay in their traces.
+     */
+    function removeOracle(address oracle) external onlyOwner {
+        require(isRegisteredOracle[oracle], "not registered");
+        isRegisteredOracle[oracle] = false;
+        for (uint256 i = 0; i < _registeredOracles.length; i++) {
+            if (_registeredOracles[i] == oracle) {
+                _registeredOracles[i] = _registeredOracles[_registeredOracles.length - 1];
+                _registeredOracles.pop();
+                break;
+            }
+        }
+        emit OracleRemoved(oracle);
+    }
+
+    /**
+     * @notice Set the flow registry whose policies gate recordHop (address(0) to disable).
+     */
+    function setFlowRegistry(address flowRegistry_) external onlyOwner {
+        flowRegistry = IFlowAuthorization(flowRegistry_);
+        emit FlowRegistrySet(flowRegistry_);
+    }
+
     // -------------------------------------------------------------------------
     // Core
     // -------------------------------------------------------------------------
 
     /**
      * @notice Record a hop in an execution trace.
-     * @dev    `msg.sender` is stored as the oracle — only oracle contracts should call this.
+     * @dev    `msg.sender` is stored as the oracle and must be a registered oracle contract.
      * @param traceId The execution chain correlation token.
      * @param agentId The ERC-8004 agentId of the agent performing this action.
      * @param action  Human-readable action label (e.g. "reviewRequested").
@@ -59,7 +143,7 @@ contract ExecutionTraceLog {
         bytes32 traceId,
         uint256 agentId,
         string calldata action
-    ) external {
+    ) external onlyRegisteredOracle onlyFlowEnforcingOracle(traceId) {
         _traces[traceId].push(Hop({
             oracle:    msg.sender,
             agentId:   agentId,
@@ -86,5 +170,25 @@ contract ExecutionTraceLog {
     function getHopCount(bytes32 traceId) external view returns (uint256) {
         return _traces[traceId].length;
     }
+
+    /**
+     * @notice Returns the oracle contracts currently allowed to record hops.
+     */
+    function getRegisteredOracles() external view returns (address[] memory) {
+        return _registeredOracles;
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal
+    // -------------------------------------------------------------------------
+
+    function _enforcesFlows(address oracle) internal view returns (bool) {
+        if (oracle.code.length == 0) return false;
+        try IFlowGated(oracle).flowRegistry() returns (IFlowAuthorization registry) {
+            return registry == flowRegistry;
+        } catch {
+            return false;
+        }
+    }
 }
 
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IFlowAuthorization.sol";
+
+/**
+ * @title FlowAuthorizationRegistry
+ * @notice Flow-scoped authorization for agent workflows
+ *         (see design/flow-scoped-authorization-summary.md).
+ *
+ * Before the first request of an execution chain, an initiator registers a
+ * flow policy for its traceId: the agent addresses allowed to take part, and
+ * the capabilities each may exercise.  The traceId is derived from the
+ * initiator's address and a salt (flowTraceId), so nobody else can register a
+ * policy for a trace the initiator is about to start, and the oracles only
+ * accept requests on a governed trace from its initiator.  Capabilities are the strings agent
+ * cards declare (e.g. "code-review", "approve-pr"), stored as keccak256
+ * hashes.  The oracle contracts check every fulfillment against the policy,
+ * and ExecutionTraceLog only accepts hops for the trace from oracles that do.
+ *
+ * A policy is registered once per traceId and never changes afterwards — it
+ * stays on-chain as the record of who was allowed to do what.  Registration
+ * does not depend on the trace's hops, so nobody can block it by writing to
+ * the trace first; the initiator registers the policy before its first
+ * request.  Traces without a policy are open to every registered agent.
+ */
+contract FlowAuthorizationRegistry is IFlowAuthorization {
+
+    // -------------------------------------------------------------------------
+    // Types
+    // -------------------------------------------------------------------------
+
+    struct Flow {
+        address   initiator;   // who registered the policy
+        uint256   createdAt;
+        address[] agents;      // participants, in registration order
+    }
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// traceId → policy
+    mapping(bytes32 => Flow) private _flows;
+
+    /// traceId → agent → capabilities granted
+    mapping(bytes32 => mapping(address => bytes32[])) private _capabilities;
+
+    /// traceId → agent → capability → granted
+    mapping(bytes32 => mapping(address => mapping(bytes32 => bool))) private _granted;
+
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    event FlowCreated(bytes32 indexed traceId, address indexed initiator, address[] agents, uint256 timestamp);
+    event CapabilityGranted(bytes32 indexed traceId, address indexed agent, bytes32 indexed capability);
+
+    // -------------------------------------------------------------------------
+    // Core
+    // -------------------------------------------------------------------------
+
+    /**
+     * @notice Register the flow policy for a trace that has not started yet.
+     * @param salt         Initiator-chosen value the traceId is derived from (see flowTraceId).
+     * @param agents       Agent addresses (agentWallets) allowed to act in the flow.
+     * @param capabilities For each agent, the capability hashes it may exercise.
+     * @return traceId     The execution chain correlation token the requests must carry.
+     */
+    function createFlow(
+        bytes32 salt,
+        address[] calldata agents,
+        bytes32[][] calldata capabilities
+    ) external returns (bytes32 traceId) {
+        traceId = flowTraceId(msg.sender, salt);
+        require(_flows[traceId].createdAt == 0, "flow exists");
+        require(agents.length > 0, "no agents");
+        require(agents.length == capabilities.length, "length mismatch");
+
+        Flow storage flow = _flows[traceId];
+        flow.initiator = msg.sender;
+        flow.createdAt = block.timestamp;
+
+        for (uint256 i = 0; i < agents.length; i++) {
+            address agent = agents[i];
+            require(agent != address(0), "zero agent");
+            require(capabilities[i].length > 0, "no capabilities");
+            // One entry per address, so agents sharing a wallet are listed together
+            if (_capabilities[traceId][agent].length == 0) flow.agents.push(agent);
+            for (uint256 j = 0; j < capabilities[i].length; j++) {
+                bytes32 capability = capabilities[i][j];
+                if (_granted[traceId][agent][capability]) continue;
+                _granted[traceId][agent][capability] = true;
+                _capabilities[traceId][agent].push(capability);
+                emit CapabilityGranted(traceId, agent, capability);
+            }
+        }
+
+        emit FlowCreated(traceId, msg.sender, flow.agents, block.timestamp);
+    }
+
+    // -------------------------------------------------------------------------
+    // Queries
+    // -------------------------------------------------------------------------
+
+    /// @inheritdoc IFlowAuthorization
+    function flowExists(bytes32 traceId) public view returns (bool) {
+        return _flows[traceId].createdAt != 0;
+    }
+
+    /// @inheritdoc IFlowAuthorization
+    function flowInitiator(bytes32 traceId) external view returns (address) {
+        return _flows[traceId].initiator;
+    }
+
+    /// @inheritdoc IFlowAuthorization
+    function isAuthorized(bytes32 traceId, address agent, bytes32 capability) external view returns (bool) {
+        return !flowExists(traceId) || _granted[traceId][agent][capability];
+    }
+
+    /**
+     * @notice Returns the policy registered for a trace (zero values when there is none).
+     */
+    function getFlow(bytes32 traceId) external view
+        returns (address initiator, uint256 createdAt, address[] memory agents)
+    {
+        Flow storage flow = _flows[traceId];
+        return (flow.initiator, flow.createdAt, flow.agents);
+    }
+
+    /**
+     * @notice Returns the capability hashes granted to `agent` in a trace.
+     */
+    function getCapabilities(bytes32 traceId, address agent) external view returns (bytes32[] memory) {
+        return _capabilities[traceId][agent];
+    }
+
+    /**
+     * @notice The traceId of the flow `initiator` creates with `salt`.
+     */
+    function flowTraceId(address initiator, bytes32 salt) public pure returns (bytes32) {
+        return keccak256(abi.encode(initiator, salt));
+    }
+
+    /**
+     * @notice The on-chain identifier of a capability string, as stored in flow policies.
+     */
+    function capabilityId(string calldata capability) external pure returns (bytes32) {
+        return keccak256(bytes(capability));
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IFlowAuthorization
+ * @notice Minimal interface for FlowAuthorizationRegistry consumed by the oracle
+ *         contracts and ExecutionTraceLog.
+ *
+ * A flow is the policy registered for one traceId: which agent addresses may act
+ * in it, and with which capabilities.  Traces without a flow are open.
+ */
+interface IFlowAuthorization {
+    /**
+     * @notice Whether a flow policy was registered for `traceId`.
+     */
+    function flowExists(bytes32 traceId) external view returns (bool);
+
+    /**
+     * @notice Who registered the flow for `traceId` (address(0) when there is none).
+     *         Only the initiator may send requests that carry a governed traceId.
+     */
+    function flowInitiator(bytes32 traceId) external view returns (address);
+
+    /**
+     * @notice Whether `agent` may exercise `capability` in the trace.
+     * @param traceId    The execution chain correlation token.
+     * @param agent      The agent's address (its agentWallet).
+     * @param capability keccak256 of the capability string (e.g. keccak256("code-review")).
+     * @return True when the flow lists the capability for the agent, or when the trace has no flow.
+     */
+    function isAuthorized(bytes32 traceId, address agent, bytes32 capability) external view returns (bool);
+}
+
+/**
+ * @title IFlowGated
+ * @notice Implemented by oracle contracts that enforce flow policies on their fulfillments.
+ */
+interface IFlowGated {
+    /**
+     * @notice The flow registry the contract checks, or address(0) if it checks none.
+     */
+    function flowRegistry() external view returns (IFlowAuthorization);
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+
+/**
+ * @title ERC1271WalletMock
+ * @notice Test-only smart-contract wallet: a signature is valid when its
+ *         signer is the wallet's `signer` EOA.  Used as an agentWallet to
+ *         exercise the ERC-1271 paths of the identity registry and oracles.
+ */
+contract ERC1271WalletMock is IERC1271 {
+    address public immutable signer;
+
+    constructor(address signer_) {
+        signer = signer_;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(hash, signature);
+        return err == ECDSA.RecoverError.NoError && recovered == signer
+            ? IERC1271.isValidSignature.selector
+            : bytes4(0xffffffff);
+    }
+}
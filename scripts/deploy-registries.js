@@ -1,7 +1,11 @@
 const hre = require("hardhat");
+const { writeNetworkDeployment } = require("./deployment-manifest");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    // First block that can contain one of our deployments — consumers start event scans here
+    const deployBlock = (await hre.ethers.provider.getBlockNumber()) + 1;
     console.log("Deploying from:", deployer.address);
 
     // 1. Identity Registry (upgradeable proxy)
@@ -15,7 +19,8 @@ async function main() {
     const Reputation = await hre.ethers.getContractFactory("ReputationRegistryUpgradeable");
     const reputation = await hre.upgrades.deployProxy(Reputation, [identityAddr], { initializer: "initialize" });
     await reputation.waitForDeployment();
-    console.log("ReputationRegistry →", await reputation.getAddress());
+    const reputationAddr = await reputation.getAddress();
+    console.log("ReputationRegistry →", reputationAddr);
 
     // 3. Execution Trace Log (plain deploy)
     const TraceLog = await hre.ethers.getContractFactory("ExecutionTraceLog");
@@ -38,15 +43,61 @@ async function main() {
     const approverOracleAddr = await approverOracle.getAddress();
     console.log("CodeApproverOracle →", approverOracleAddr);
 
+    // Only these two oracles may record hops in the trace log
+    for (const oracleAddr of [reviewerOracleAddr, approverOracleAddr]) {
+        await (await traceLog.registerOracle(oracleAddr)).wait();
+    }
+    console.log("ExecutionTraceLog oracles → reviewer, approver");
+
+    // Oracles accept only agent-signed results (fulfill*Signed) when REQUIRE_SIGNED_RESULTS=true
+    if (process.env.REQUIRE_SIGNED_RESULTS === "true") {
+        await (await reviewerOracle.setRequireSignedResults(true)).wait();
+        await (await approverOracle.setRequireSignedResults(true)).wait();
+        console.log("Oracles require agent-signed results");
+    }
+
+    // 6. Flow Authorization Registry — enforced by both oracles and the trace log
+    const FlowRegistry = await hre.ethers.getContractFactory("FlowAuthorizationRegistry");
+    const flowRegistry = await FlowRegistry.deploy();
+    await flowRegistry.waitForDeployment();
+    const flowRegistryAddr = await flowRegistry.getAddress();
+    console.log("FlowAuthorizationRegistry →", flowRegistryAddr);
+    for (const contract of [reviewerOracle, approverOracle, traceLog]) {
+        await (await contract.setFlowRegistry(flowRegistryAddr)).wait();
+    }
+
+    // 7. Deployment manifest — read by register-mocks.js, launch-bridges.js and the bridges
+    const manifestFile = writeNetworkDeployment(hre.network.name, {
+        chainId: Number(chainId),
+        rpcUrl: hre.network.config.url ?? null,
+        deployer: deployer.address,
+        deployBlock,
+        deployedAt: new Date().toISOString(),
+        contracts: {
+            IdentityRegistry:   identityAddr,
+            ReputationRegistry: reputationAddr,
+            ExecutionTraceLog:  traceLogAddr,
+            CodeReviewerOracle: reviewerOracleAddr,
+            CodeApproverOracle: approverOracleAddr,
+            FlowAuthorizationRegistry: flowRegistryAddr,
+        },
+        implementations: {
+            IdentityRegistry:   await hre.upgrades.erc1967.getImplementationAddress(identityAddr),
+            ReputationRegistry: await hre.upgrades.erc1967.getImplementationAddress(reputationAddr),
+        },
+    });
+
     console.log("\n--- Summary ---");
     console.log("IdentityRegistry:    ", identityAddr);
-    console.log("ReputationRegistry:  ", await reputation.getAddress());
+    console.log("ReputationRegistry:  ", reputationAddr);
     console.log("ExecutionTraceLog:   ", traceLogAddr);
     console.log("CodeReviewerOracle:  ", reviewerOracleAddr);
     console.log("CodeApproverOracle:  ", approverOracleAddr);
+    console.log("FlowAuthorizationRegistry:", flowRegistryAddr);
+    console.log(`\nManifest (${hre.network.name}) → ${manifestFile}`);
 }
 
 main().catch((error) => {
     console.error(error);
     process.exitCode = 1;
-});
\ No newline at end of file
+});
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployment manifest shared by the deploy script, register-mocks.js, the
+ * oracle bridges and launch-bridges.js.
+ *
+ * Layout (one entry per Hardhat network name):
+ *   {
+ *     "version": 1,
+ *     "networks": {
+ *       "localhost": {
+ *         "chainId": 31337, "rpcUrl": "http://127.0.0.1:8545",
+ *         "deployer": "0x…", "deployBlock": 1, "deployedAt": "2026-…Z",
+ *         "contracts":       { "IdentityRegistry": "0x…", … },
+ *         "implementations": { "IdentityRegistry": "0x…", "ReputationRegistry": "0x…" }
+ *       }
+ *     }
+ *   }
+ *
+ * The manifest lives at the repo root unless DEPLOYMENT_MANIFEST points elsewhere.
+ */
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, "..", "deployed-addresses.json");
+
+function manifestPath() {
+    return process.env.DEPLOYMENT_MANIFEST || DEFAULT_MANIFEST_PATH;
+}
+
+function readManifest(file = manifestPath()) {
+    if (!fs.existsSync(file)) return { version: MANIFEST_VERSION, networks: {} };
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(`${file}: unsupported manifest version ${manifest.version} (expected ${MANIFEST_VERSION})`);
+    }
+    return manifest;
+}
+
+/** Returns the deployment recorded for `network`, or null if there is none. */
+function getNetworkDeployment(network, file = manifestPath()) {
+    return readManifest(file).networks[network] ?? null;
+}
+
+/** Replaces the deployment recorded for `network`, leaving other networks untouched. */
+function writeNetworkDeployment(network, deployment, file = manifestPath()) {
+    const manifest = readManifest(file);
+    manifest.networks[network] = deployment;
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+    return file;
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    DEFAULT_MANIFEST_PATH,
+    manifestPath,
+    readManifest,
+    getNetworkDeployment,
+    writeNetworkDeployment,
+};
@@ -1,21 +1,60 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getNetworkDeployment, manifestPath } = require("./deployment-manifest");
 
-// Contract addresses — set via env vars or edit constants
-const IDENTITY_REGISTRY_ADDRESS = process.env.IDENTITY_REGISTRY_ADDRESS || "0x...";
-const REVIEWER_CONTRACT_ADDRESS = process.env.REVIEWER_CONTRACT_ADDRESS || "";
-const APPROVER_CONTRACT_ADDRESS = process.env.APPROVER_CONTRACT_ADDRESS || "";
+// Contract addresses — read from the deployment manifest written by deploy-registries.js.
+// Env vars override the manifest.
+const deployment = getNetworkDeployment(hre.network.name);
+const IDENTITY_REGISTRY_ADDRESS = process.env.IDENTITY_REGISTRY_ADDRESS || deployment?.contracts.IdentityRegistry || "0x...";
+const REVIEWER_CONTRACT_ADDRESS = process.env.REVIEWER_CONTRACT_ADDRESS || deployment?.contracts.CodeReviewerOracle || "";
+const APPROVER_CONTRACT_ADDRESS = process.env.APPROVER_CONTRACT_ADDRESS || deployment?.contracts.CodeApproverOracle || "";
+// Index of the Hardhat signer the oracle bridges sign fulfillments with (start.ps1 uses account #0).
+// Oracle-bound agents get their agentWallet set to this signer so `onlyRegisteredOracle` accepts the bridge.
+const ORACLE_SIGNER_INDEX = parseInt(process.env.ORACLE_SIGNER_INDEX || "0", 10);
+
+/**
+ * Point an agent's agentWallet at `wallet`. The registry requires an EIP-712
+ * AgentWalletSet signature from the new wallet, submitted by the agent owner.
+ */
+async function bindAgentWallet(identity, agentId, owner, wallet) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const deadline = BigInt(latest.timestamp) + 120n;
+
+    const domain = {
+        name: "ERC8004IdentityRegistry",
+        version: "1",
+        chainId,
+        verifyingContract: await identity.getAddress(),
+    };
+    const types = {
+        AgentWalletSet: [
+            { name: "agentId",   type: "uint256" },
+            { name: "newWallet", type: "address" },
+            { name: "owner",     type: "address" },
+            { name: "deadline",  type: "uint256" },
+        ],
+    };
+    const signature = await wallet.signTypedData(domain, types, {
+        agentId, newWallet: wallet.address, owner: owner.address, deadline,
+    });
+    const tx = await identity.connect(owner).setAgentWallet(agentId, wallet.address, deadline, signature);
+    await tx.wait();
+}
 
 async function main() {
     if (IDENTITY_REGISTRY_ADDRESS === "0x...") {
         throw new Error(
-            "Set IDENTITY_REGISTRY_ADDRESS env var or edit the constant in this script.\n" +
+            `No "${hre.network.name}" deployment in ${manifestPath()} — run scripts/deploy-registries.js first,\n` +
+            "or set the IDENTITY_REGISTRY_ADDRESS env var.\n" +
             "Example: $env:IDENTITY_REGISTRY_ADDRESS='0xYourAddress'; npx hardhat run scripts/register-mocks.js --network localhost"
         );
     }
 
     const signers = await hre.ethers.getSigners();
+    const oracleSigner = signers[ORACLE_SIGNER_INDEX];
+    if (!oracleSigner) throw new Error(`No signer at ORACLE_SIGNER_INDEX=${ORACLE_SIGNER_INDEX}`);
     const identity = await hre.ethers.getContractAt("IdentityRegistryUpgradeable", IDENTITY_REGISTRY_ADDRESS);
 
     const agentsDir = path.join(__dirname, "..", "agents");
@@ -24,6 +63,7 @@ async function main() {
     console.log(`Registering ${agentFiles.length} agents against ${IDENTITY_REGISTRY_ADDRESS}`);
     if (REVIEWER_CONTRACT_ADDRESS) console.log(`  Reviewer oracle: ${REVIEWER_CONTRACT_ADDRESS}`);
     if (APPROVER_CONTRACT_ADDRESS) console.log(`  Approver oracle: ${APPROVER_CONTRACT_ADDRESS}`);
+    console.log(`  Bridge signer:   ${oracleSigner.address}`);
     console.log();
 
     for (let i = 0; i < agentFiles.length; i++) {
@@ -58,7 +98,13 @@ async function main() {
             .find(e => e?.name === "Registered");
 
         const agentId = event?.args?.agentId ?? "?";
-        const oracleNote = oracleAddr ? `oracle=${oracleAddr}` : "no oracle";
+
+        // The bridge, not the owner, signs fulfill*() calls for oracle-bound agents
+        if (oracleAddr && event && owner.address !== oracleSigner.address) {
+            await bindAgentWallet(identity, agentId, owner, oracleSigner);
+        }
+
+        const oracleNote = oracleAddr ? `oracle=${oracleAddr}  wallet=${oracleSigner.address}` : "no oracle";
         console.log(`✓ ${file.padEnd(12)} agentId=${agentId}  owner=${owner.address}  ${oracleNote}`);
     }
 }
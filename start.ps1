@@ -9,11 +9,12 @@
       1. npx hardhat compile
       2. npx hardhat node  (background, waits until RPC is ready)
       3. npx hardhat run scripts/deploy-registries.js --network localhost
-         → captures IdentityRegistry address from stdout
+         → writes contract addresses to deployed-addresses.json
       4. npx hardhat run scripts/register-mocks.js --network localhost
-         (passes address via env var)
+         (reads addresses from deployed-addresses.json)
       5. node agents_implementation/launch-agents.js
-         (foreground – Ctrl-C shuts everything down)
+         (foreground – Ctrl-C shuts everything down; bridges also read
+          deployed-addresses.json)
 
 .PARAMETER SkipCompile
     Skip the compile step (if contracts are already compiled).
@@ -105,40 +106,31 @@ if (-not (Wait-Port 8545 60)) {
 Write-Host " ready." -ForegroundColor Green
 
 # ─────────────────────────────────────────────────────────────────────────────
-# STEP 3 – Deploy contracts, capture IdentityRegistry address
+# STEP 3 – Deploy contracts (writes deployed-addresses.json)
 # ─────────────────────────────────────────────────────────────────────────────
 Write-Step "3/5  Deploying contracts"
 
 Push-Location $Root
-$deployOutput = npx hardhat run scripts/deploy-registries.js --network localhost 2>&1
+npx hardhat run scripts/deploy-registries.js --network localhost
+$deployExit = $LASTEXITCODE
 Pop-Location
 
-Write-Host $deployOutput
-
-if ($LASTEXITCODE -ne 0) {
+if ($deployExit -ne 0) {
     Write-Error "Deployment failed."
     Stop-All; exit 1
 }
 
-# Parse contract addresses from output
-$identityMatch = ($deployOutput | Select-String "IdentityRegistry\s*[→->]+\s*(0x[0-9a-fA-F]+)")
-$reviewerMatch = ($deployOutput | Select-String "CodeReviewerOracle\s*[→->]+\s*(0x[0-9a-fA-F]+)")
-$approverMatch = ($deployOutput | Select-String "CodeApproverOracle\s*[→->]+\s*(0x[0-9a-fA-F]+)")
-$traceLogMatch = ($deployOutput | Select-String "ExecutionTraceLog\s*[→->]+\s*(0x[0-9a-fA-F]+)")
-
-if (-not $identityMatch) {
-    # Fallback: grab first hex address
-    $identityMatch = ($deployOutput | Select-String "(0x[0-9a-fA-F]{40})")
-}
-$identityAddr     = if ($identityMatch) { $identityMatch.Matches[0].Groups[1].Value } else { $null }
-$reviewerOracleAddr = if ($reviewerMatch) { $reviewerMatch.Matches[0].Groups[1].Value } else { $null }
-$approverOracleAddr = if ($approverMatch) { $approverMatch.Matches[0].Groups[1].Value } else { $null }
-$traceLogAddr       = if ($traceLogMatch) { $traceLogMatch.Matches[0].Groups[1].Value } else { $null }
-
-if (-not $identityAddr) {
-    Write-Error "Could not parse IdentityRegistry address from deploy output."
+# Read contract addresses from the deployment manifest
+$manifestPath = Join-Path $Root 'deployed-addresses.json'
+$deployment   = (Get-Content $manifestPath -Raw | ConvertFrom-Json).networks.localhost
+if (-not $deployment) {
+    Write-Error "No localhost deployment found in $manifestPath."
     Stop-All; exit 1
 }
+$identityAddr       = $deployment.contracts.IdentityRegistry
+$reviewerOracleAddr = $deployment.contracts.CodeReviewerOracle
+$approverOracleAddr = $deployment.contracts.CodeApproverOracle
+$traceLogAddr       = $deployment.contracts.ExecutionTraceLog
 
 Write-Host "`n  IdentityRegistry:   $identityAddr" -ForegroundColor Green
 Write-Host "  CodeReviewerOracle: $reviewerOracleAddr" -ForegroundColor Green
@@ -151,13 +143,11 @@ Write-Host "  ExecutionTraceLog:  $traceLogAddr" -ForegroundColor Green
 Write-Step "4/5  Registering agents on-chain"
 
 Push-Location $Root
-$env:IDENTITY_REGISTRY_ADDRESS = $identityAddr
 npx hardhat run scripts/register-mocks.js --network localhost
 if ($LASTEXITCODE -ne 0) {
     Write-Error "Agent registration failed."
     Stop-All; exit 1
 }
-Remove-Item Env:\IDENTITY_REGISTRY_ADDRESS -ErrorAction SilentlyContinue
 Pop-Location
 
 # ─────────────────────────────────────────────────────────────────────────────
@@ -178,8 +168,7 @@ if ($reviewerOracleAddr) {
     $bridgeProcs += Start-Process -FilePath 'node' `
         -ArgumentList @(
             'agents_implementation/code-reviewer-bridge.js',
-            '--contract', $reviewerOracleAddr,
-            '--rpc', 'http://127.0.0.1:8545',
+            '--network', 'localhost',
             '--privkey', $oraclePrivKey
         ) `
         -WorkingDirectory $Root `
@@ -193,8 +182,7 @@ if ($approverOracleAddr) {
     $bridgeProcs += Start-Process -FilePath 'node' `
         -ArgumentList @(
             'agents_implementation/code-approver-bridge.js',
-            '--contract', $approverOracleAddr,
-            '--rpc', 'http://127.0.0.1:8545',
+            '--network', 'localhost',
             '--privkey', $oraclePrivKey
         ) `
         -WorkingDirectory $Root `
@@ -203,6 +191,22 @@ if ($approverOracleAddr) {
         -NoNewWindow -PassThru
 }
 
+if ($reviewerOracleAddr -and $approverOracleAddr) {
+    # Hardhat account #1 requests approvals / re-reviews on behalf of the pipeline
+    $orchestratorPrivKey = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d"
+    Write-Host "  Launching pipeline-orchestrator" -ForegroundColor DarkCyan
+    $bridgeProcs += Start-Process -FilePath 'node' `
+        -ArgumentList @(
+            'agents_implementation/pipeline-orchestrator.js',
+            '--network', 'localhost',
+            '--privkey', $orchestratorPrivKey
+        ) `
+        -WorkingDirectory $Root `
+        -RedirectStandardOutput (Join-Path $AgentsImpl 'logs/pipeline-orchestrator.log') `
+        -RedirectStandardError  (Join-Path $AgentsImpl 'logs/pipeline-orchestrator.err.log') `
+        -NoNewWindow -PassThru
+}
+
 try {
     Push-Location $Root
     node @launchArgs
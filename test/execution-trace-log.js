@@ -0,0 +1,56 @@
+const assert = require("node:assert/strict");
+const { ethers } = require("hardhat");
+const { assertRevert, deployRegistries } = require("./fixtures");
+
+const TRACE = ethers.id("trace-1");
+
+describe("ExecutionTraceLog", function () {
+    let ctx;
+
+    beforeEach(async function () {
+        ctx = await deployRegistries();
+    });
+
+    it("records hops from registered oracles", async function () {
+        await ctx.reviewer.connect(ctx.requester).requestReview("PR-1", TRACE, "");
+        const [hop] = await ctx.traceLog.getTrace(TRACE);
+        assert.equal(hop.oracle, ctx.reviewer.target);
+        assert.equal(hop.action, "reviewRequested");
+        assert.deepEqual([...await ctx.traceLog.getRegisteredOracles()], [ctx.reviewer.target, ctx.approver.target]);
+    });
+
+    it("rejects hops from addresses that are not registered oracles", async function () {
+        await assertRevert(ctx.traceLog.connect(ctx.other).recordHop(TRACE, 0, "reviewFulfilled"), "oracle not registered");
+
+        const rogue = await ethers.deployContract("CodeReviewerOracle", [ctx.identity.target, ctx.traceLog.target]);
+        await assertRevert(rogue.requestReview("PR-1", TRACE, ""), "oracle not registered");
+        assert.equal(await ctx.traceLog.getHopCount(TRACE), 0n);
+    });
+
+    it("stops taking hops from a removed oracle", async function () {
+        await ctx.traceLog.removeOracle(ctx.reviewer.target);
+        await assertRevert(ctx.reviewer.requestReview("PR-1", TRACE, ""), "oracle not registered");
+        assert.deepEqual([...await ctx.traceLog.getRegisteredOracles()], [ctx.approver.target]);
+    });
+
+    it("lets only the owner manage the allow-list", async function () {
+        await assert.rejects(ctx.traceLog.connect(ctx.other).registerOracle(ctx.other.address), /not owner/);
+        await assert.rejects(ctx.traceLog.connect(ctx.other).removeOracle(ctx.reviewer.target), /not owner/);
+        await assert.rejects(ctx.traceLog.registerOracle(ctx.reviewer.target), /already registered/);
+    });
+
+    it("takes hops for a governed trace only from oracles that enforce the same flow registry", async function () {
+        const salt = ethers.id("flow-1");
+        const registry = ctx.flowRegistry.connect(ctx.requester);
+        const traceId = await registry.createFlow.staticCall(salt, [ctx.other.address], [[ethers.id("code-review")]]);
+        await registry.createFlow(salt, [ctx.other.address], [[ethers.id("code-review")]]);
+
+        const lax = await ethers.deployContract("CodeReviewerOracle", [ctx.identity.target, ctx.traceLog.target]);
+        await ctx.traceLog.registerOracle(lax.target);
+        await assertRevert(lax.connect(ctx.requester).requestReview("PR-1", traceId, ""), "oracle does not enforce flow");
+        await lax.connect(ctx.requester).requestReview("PR-1", TRACE, "");
+
+        await ctx.reviewer.connect(ctx.requester).requestReview("PR-1", traceId, "");
+        assert.equal(await ctx.traceLog.getHopCount(traceId), 1n);
+    });
+});
@@ -0,0 +1,121 @@
+// Shared deployment and signing helpers for the contract tests.
+const assert = require("node:assert/strict");
+const { ethers, upgrades } = require("hardhat");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const REVIEW_RESULT_TYPES = {
+    ReviewResult: [
+        { name: "requestId",   type: "bytes32" },
+        { name: "prId",        type: "string"  },
+        { name: "payloadHash", type: "bytes32" },
+        { name: "approved",    type: "bool"    },
+    ],
+};
+
+const APPROVAL_RESULT_TYPES = {
+    ApprovalResult: [
+        { name: "requestId",   type: "bytes32" },
+        { name: "prId",        type: "string"  },
+        { name: "payloadHash", type: "bytes32" },
+        { name: "decision",    type: "string"  },
+    ],
+};
+
+const AGENT_WALLET_SET_TYPES = {
+    AgentWalletSet: [
+        { name: "agentId",   type: "uint256" },
+        { name: "newWallet", type: "address" },
+        { name: "owner",     type: "address" },
+        { name: "deadline",  type: "uint256" },
+    ],
+};
+
+/** Everything deploy-registries.js deploys except the reputation registry, wired the same way. */
+async function deployRegistries() {
+    const [owner, requester, agent, other] = await ethers.getSigners();
+
+    const Identity = await ethers.getContractFactory("IdentityRegistryUpgradeable");
+    const identity = await upgrades.deployProxy(Identity, [], { initializer: "initialize" });
+    const traceLog = await ethers.deployContract("ExecutionTraceLog");
+    const reviewer = await ethers.deployContract("CodeReviewerOracle", [identity.target, traceLog.target]);
+    const approver = await ethers.deployContract("CodeApproverOracle", [identity.target, traceLog.target]);
+    for (const oracle of [reviewer, approver]) await traceLog.registerOracle(oracle.target);
+
+    const flowRegistry = await ethers.deployContract("FlowAuthorizationRegistry");
+    for (const contract of [reviewer, approver, traceLog]) await contract.setFlowRegistry(flowRegistry.target);
+
+    return { owner, requester, agent, other, identity, traceLog, reviewer, approver, flowRegistry };
+}
+
+/** Register an agent owned by `signer` (also its agentWallet), bound to `oracle`; returns its agentId. */
+async function registerAgent(identity, signer, oracle) {
+    const register = identity.connect(signer)["register(string,(string,bytes)[],address)"];
+    const agentId = await register.staticCall("ipfs://agent", [], oracle.target);
+    await register("ipfs://agent", [], oracle.target);
+    return agentId;
+}
+
+/** Point an agent's agentWallet at `wallet`, with `walletSigner` proving control of it. */
+async function setAgentWallet(identity, ownerSigner, agentId, wallet, walletSigner) {
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 60;
+    const domain = {
+        name: "ERC8004IdentityRegistry", version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId, verifyingContract: identity.target,
+    };
+    const signature = await walletSigner.signTypedData(domain, AGENT_WALLET_SET_TYPES, {
+        agentId, newWallet: wallet, owner: ownerSigner.address, deadline,
+    });
+    await identity.connect(ownerSigner).setAgentWallet(agentId, wallet, deadline, signature);
+}
+
+/** Send a request and return its requestId and traceId from the emitted event. */
+async function sendRequest(contract, method, args, eventName) {
+    const receipt = await (await contract[method](...args)).wait();
+    const event = receipt.logs
+        .map(log => { try { return contract.interface.parseLog(log); } catch { return null; } })
+        .find(e => e?.name === eventName);
+    return { requestId: event.args.requestId, traceId: event.args.traceId };
+}
+
+async function oracleDomain(oracle, name) {
+    return { name, version: "1", chainId: (await ethers.provider.getNetwork()).chainId, verifyingContract: oracle.target };
+}
+
+/** Review result bytes plus the agent's EIP-712 signature, as lib/result-signing.js produces them. */
+async function signReview(signer, reviewer, { requestId, prId, approved = true }) {
+    const summaryJson  = ethers.toUtf8Bytes(JSON.stringify("Looks good"));
+    const commentsJson = ethers.toUtf8Bytes(JSON.stringify([]));
+    const payloadHash  = ethers.keccak256(coder.encode(["bytes", "bytes"], [summaryJson, commentsJson]));
+    const signature = await signer.signTypedData(
+        await oracleDomain(reviewer, "CodeReviewerOracle"), REVIEW_RESULT_TYPES,
+        { requestId, prId, payloadHash, approved },
+    );
+    return { summaryJson, commentsJson, approved, signature };
+}
+
+/** Approval ("approved") reason bytes plus the agent's EIP-712 signature. */
+async function signApproval(signer, approver, { requestId, prId }) {
+    const reasonJson  = ethers.toUtf8Bytes(JSON.stringify("All findings resolved"));
+    const payloadHash = ethers.keccak256(coder.encode(["bytes", "bytes"], [reasonJson, "0x"]));
+    const signature = await signer.signTypedData(
+        await oracleDomain(approver, "CodeApproverOracle"), APPROVAL_RESULT_TYPES,
+        { requestId, prId, payloadHash, decision: "approved" },
+    );
+    return { reasonJson, signature };
+}
+
+/**
+ * Assert that `promise` reverts with `reason`.  Hardhat does not always name the reason of a
+ * revert in the trace log (bubbled up from an oracle or not), so the Error(string) data is decoded too.
+ */
+async function assertRevert(promise, reason) {
+    await assert.rejects(promise, err => {
+        if (err.message.includes(reason)) return true;
+        const data = err.data ?? "";
+        return typeof data === "string" && data.startsWith("0x08c379a0")
+            && coder.decode(["string"], "0x" + data.slice(10))[0] === reason;
+    });
+}
+
+module.exports = { assertRevert, deployRegistries, registerAgent, setAgentWallet, sendRequest, signReview, signApproval };
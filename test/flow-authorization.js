@@ -0,0 +1,125 @@
+const assert = require("node:assert/strict");
+const { ethers } = require("hardhat");
+const { deployRegistries, registerAgent, sendRequest, signReview } = require("./fixtures");
+
+const CODE_REVIEW = ethers.id("code-review");
+const APPROVE_PR  = ethers.id("approve-pr");
+const SALT        = ethers.id("flow-1");
+
+describe("Flow-scoped authorization", function () {
+    let ctx;
+
+    beforeEach(async function () {
+        ctx = await deployRegistries();
+    });
+
+    /** Register a flow from the requester: `agents` → capability lists. Returns its traceId. */
+    async function createFlow(agents, { from = ctx.requester, salt = SALT } = {}) {
+        const registry = ctx.flowRegistry.connect(from);
+        const traceId = await registry.createFlow.staticCall(salt, agents.map(a => a.address), agents.map(a => a.capabilities));
+        await registry.createFlow(salt, agents.map(a => a.address), agents.map(a => a.capabilities));
+        return traceId;
+    }
+
+    describe("FlowAuthorizationRegistry", function () {
+        it("derives the traceId from the initiator and the salt", async function () {
+            const traceId = await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW] }]);
+            const expected = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [ctx.requester.address, SALT]));
+            assert.equal(traceId, expected);
+            assert.equal(await ctx.flowRegistry.flowTraceId(ctx.requester.address, SALT), expected);
+            assert.equal(await ctx.flowRegistry.flowInitiator(traceId), ctx.requester.address);
+
+            const [initiator, , agents] = await ctx.flowRegistry.getFlow(traceId);
+            assert.equal(initiator, ctx.requester.address);
+            assert.deepEqual([...agents], [ctx.agent.address]);
+        });
+
+        it("gives another initiator's flow with the same salt a different traceId", async function () {
+            const mine   = await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW] }]);
+            const theirs = await createFlow([{ address: ctx.other.address, capabilities: [CODE_REVIEW] }], { from: ctx.other });
+            assert.notEqual(mine, theirs);
+            assert.equal(await ctx.flowRegistry.isAuthorized(mine, ctx.agent.address, CODE_REVIEW), true);
+            assert.equal(await ctx.flowRegistry.isAuthorized(mine, ctx.other.address, CODE_REVIEW), false);
+        });
+
+        it("never changes a policy once registered", async function () {
+            await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW] }]);
+            await assert.rejects(createFlow([{ address: ctx.other.address, capabilities: [CODE_REVIEW] }]), /flow exists/);
+        });
+
+        it("authorizes only the listed capabilities, and everything on traces without a flow", async function () {
+            const traceId = await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW] }]);
+            assert.equal(await ctx.flowRegistry.isAuthorized(traceId, ctx.agent.address, CODE_REVIEW), true);
+            assert.equal(await ctx.flowRegistry.isAuthorized(traceId, ctx.agent.address, APPROVE_PR), false);
+            assert.equal(await ctx.flowRegistry.isAuthorized(ethers.id("no flow"), ctx.other.address, APPROVE_PR), true);
+        });
+
+        it("can be created for a trace that already has hops", async function () {
+            const traceId = await ctx.flowRegistry.flowTraceId(ctx.requester.address, SALT);
+            await ctx.reviewer.connect(ctx.other).requestReview("PR-1", traceId, "");
+            assert.equal(await ctx.traceLog.getHopCount(traceId), 1n);
+            assert.equal(await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW] }]), traceId);
+        });
+    });
+
+    describe("onlyFlowInitiator", function () {
+        it("takes requests on a governed trace only from its initiator", async function () {
+            const traceId = await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW, APPROVE_PR] }]);
+            await assert.rejects(ctx.reviewer.connect(ctx.other).requestReview("PR-1", traceId, ""), /not flow initiator/);
+            await assert.rejects(ctx.approver.connect(ctx.other).requestApproval("PR-1", traceId, "alice", ""), /not flow initiator/);
+
+            await ctx.reviewer.connect(ctx.requester).requestReview("PR-1", traceId, "");
+            await ctx.approver.connect(ctx.requester).requestApproval("PR-1", traceId, "alice", "");
+            assert.equal(await ctx.traceLog.getHopCount(traceId), 2n);
+        });
+    });
+
+    describe("onlyFlowAuthorized", function () {
+        let agentId, outsiderId;
+
+        beforeEach(async function () {
+            agentId    = await registerAgent(ctx.identity, ctx.agent, ctx.reviewer);
+            outsiderId = await registerAgent(ctx.identity, ctx.other, ctx.reviewer);
+        });
+
+        async function requestReview(traceId) {
+            return sendRequest(ctx.reviewer.connect(ctx.requester), "requestReview", ["PR-1", traceId, ""], "ReviewRequested");
+        }
+
+        it("lets an authorized agent fulfill", async function () {
+            const traceId = await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW] }]);
+            const { requestId } = await requestReview(traceId);
+            await ctx.reviewer.connect(ctx.agent).fulfillReview(agentId, requestId, "PR-1", "0x", "0x", true);
+        });
+
+        it("rejects an agent the flow does not list, signed or not", async function () {
+            const traceId = await createFlow([{ address: ctx.agent.address, capabilities: [CODE_REVIEW] }]);
+            const { requestId } = await requestReview(traceId);
+
+            await assert.rejects(
+                ctx.reviewer.connect(ctx.other).fulfillReview(outsiderId, requestId, "PR-1", "0x", "0x", true),
+                /agent not authorized for flow/,
+            );
+            const result = await signReview(ctx.other, ctx.reviewer, { requestId, prId: "PR-1" });
+            await assert.rejects(
+                ctx.reviewer.connect(ctx.other).fulfillReviewSigned(
+                    outsiderId, requestId, "PR-1", result.summaryJson, result.commentsJson, true, result.signature),
+                /agent not authorized for flow/,
+            );
+        });
+
+        it("rejects an agent that lacks the oracle's capability", async function () {
+            const traceId = await createFlow([{ address: ctx.agent.address, capabilities: [APPROVE_PR] }]);
+            const { requestId } = await requestReview(traceId);
+            await assert.rejects(
+                ctx.reviewer.connect(ctx.agent).fulfillReview(agentId, requestId, "PR-1", "0x", "0x", true),
+                /agent not authorized for flow/,
+            );
+        });
+
+        it("leaves traces without a flow open to every bound agent", async function () {
+            const { requestId } = await requestReview(ethers.ZeroHash);
+            await ctx.reviewer.connect(ctx.other).fulfillReview(outsiderId, requestId, "PR-1", "0x", "0x", true);
+        });
+    });
+});
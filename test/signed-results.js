@@ -0,0 +1,159 @@
+const assert = require("node:assert/strict");
+const { ethers } = require("hardhat");
+const { deployRegistries, registerAgent, setAgentWallet, sendRequest, signReview, signApproval } = require("./fixtures");
+
+describe("Agent-signed results (fulfill*Signed)", function () {
+    let ctx, reviewerAgentId, approverAgentId;
+
+    beforeEach(async function () {
+        ctx = await deployRegistries();
+        reviewerAgentId = await registerAgent(ctx.identity, ctx.agent, ctx.reviewer);
+        approverAgentId = await registerAgent(ctx.identity, ctx.agent, ctx.approver);
+    });
+
+    const requestReview = (prId = "PR-1") =>
+        sendRequest(ctx.reviewer.connect(ctx.requester), "requestReview", [prId, ethers.ZeroHash, ""], "ReviewRequested");
+
+    const requestApproval = (prId = "PR-1") =>
+        sendRequest(ctx.approver.connect(ctx.requester), "requestApproval", [prId, ethers.ZeroHash, "alice", ""], "ApprovalRequested");
+
+    const fulfillReview = (sender, requestId, prId, r) => ctx.reviewer.connect(sender).fulfillReviewSigned(
+        reviewerAgentId, requestId, prId, r.summaryJson, r.commentsJson, r.approved, r.signature);
+
+    describe("CodeReviewerOracle", function () {
+        it("accepts a review signed by the agentWallet, submitted by anyone", async function () {
+            const { requestId } = await requestReview();
+            const result = await signReview(ctx.agent, ctx.reviewer, { requestId, prId: "PR-1" });
+            await fulfillReview(ctx.other, requestId, "PR-1", result);
+
+            const [status] = await ctx.reviewer.getRequestInfo(requestId);
+            assert.equal(status, 1n); // Fulfilled
+            const [approved, , , agentId] = await ctx.reviewer.getResultInfo(requestId);
+            assert.equal(approved, true);
+            assert.equal(agentId, reviewerAgentId);
+        });
+
+        it("rejects a review signed by another key", async function () {
+            const { requestId } = await requestReview();
+            const result = await signReview(ctx.other, ctx.reviewer, { requestId, prId: "PR-1" });
+            await assert.rejects(fulfillReview(ctx.other, requestId, "PR-1", result), /bad agent signature/);
+        });
+
+        it("rejects a verdict the submitter changed", async function () {
+            const { requestId } = await requestReview();
+            const result = await signReview(ctx.agent, ctx.reviewer, { requestId, prId: "PR-1", approved: false });
+            await assert.rejects(
+                fulfillReview(ctx.other, requestId, "PR-1", { ...result, approved: true }),
+                /bad agent signature/,
+            );
+        });
+
+        it("does not replay a signature onto another request or PR", async function () {
+            const first  = await requestReview("PR-1");
+            const second = await requestReview("PR-1");
+            const other  = await requestReview("PR-2");
+            const result = await signReview(ctx.agent, ctx.reviewer, { requestId: first.requestId, prId: "PR-1" });
+
+            await assert.rejects(fulfillReview(ctx.other, second.requestId, "PR-1", result), /bad agent signature/);
+            await assert.rejects(fulfillReview(ctx.other, other.requestId, "PR-2", result), /bad agent signature/);
+            await fulfillReview(ctx.other, first.requestId, "PR-1", result);
+            await assert.rejects(fulfillReview(ctx.other, first.requestId, "PR-1", result), /not pending/);
+        });
+
+        it("does not accept a signature made for the approver oracle", async function () {
+            const { requestId } = await requestReview();
+            const forApprover = await signReview(ctx.agent, ctx.approver, { requestId, prId: "PR-1" });
+            await assert.rejects(fulfillReview(ctx.other, requestId, "PR-1", forApprover), /bad agent signature/);
+        });
+
+        it("accepts an ERC-1271 agentWallet's signature", async function () {
+            const wallet = await ethers.deployContract("ERC1271WalletMock", [ctx.other.address]);
+            await setAgentWallet(ctx.identity, ctx.agent, reviewerAgentId, wallet.target, ctx.other);
+
+            const { requestId } = await requestReview();
+            const byOwnerKey = await signReview(ctx.agent, ctx.reviewer, { requestId, prId: "PR-1" });
+            await assert.rejects(fulfillReview(ctx.agent, requestId, "PR-1", byOwnerKey), /bad agent signature/);
+
+            const byWallet = await signReview(ctx.other, ctx.reviewer, { requestId, prId: "PR-1" });
+            await fulfillReview(ctx.agent, requestId, "PR-1", byWallet);
+            const [status] = await ctx.reviewer.getRequestInfo(requestId);
+            assert.equal(status, 1n);
+        });
+
+        it("rejects signed results for agents bound to another oracle", async function () {
+            const { requestId } = await requestReview();
+            const result = await signReview(ctx.agent, ctx.reviewer, { requestId, prId: "PR-1" });
+            await assert.rejects(
+                ctx.reviewer.connect(ctx.other).fulfillReviewSigned(
+                    approverAgentId, requestId, "PR-1", result.summaryJson, result.commentsJson, true, result.signature),
+                /not bound oracle/,
+            );
+        });
+
+        it("only takes signed results once requireSignedResults is set", async function () {
+            await assert.rejects(ctx.reviewer.connect(ctx.other).setRequireSignedResults(true), /not owner/);
+            await ctx.reviewer.setRequireSignedResults(true);
+
+            const { requestId } = await requestReview();
+            const result = await signReview(ctx.agent, ctx.reviewer, { requestId, prId: "PR-1" });
+            await assert.rejects(
+                ctx.reviewer.connect(ctx.agent).fulfillReview(
+                    reviewerAgentId, requestId, "PR-1", result.summaryJson, result.commentsJson, true),
+                /signed results required/,
+            );
+            await fulfillReview(ctx.other, requestId, "PR-1", result);
+        });
+    });
+
+    describe("CodeApproverOracle", function () {
+        const fulfillApproval = (sender, requestId, prId, r) =>
+            ctx.approver.connect(sender).fulfillApprovalSigned(approverAgentId, requestId, prId, r.reasonJson, r.signature);
+
+        it("accepts an approval signed by the agentWallet", async function () {
+            const { requestId } = await requestApproval();
+            await fulfillApproval(ctx.other, requestId, "PR-1", await signApproval(ctx.agent, ctx.approver, { requestId, prId: "PR-1" }));
+            assert.equal(ethers.toUtf8String(await ctx.approver.getDecision("PR-1")), '"approved"');
+        });
+
+        it("rejects an approval signed by another key", async function () {
+            const { requestId } = await requestApproval();
+            const result = await signApproval(ctx.other, ctx.approver, { requestId, prId: "PR-1" });
+            await assert.rejects(fulfillApproval(ctx.other, requestId, "PR-1", result), /bad agent signature/);
+        });
+
+        it("does not replay a signature onto another request, PR or decision", async function () {
+            const first  = await requestApproval("PR-1");
+            const second = await requestApproval("PR-1");
+            const other  = await requestApproval("PR-2");
+            const result = await signApproval(ctx.agent, ctx.approver, { requestId: first.requestId, prId: "PR-1" });
+
+            await assert.rejects(fulfillApproval(ctx.other, second.requestId, "PR-1", result), /bad agent signature/);
+            await assert.rejects(fulfillApproval(ctx.other, other.requestId, "PR-2", result), /bad agent signature/);
+            await assert.rejects(
+                ctx.approver.connect(ctx.other).fulfillRejectionSigned(approverAgentId, first.requestId, "PR-1", result.reasonJson, result.signature),
+                /bad agent signature/,
+            );
+        });
+
+        it("accepts an ERC-1271 agentWallet's signature", async function () {
+            const wallet = await ethers.deployContract("ERC1271WalletMock", [ctx.other.address]);
+            await setAgentWallet(ctx.identity, ctx.agent, approverAgentId, wallet.target, ctx.other);
+
+            const { requestId } = await requestApproval();
+            const byOwnerKey = await signApproval(ctx.agent, ctx.approver, { requestId, prId: "PR-1" });
+            await assert.rejects(fulfillApproval(ctx.agent, requestId, "PR-1", byOwnerKey), /bad agent signature/);
+            await fulfillApproval(ctx.agent, requestId, "PR-1", await signApproval(ctx.other, ctx.approver, { requestId, prId: "PR-1" }));
+        });
+
+        it("only takes signed results once requireSignedResults is set", async function () {
+            await ctx.approver.setRequireSignedResults(true);
+            const { requestId } = await requestApproval();
+            const result = await signApproval(ctx.agent, ctx.approver, { requestId, prId: "PR-1" });
+            await assert.rejects(
+                ctx.approver.connect(ctx.agent).fulfillApproval(approverAgentId, requestId, "PR-1", result.reasonJson),
+                /signed results required/,
+            );
+            await fulfillApproval(ctx.other, requestId, "PR-1", result);
+        });
+    });
+});